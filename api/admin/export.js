@@ -0,0 +1,69 @@
+// api/admin/export.js
+import { isAdmin } from "../../lib/admin-auth.js";
+import { getLedger } from "../../lib/ledger/index.js";
+import { parseRange, reportable } from "../../lib/reports.js";
+import { requestLogger } from "../../lib/logger.js";
+
+const COLUMNS = [
+  ["id", (d) => d.id],
+  ["created", (d) => new Date(d.created * 1000).toISOString()],
+  ["kind", (d) => d.kind],
+  ["recurring", (d) => (d.recurring ? "yes" : "no")],
+  ["interval", (d) => d.interval || ""],
+  ["currency", (d) => d.currency],
+  ["gift_amount", (d) => d.amount_minor],
+  ["fee_amount", (d) => d.fee_minor || 0],
+  ["total_charged", (d) => d.total_minor ?? d.amount_minor],
+  ["refunded", (d) => d.refunded_minor || 0],
+  ["name", (d) => d.name || ""],
+  ["email", (d) => d.email || ""],
+  ["country", (d) => d.country || ""],
+  ["campaign", (d) => d.campaign || ""],
+  ["public_consent", (d) => d.consent],
+  ["session_id", (d) => d.session_id || ""],
+  ["invoice_id", (d) => d.invoice_id || ""],
+  ["subscription_id", (d) => d.subscription_id || ""]
+];
+
+/** Escapa para CSV; prefija ' a lo que Excel interpretaría como fórmula (= + - @, tab, CR) */
+function csvCell(v) {
+  let s = String(v ?? "");
+  if (/^[=+\-@\t\r]/.test(s) && typeof v === "string") s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * GET ?from=2026-01-01&to=2026-12-31 → CSV (streaming) de las donaciones del rango.
+ * Montos en minor units, igual que el ledger.
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "admin/export");
+  if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: "Invalid date range" });
+
+  let donations;
+  try {
+    donations = reportable(await getLedger().list(range));
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Failed to export" });
+  }
+
+  const from = new Date(range.since * 1000).toISOString().slice(0, 10);
+  const to = new Date((range.until - 1) * 1000).toISOString().slice(0, 10);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="donations_${from}_${to}.csv"`);
+  res.setHeader("Cache-Control", "no-store");
+  res.statusCode = 200;
+
+  res.write(COLUMNS.map(([name]) => name).join(",") + "\n");
+  for (const d of donations) {
+    const line = COLUMNS.map(([, get]) => csvCell(get(d))).join(",") + "\n";
+    // respeta backpressure si el cliente lee lento
+    if (!res.write(line)) await new Promise((resolve) => res.once("drain", resolve));
+  }
+  res.end();
+}
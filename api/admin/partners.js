@@ -0,0 +1,28 @@
+// api/admin/partners.js
+import { getStripe } from "../../lib/stripe.js";
+import { isAdmin } from "../../lib/admin-auth.js";
+import { parseRange, partnerMetrics } from "../../lib/reports.js";
+import { requestLogger } from "../../lib/logger.js";
+
+/**
+ * GET ?from=2026-01-01&to=2026-01-31
+ * → partners activos, MRR por moneda y churn del período (desde las suscripciones de Stripe).
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "admin/partners");
+  if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  res.setHeader("Cache-Control", "no-store");
+
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: "Invalid date range" });
+
+  const stripe = getStripe();
+
+  try {
+    return res.status(200).json({ ...range, ...(await partnerMetrics(stripe, range)) });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Failed to build report" });
+  }
+}
@@ -0,0 +1,52 @@
+// api/admin/prayers.js
+import { isAdmin } from "../../lib/admin-auth.js";
+import { getPrayers, moderatePrayer, PRAYER_STATUSES } from "../../lib/prayers.js";
+import { getLedger } from "../../lib/ledger/index.js";
+import { normalizeConsent } from "../../lib/consent.js";
+import { requestLogger } from "../../lib/logger.js";
+
+/**
+ * Moderación de peticiones de oración (Authorization: Bearer ADMIN_API_TOKEN)
+ *   GET  ?status=pending|approved|rejected&limit=50          → cola (default pending)
+ *   POST { action: "approve", id, anonymize? }                → publica en el muro
+ *   POST { action: "reject", id, reason? }                    → descarta
+ *
+ * Cada fila incluye el consentimiento actual del donante: las de donantes anónimos
+ * nunca salen en el muro aunque se aprueben.
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "admin/prayers");
+  if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    if (req.method === "GET") {
+      const status = req.query?.status || "pending";
+      if (!PRAYER_STATUSES.has(status)) return res.status(400).json({ error: "Invalid status" });
+      const limit = Math.max(1, Math.min(200, parseInt(req.query?.limit, 10) || 50));
+      const queue = await getPrayers().list({ status, limit });
+      const donations = await getLedger().getMany(queue.map((p) => p.donation_id));
+      const prayers = queue.map((p) => {
+        const d = donations.get(p.donation_id);
+        return { ...p, consent: normalizeConsent(d?.consent), name: d?.name || null };
+      });
+      return res.status(200).json({ prayers });
+    }
+
+    if (req.method === "POST") {
+      const { action, id, anonymize, reason } = req.body || {};
+      if (action !== "approve" && action !== "reject") return res.status(400).json({ error: "Invalid action" });
+      if (!id) return res.status(400).json({ error: "Missing id" });
+      if (anonymize != null && typeof anonymize !== "boolean") return res.status(400).json({ error: "Invalid anonymize" });
+      const prayer = await moderatePrayer(id, action, { anonymize, reason });
+      if (!prayer) return res.status(404).json({ error: "Prayer not found" });
+      log.info("moderated", { id, status: prayer.status });
+      return res.status(200).json({ prayer });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Prayer moderation error" });
+  }
+}
@@ -0,0 +1,30 @@
+// api/admin/totals.js
+import { isAdmin } from "../../lib/admin-auth.js";
+import { getLedger } from "../../lib/ledger/index.js";
+import { GROUPS, parseRange, reportable, summarizeDonations } from "../../lib/reports.js";
+import { requestLogger } from "../../lib/logger.js";
+
+/**
+ * GET ?from=2026-01-01&to=2026-01-31&group=day|week|month
+ * → totales por período (minor units por moneda), split one-time/recurring y top países.
+ * Montos = gift neto (sin comisión cubierta, menos reembolsos).
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "admin/totals");
+  if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  res.setHeader("Cache-Control", "no-store");
+
+  const range = parseRange(req.query);
+  if (!range) return res.status(400).json({ error: "Invalid date range" });
+  const group = req.query?.group || "day";
+  if (!GROUPS.has(group)) return res.status(400).json({ error: "Invalid group" });
+
+  try {
+    const donations = reportable(await getLedger().list(range));
+    return res.status(200).json({ ...range, group, ...summarizeDonations(donations, group) });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Failed to build report" });
+  }
+}
@@ -0,0 +1,87 @@
+// api/campaign-progress.js
+import { getLedger } from "../lib/ledger/index.js";
+import { isExcludedEmail } from "../lib/exclusions.js";
+import { netAmount } from "../lib/reports.js";
+import { listCampaigns, getCampaign, isOpen, SLUG_RE } from "../lib/campaigns.js";
+import { formatMoney } from "../lib/currency.js";
+import { cors } from "../lib/cors.js";
+import { intlTag, normalizeLocale } from "../lib/i18n.js";
+import { requestLogger } from "../lib/logger.js";
+
+/**
+ * Progreso de una campaña a partir del ledger (primeros pagos + cuotas).
+ * Solo suma en la moneda de la meta; lo demás se reporta aparte en raised_by_currency.
+ * Lo igualado por desafíos de matching (lib/matching.js) va aparte: raised no lo incluye.
+ */
+function progress(campaign, donations, locale) {
+  const byCurrency = {};
+  const matchedByCurrency = {};
+  const donors = new Set();
+
+  for (const d of donations) {
+    if (isExcludedEmail(d.email)) continue;
+    const net = netAmount(d);
+    if (!net) continue;
+    byCurrency[d.currency] = (byCurrency[d.currency] || 0) + net;
+    if (d.matched_minor) matchedByCurrency[d.currency] = (matchedByCurrency[d.currency] || 0) + d.matched_minor;
+    donors.add(d.email || d.customer_id || d.id);
+  }
+
+  const currency = campaign.goal?.currency || "USD";
+  const raised = byCurrency[currency] || 0;
+  const matched = matchedByCurrency[currency] || 0;
+  const goal = campaign.goal?.amount ?? null;
+
+  return {
+    slug: campaign.slug,
+    name: campaign.name,
+    open: isOpen(campaign),
+    starts_at: campaign.starts_at,
+    ends_at: campaign.ends_at,
+    currency,
+    goal_minor: goal,
+    goal_formatted: goal != null ? formatMoney(goal, currency, intlTag(locale)) : null,
+    raised_minor: raised,
+    raised_formatted: formatMoney(raised, currency, intlTag(locale)),
+    raised_by_currency: byCurrency,
+    matched_minor: matched,
+    matched_formatted: formatMoney(matched, currency, intlTag(locale)),
+    raised_with_match_minor: raised + matched,
+    raised_with_match_formatted: formatMoney(raised + matched, currency, intlTag(locale)),
+    donor_count: donors.size,
+    percent: goal ? Math.min(100, Math.round((raised / goal) * 1000) / 10) : null
+  };
+}
+
+/**
+ * GET ?campaign=slug&locale=kr → { campaign }
+ * GET (sin campaign)           → { campaigns: [...] }
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "campaign-progress");
+  if (cors(req, res)) return;
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const locale = normalizeLocale(req.query?.locale);
+  const slug = typeof req.query?.campaign === "string" ? req.query.campaign.toLowerCase() : null;
+
+  try {
+    if (slug) {
+      const campaign = SLUG_RE.test(slug) ? getCampaign(slug) : null;
+      if (!campaign) return res.status(404).json({ error: "Campaign not found" });
+      const donations = await getLedger().list({ campaign: slug });
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ campaign: progress(campaign, donations, locale) });
+    }
+
+    const out = [];
+    for (const campaign of listCampaigns()) {
+      out.push(progress(campaign, await getLedger().list({ campaign: campaign.slug }), locale));
+    }
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).json({ campaigns: out });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Failed to load campaign progress" });
+  }
+}
@@ -1,18 +1,20 @@
 // /api/create-checkout-session.js
-import Stripe from "stripe";
+import { cors, allowOrigin } from "../lib/cors.js";
+import { getStripe } from "../lib/stripe.js";
 import crypto from "crypto";
-
-/** Allow these origins (add your custom domain when ready) */
-const ALLOWED_ORIGINS = [
-  "https://hyeoks-site.webflow.io",
-  "https://brotherhyeok.com" // replace when you have your domain
-
-];
-const allowOrigin = (req) =>
-  ALLOWED_ORIGINS.includes(req.headers.origin) ? req.headers.origin : "https://hyeoks-site.webflow.io";
-
-/** Locales válidos como primer segmento de la ruta */
-const ALLOWED_LOCALES = new Set(["en-us", "kr", "ja", "es", "pt-br"]);
+import { parseConsent } from "../lib/consent.js";
+import { resolveLocale, buildUrl } from "../lib/locale-urls.js";
+import { checkoutLocale } from "../lib/i18n.js";
+import { SLUG_RE, getCampaign, isOpen } from "../lib/campaigns.js";
+import { grossUp, feeMetadata } from "../lib/fees.js";
+import { allowedCurrencies, currencyForLocale, minAmount, softMaxAmount, STRIPE_MAX_AMOUNT, formatMoney } from "../lib/currency.js";
+import { consume, parseLimit, clientIp, shortHash } from "../lib/rate-limit/index.js";
+import { verifyChallenge } from "../lib/challenge.js";
+import { parseTribute, tributeMetadata, cleanText } from "../lib/tribute.js";
+import { isValidEmail } from "../lib/donors.js";
+import { issueSuccessAccess } from "../lib/session-access.js";
+import { requestLogger } from "../lib/logger.js";
+import { routePayment } from "../lib/payment-methods.js";
 
 /** Paths base (sin locale) */
 const SUCCESS_PATH = "/donate/success";
@@ -21,106 +23,215 @@ const CANCEL_PATH  = "/payment";
 /** Config permitida */
 const ALLOWED = {
   modes: new Set(["payment", "subscription"]),
-  currencies: new Set(["USD"]),          // si en el futuro habilitas otras, añádelas aquí
+  currencies: allowedCurrencies(),       // ENV ALLOWED_CURRENCIES (ver lib/currency.js)
   intervals: new Set(["week", "month", "year"])
 };
 
-/** Detecta locale a partir del Referer (primer segmento de la ruta) */
-function detectLocale(req) {
-  try {
-    const ref = req.headers.referer || req.headers.referrer;
-    if (!ref) return null;
-    const u = new URL(ref);
-    // u.pathname p.ej.: "/kr/donate"  -> ["", "kr", "donate"]
-    const segments = u.pathname.split("/").filter(Boolean);
-    if (!segments.length) return null;
-    const candidate = segments[0].toLowerCase();
-    return ALLOWED_LOCALES.has(candidate) ? candidate : null;
-  } catch {
-    return null;
-  }
+/**
+ * Anti card-testing (bots que crean miles de sessions de $1):
+ * - RATE_LIMIT_CHECKOUT_IP          = "10/600" → intentos por IP cada 10 min
+ * - RATE_LIMIT_CHECKOUT_FINGERPRINT = "5/600"  → por huella (client_fingerprint del widget, o IP + user-agent)
+ * - CHALLENGE_PROVIDER / CHALLENGE_SECRET       → Turnstile/hCaptcha opcional (ver lib/challenge.js)
+ * - MIN_AMOUNTS / SOFT_MAX_AMOUNTS              → ver lib/currency.js
+ *
+ * Cada request lleva un correlation id (lib/logger.js) que queda en la metadata de la session,
+ * el PaymentIntent y la suscripción: el webhook y los reenvíos lo recogen de ahí.
+ */
+const IP_LIMIT = parseLimit(process.env.RATE_LIMIT_CHECKOUT_IP, { limit: 10, window: 600 });
+const FINGERPRINT_LIMIT = parseLimit(process.env.RATE_LIMIT_CHECKOUT_FINGERPRINT, { limit: 5, window: 600 });
+
+function fingerprintOf(req, ip) {
+  const fp = req.body?.client_fingerprint;
+  if (typeof fp === "string" && fp && fp.length <= 128) return `c:${fp}`;
+  return `h:${ip}|${req.headers["user-agent"] || ""}`;
 }
 
-/** Construye URL segura: origin + (locale? `/${locale}` : "") + path */
-function buildUrl(origin, localeOrNull, path) {
-  const base = new URL(origin);
-  const prefix = localeOrNull ? `/${localeOrNull}` : "";
-  // Asegura una sola barra
-  base.pathname = `${prefix}${path}`.replace(/\/{2,}/g, "/");
-  return base.toString();
+/** Log estructurado de intentos rechazados (IP y huella hasheadas) + respuesta */
+function reject(res, status, body, ctx) {
+  ctx.log.warn("rejected", {
+    reason: body.error,
+    ...(ctx.reason ? { detail: ctx.reason } : {}),
+    status,
+    ip: shortHash(ctx.ip),
+    fingerprint: shortHash(ctx.fingerprint),
+    amount: Number.isInteger(ctx.amount) ? ctx.amount : null,
+    currency: ctx.currency ?? null
+  });
+  return res.status(status).json(body);
 }
 
-/** Agrega el query param CHECKOUT_SESSION_ID a la success url */
-function addSessionIdParam(urlStr) {
+/** Agrega el query param CHECKOUT_SESSION_ID (y el token de acceso de get-session) a la success url */
+function addSessionIdParam(urlStr, accessToken) {
   const u = new URL(urlStr);
   u.searchParams.set("session_id", "{CHECKOUT_SESSION_ID}");
+  if (accessToken) u.searchParams.set("t", accessToken);
   return u.toString();
 }
 
 export default async function handler(req, res) {
-  // CORS
-  res.setHeader("Access-Control-Allow-Origin", allowOrigin(req));
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Idempotency-Key");
-  if (req.method === "OPTIONS") return res.status(204).end();
+  if (cors(req, res, { methods: "POST, OPTIONS", headers: "Content-Type, Idempotency-Key, X-Correlation-Id" })) return;
   if (req.method !== "POST")   return res.status(405).json({ error: "Method not allowed" });
 
-  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+  // Mismo Idempotency-Key → mismo correlation id: Stripe rechaza reintentos con otros parámetros
+  const clientIdemKey = req.headers["idempotency-key"];
+  const log = requestLogger(req, res, "checkout", clientIdemKey ? `ck_${shortHash(clientIdemKey)}` : null);
+  const ip = clientIp(req);
+  const ctx = { log, ip, fingerprint: fingerprintOf(req, ip), amount: req.body?.amount, currency: req.body?.currency };
+
+  // --- RATE LIMIT (cuenta todos los intentos, válidos o no) ---
+  try {
+    for (const [key, limit] of [[`checkout:ip:${ip}`, IP_LIMIT], [`checkout:fp:${ctx.fingerprint}`, FINGERPRINT_LIMIT]]) {
+      const r = await consume(key, limit);
+      if (!r.allowed) {
+        res.setHeader("Retry-After", String(r.retry_after));
+        return reject(res, 429, { error: "Too many requests" }, ctx);
+      }
+    }
+  } catch (err) {
+    // si el store no responde no bloqueamos donaciones reales
+    log.error("rate-limit store error", { err });
+  }
+
+  // --- CHALLENGE (Turnstile/hCaptcha, si está configurado) ---
+  const challenge = await verifyChallenge(req.body?.challenge_token, ip);
+  if (!challenge.ok) return reject(res, 403, { error: "Challenge failed" }, { ...ctx, reason: challenge.reason });
+
+  const stripe = getStripe();
 
   try {
     const {
       mode = "payment",            // "payment" | "subscription"
-      amount,                      // minor units (USD: 500 = $5.00)
-      currency = "USD",
+      amount,                      // minor units (USD: 500 = $5.00; KRW/JPY sin decimales: 5000 = ₩5,000)
+      currency: currency_raw,      // default: la moneda del locale
       // for subscriptions:
       interval = "month",          // "week" | "month" | "year"
       interval_count = 1,
       // optional from Webflow UI:
       prayer_request = "",
       locale: locale_hint,
-      public_consent
+      public_consent,
+      campaign: campaign_slug,
+      cover_fees = false,          // el donante cubre la comisión de procesamiento
+      email: donor_email,          // opcional: prellena el email en Checkout
+      preferred_method,            // "auto" | "bank" | "card" (ver lib/payment-methods.js)
+      // tributo opcional: "honor" | "memory" + homenajeado (y email para avisarle)
+      tribute_type,
+      honoree_name,
+      honoree_email,
+      tribute_message,
+      confirm_large_amount = false // requerido por encima de SOFT_MAX_AMOUNTS
     } = req.body || {};
 
+    // Prefer a validated client-provided locale hint; fallback to Referer
+    const locale = resolveLocale(req, locale_hint);
+    const currency = currency_raw == null || currency_raw === ""
+      ? currencyForLocale(locale)
+      : String(currency_raw).toUpperCase();
+
+    ctx.currency = currency;
+
     // --- SERVER-SIDE VALIDATION ---
-    if (!ALLOWED.modes.has(mode))           return res.status(400).json({ error: "Invalid mode" });
-    if (!ALLOWED.currencies.has(currency))  return res.status(400).json({ error: "Invalid currency" });
-    if (!ALLOWED.intervals.has(interval))   return res.status(400).json({ error: "Invalid interval" });
+    if (!ALLOWED.modes.has(mode))           return reject(res, 400, { error: "Invalid mode" }, ctx);
+    if (!ALLOWED.currencies.has(currency))  return reject(res, 400, { error: "Invalid currency" }, ctx);
+    if (!ALLOWED.intervals.has(interval))   return reject(res, 400, { error: "Invalid interval" }, ctx);
     if (!Number.isInteger(interval_count) || interval_count < 1 || interval_count > 12)
-      return res.status(400).json({ error: "Invalid interval_count" });
+      return reject(res, 400, { error: "Invalid interval_count" }, ctx);
 
-    // Sin tope superior: aceptar donaciones altas
     if (!Number.isInteger(amount) || amount < 1)
-      return res.status(400).json({ error: "Invalid amount" });
+      return reject(res, 400, { error: "Invalid amount" }, ctx);
+    if (amount < minAmount(currency))
+      return reject(res, 400, {
+        error: "Amount below minimum",
+        min_amount: minAmount(currency),
+        min_amount_formatted: formatMoney(minAmount(currency), currency)
+      }, ctx);
+    // Tope duro: lo máximo que Stripe acepta (con la comisión incluida, más abajo)
+    if (amount > STRIPE_MAX_AMOUNT)
+      return reject(res, 400, { error: "Amount above maximum" }, ctx);
+    // Tope blando: donaciones altas sí, pero con confirmación explícita del donante
+    if (amount > softMaxAmount(currency) && confirm_large_amount !== true)
+      return reject(res, 409, {
+        error: "Amount requires confirmation",
+        requires_confirmation: true,
+        soft_max_amount: softMaxAmount(currency),
+        soft_max_amount_formatted: formatMoney(softMaxAmount(currency), currency)
+      }, ctx);
+
+    // Consentimiento público: "public" | "first_name" | "anonymous" (o boolean del checkbox antiguo)
+    // Sin elección explícita → anónimo
+    const consent = public_consent == null || public_consent === "" ? "anonymous" : parseConsent(public_consent);
+    if (!consent) return reject(res, 400, { error: "Invalid public_consent" }, ctx);
+
+    // Métodos de pago: Dashboard, solo banco, solo tarjeta, o banco primero para gifts grandes
+    const route = routePayment({ preferred: preferred_method, amount, currency });
+    if (route.error) return reject(res, 400, { error: route.error }, ctx);
+
+    if (typeof cover_fees !== "boolean") return reject(res, 400, { error: "Invalid cover_fees" }, ctx);
+    // Monto a cobrar: el gift + comisión (gross-up) si el donante la cubre; tarifa bancaria solo si es solo banco
+    const charge = cover_fees ? grossUp(amount, currency, route.fees) : { gift: amount, fee: 0, total: amount };
+    if (charge.total > STRIPE_MAX_AMOUNT) return reject(res, 400, { error: "Amount above maximum" }, ctx);
+
+    // Campaña opcional (config/campaigns.json); debe existir y estar abierta
+    let campaign = null;
+    if (campaign_slug != null && campaign_slug !== "") {
+      const slug = String(campaign_slug).toLowerCase();
+      campaign = SLUG_RE.test(slug) ? getCampaign(slug) : null;
+      if (!campaign || !isOpen(campaign)) return reject(res, 400, { error: "Invalid campaign" }, ctx);
+    }
 
     // Sanitizar prayer (máx 140 chars por UX)
-    const cleanPrayer = String(prayer_request || "")
-      .replace(/[\u0000-\u001f\u007f]/g, "")
-      .trim()
-      .slice(0, 140);
+    const cleanPrayer = cleanText(prayer_request, 140);
+
+    // Tributo: mismo saneamiento; el email del homenajeado se valida (ver lib/tribute.js)
+    const { tribute, error: tributeError } = parseTribute({ tribute_type, honoree_name, honoree_email, tribute_message });
+    if (tributeError) return reject(res, 400, { error: tributeError }, ctx);
+
+    if (donor_email != null && donor_email !== "" && !isValidEmail(donor_email))
+      return reject(res, 400, { error: "Invalid email" }, ctx);
+
+    // Siempre un Customer nuevo: el email del body no está verificado, así que no lo usamos para
+    // adjuntar el Customer de un donante existente. El webhook junta los Customers del mismo
+    // donante después del pago (lib/donors.js#recordDonorGift).
+    const customerFields = {
+      ...(donor_email ? { customer_email: String(donor_email).trim() } : {}),
+      ...(mode === "payment" ? { customer_creation: "always" } : {})
+    };
 
     // === Locale-aware success/cancel (no confiamos en el cliente) ===
     const origin = allowOrigin(req);
-    // Prefer a validated client-provided locale hint; fallback to Referer
-    const hinted = (typeof locale_hint === "string" ? locale_hint.toLowerCase() : null);
-    const locale = hinted && ALLOWED_LOCALES.has(hinted) ? hinted : detectLocale(req);
-    const successUrl = addSessionIdParam(buildUrl(origin, locale, SUCCESS_PATH));
+    // token para que solo quien vuelve del checkout lea la session (lib/session-access.js);
+    // estable por Idempotency-Key, igual que el correlation id
+    const access = issueSuccessAccess(clientIdemKey || null);
+    const successUrl = addSessionIdParam(buildUrl(origin, locale, SUCCESS_PATH), access?.token);
     const cancelUrl  = buildUrl(origin, locale, CANCEL_PATH);
 
     // Metadata común
     const baseMetadata = {
       source: "webflow",
+      correlation_id: log.context.correlation_id,
       gift_type: mode === "payment" ? "one-time" : "monthly",
-      public_consent: "true",
-      ...(cleanPrayer ? { prayer_request: cleanPrayer } : {})
+      public_consent: consent,
+      // locale del donante: los payloads downstream se pueden renderizar en su idioma
+      ...(locale ? { locale } : {}),
+      ...(mode === "subscription" ? { interval, interval_count: String(interval_count) } : {}),
+      ...(campaign ? { campaign: campaign.slug } : {}),
+      ...(cover_fees ? feeMetadata(charge) : {}),
+      ...(cleanPrayer ? { prayer_request: cleanPrayer } : {}),
+      ...(tribute ? tributeMetadata(tribute) : {}),
+      ...(route.types ? { payment_routing: route.routing } : {})
     };
 
+    // "One-time donation — Mission Trip 2026 (incl. processing fee)"
+    const productName = (label) =>
+      `${campaign ? `${label} — ${campaign.name}` : label}${cover_fees ? " (incl. processing fee)" : ""}`;
+
     // Config base de Checkout
     const base = {
       mode,
       success_url: successUrl,
       cancel_url: cancelUrl,
       billing_address_collection: "auto",
+      locale: checkoutLocale(locale),
       custom_fields: [
         {
           key: "full_name",
@@ -130,56 +241,62 @@ export default async function handler(req, res) {
           text: { minimum_length: 1, maximum_length: 120 }
         }
       ],
-      metadata: baseMetadata,
-      submit_type: "donate"
-      // No fijamos payment_method_types; Stripe mostrará Apple/Google Pay, Link,
-      // PayPal, Amazon Pay, Crypto, etc., según disponibilidad y Dashboard.
+      // el nonce va solo en la session (no en el PaymentIntent ni la suscripción)
+      metadata: access ? { ...baseMetadata, success_nonce: access.nonce } : baseMetadata,
+      submit_type: "donate",
+      // Sin preferred_method (y gift chico) no fijamos payment_method_types: Stripe mostrará
+      // Apple/Google Pay, Link, PayPal, Amazon Pay, Crypto, etc., según disponibilidad y Dashboard.
+      // Débitos bancarios (ACH/SEPA…) se acreditan después: el webhook espera async_payment_succeeded.
+      ...(route.types ? { payment_method_types: route.types } : {})
     };
 
     // Idempotencia
-    const idemKey = req.headers["idempotency-key"] || crypto.randomUUID();
+    const idemKey = clientIdemKey || crypto.randomUUID();
 
     // ---- ONE-TIME ----
     if (mode === "payment") {
       const session = await stripe.checkout.sessions.create({
         ...base,
-        customer_creation: "always",
+        ...customerFields,
         payment_intent_data: { metadata: baseMetadata },
         line_items: [
           {
             quantity: 1,
             price_data: {
               currency,
-              unit_amount: amount,
-              product_data: { name: "One-time donation" }
+              unit_amount: charge.total,
+              product_data: { name: productName("One-time donation") }
             }
           }
         ]
       }, { idempotencyKey: idemKey });
 
+      log.info("session created", { session_id: session.id, mode, currency, amount: charge.total });
       return res.status(200).json({ url: session.url });
     }
 
     // ---- SUBSCRIPTION ----
     const session = await stripe.checkout.sessions.create({
       ...base,
+      ...customerFields,
       subscription_data: { metadata: baseMetadata },
       line_items: [
         {
           quantity: 1,
           price_data: {
             currency,
-            unit_amount: amount,
-            product_data: { name: "Recurring donation" },
+            unit_amount: charge.total,
+            product_data: { name: productName("Recurring donation") },
             recurring: { interval, interval_count }
           }
         }
       ]
     }, { idempotencyKey: idemKey });
 
+    log.info("session created", { session_id: session.id, mode, currency, amount: charge.total });
     return res.status(200).json({ url: session.url });
   } catch (err) {
-    console.error("[Stripe error]", err);
+    log.error("stripe error", { err });
     return res.status(500).json({ error: "Internal server error" });
   }
 }
\ No newline at end of file
@@ -0,0 +1,109 @@
+// api/donations-stream.js
+import { getFeedEvents } from "../lib/feed-events.js";
+import { feedItem } from "../lib/feed.js";
+import { SLUG_RE } from "../lib/campaigns.js";
+import { normalizeLocale } from "../lib/i18n.js";
+import { cors } from "../lib/cors.js";
+import { requestLogger } from "../lib/logger.js";
+import { storeDriver } from "../lib/json-file.js";
+
+/**
+ * Server-Sent Events para el ticker de Webflow:
+ *
+ *   const es = new EventSource("/api/donations-stream?locale=kr&campaign=mission-trip-2026");
+ *   es.addEventListener("donation", (e) => show(JSON.parse(e.data)));   // { name, text, ts }
+ *
+ * - "donation"  → item nuevo (mismo formato que public-recent-donations); id = secuencia
+ * - "heartbeat" → cada STREAM_HEARTBEAT_SECONDS para que proxies no corten la conexión
+ * - Reconexión: EventSource manda Last-Event-ID y retomamos desde ahí (también ?last_event_id=)
+ *
+ * Los items los publica el webhook, que en Vercel es otra función: hace falta el store compartido
+ * (Vercel KV, ver lib/feed-events.js); aquí se sondea cada STREAM_POLL_MS.
+ *
+ * Costo del sondeo: cada tick es una lectura del documento de feed-events (con KV, un request).
+ * Las conexiones de una instancia comparten un solo sondeo (feed.watch), así que son
+ * ~instancias × (1000 / STREAM_POLL_MS) lecturas por segundo, no una por espectador; subir
+ * STREAM_POLL_MS baja el costo a cambio de más retraso en el ticker.
+ *
+ * Las funciones de Vercel tienen duración máxima: cerramos a los STREAM_MAX_SECONDS y el navegador
+ * reconecta solo (retry) sin perder items.
+ *
+ * ENV: STREAM_HEARTBEAT_SECONDS (15), STREAM_POLL_MS (2000), STREAM_MAX_SECONDS (55)
+ */
+const HEARTBEAT_SECONDS = Math.max(1, parseInt(process.env.STREAM_HEARTBEAT_SECONDS, 10) || 15);
+const POLL_MS = Math.max(250, parseInt(process.env.STREAM_POLL_MS, 10) || 2000);
+const MAX_SECONDS = Math.max(5, parseInt(process.env.STREAM_MAX_SECONDS, 10) || 55);
+const RETRY_MS = 3000;
+
+function lastEventId(req) {
+  const raw = req.headers["last-event-id"] ?? req.query?.last_event_id;
+  const n = parseInt(raw, 10);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "donations-stream");
+  if (cors(req, res, { methods: "GET, OPTIONS", headers: "Content-Type, Last-Event-ID" })) return;
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const locale = normalizeLocale(req.query?.locale);
+  const campaign = typeof req.query?.campaign === "string" ? req.query.campaign.toLowerCase() : null;
+  if (campaign && !SLUG_RE.test(campaign)) return res.status(400).json({ error: "Invalid campaign" });
+
+  if (process.env.VERCEL && storeDriver() === "file") {
+    log.warn("feed events are per-function without KV; the stream will not see webhook items");
+  }
+
+  const feed = getFeedEvents();
+  let cursor;
+  try {
+    // con conexiones abiertas en la instancia, el último sondeo basta (no una lectura por espectador)
+    const last = await feed.lastSeq({ maxAgeMs: POLL_MS });
+    const resume = lastEventId(req);
+    // Sin Last-Event-ID empezamos "desde ahora" (el estado inicial lo da el endpoint de polling);
+    // si el store se reinició y el id quedó adelante, también.
+    cursor = resume == null || resume > last ? last : resume;
+  } catch (err) {
+    log.error("store error", { err });
+    return res.status(500).json({ error: "Stream unavailable" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+
+  const send = (item) => {
+    if (closed || item.seq <= cursor) return;
+    cursor = item.seq;
+    if (campaign && item.campaign !== campaign) return;
+    res.write(`event: donation\nid: ${item.seq}\ndata: ${JSON.stringify(feedItem(item, locale))}\n\n`);
+  };
+
+  // Un solo sondeo por instancia para todas las conexiones; cada una avanza su cursor
+  const unwatch = feed.watch((items) => items.forEach(send), {
+    pollMs: POLL_MS,
+    onError: (err) => log.error("poll failed", { err })
+  });
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(`event: heartbeat\ndata: ${JSON.stringify({ ts: Math.floor(Date.now() / 1000) })}\n\n`);
+  }, HEARTBEAT_SECONDS * 1000);
+
+  await new Promise((resolve) => {
+    const timeout = setTimeout(resolve, MAX_SECONDS * 1000);
+    req.on("close", () => {
+      clearTimeout(timeout);
+      resolve();
+    });
+  });
+
+  closed = true;
+  unwatch();
+  clearInterval(heartbeat);
+  if (!res.writableEnded) res.end();
+}
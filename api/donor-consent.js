@@ -0,0 +1,62 @@
+// api/donor-consent.js
+import { cors } from "../lib/cors.js";
+import { getStripe } from "../lib/stripe.js";
+import { parseConsent, normalizeConsent, verifyConsentToken } from "../lib/consent.js";
+import { getLedger } from "../lib/ledger/index.js";
+import { requestLogger } from "../lib/logger.js";
+
+
+/**
+ * GET  ?token=…                     → { consent }
+ * POST { token, consent }           → actualiza la visibilidad del donante
+ *
+ * El token lo firmamos nosotros (consent_url del webhook / get-session) y va atado a la session.
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "donor-consent");
+  if (cors(req, res, { methods: "GET, POST, OPTIONS" })) return;
+  if (req.method !== "GET" && req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const token = req.method === "GET" ? req.query?.token : req.body?.token;
+  let sessionId;
+  try {
+    sessionId = verifyConsentToken(token);
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Consent links not configured" });
+  }
+  if (!sessionId) return res.status(401).json({ error: "Invalid or expired link" });
+
+  const stripe = getStripe();
+
+  try {
+    const s = await stripe.checkout.sessions.retrieve(sessionId);
+
+    if (req.method === "GET") {
+      res.setHeader("Cache-Control", "no-store");
+      return res.status(200).json({ consent: normalizeConsent(s.metadata?.public_consent) });
+    }
+
+    const consent = parseConsent(req.body?.consent);
+    if (!consent) return res.status(400).json({ error: "Invalid consent" });
+
+    // El feed lee el ledger; en Stripe mantenemos session/PI/subscription en sync
+    // para que los eventos posteriores (invoice.paid, backfill) lleven el valor nuevo.
+    await getLedger().update(s.id, { consent });
+    const metadata = { public_consent: consent };
+    await stripe.checkout.sessions.update(s.id, { metadata });
+    if (typeof s.payment_intent === "string") {
+      await stripe.paymentIntents.update(s.payment_intent, { metadata });
+    }
+    if (typeof s.subscription === "string") {
+      await stripe.subscriptions.update(s.subscription, { metadata });
+    }
+
+    log.info("updated", { session_id: s.id, consent });
+    return res.status(200).json({ consent });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Failed to update consent" });
+  }
+}
@@ -1,38 +1,77 @@
-import Stripe from "stripe";
+import { cors } from "../lib/cors.js";
+import { getStripe } from "../lib/stripe.js";
+import { normalizeConsent, consentToken } from "../lib/consent.js";
+import { formatMoney } from "../lib/currency.js";
+import { giftAmount, feeAmount } from "../lib/fees.js";
+import { tributeFromMetadata, maskEmail } from "../lib/tribute.js";
+import { sessionAccess } from "../lib/session-access.js";
+import { fullNameFrom } from "../lib/donations.js";
+import { receiptFor } from "../lib/receipts.js";
+import { intlTag, normalizeLocale } from "../lib/i18n.js";
+import { requestLogger } from "../lib/logger.js";
 
-const ALLOWED_ORIGINS = [
-  "https://hyeoks-site.webflow.io",
-  "https://brotherhyeok.com",
+const SESSION_ID_RE = /^cs_(test|live)_[A-Za-z0-9]+$/;
 
-];
-const allowOrigin = (req) =>
-  ALLOWED_ORIGINS.includes(req.headers.origin) ? req.headers.origin : "https://hyeoks-site.webflow.io";
+const idOf = (v) => (v && typeof v === "object" ? v.id : v) || null;
+const isoDate = (epoch) => (epoch ? new Date(epoch * 1000).toISOString() : null);
 
+/** Intervalo y próxima fecha de cobro (la suscripción viene expandida) */
+function subscriptionDetails(s) {
+  if (s.mode !== "subscription") return null;
+  const sub = typeof s.subscription === "object" ? s.subscription : null;
+  const recurring = sub?.items?.data?.[0]?.price?.recurring;
+  const nextBilling = sub && !sub.cancel_at_period_end ? sub.current_period_end ?? null : null;
+  return {
+    status: sub?.status || null,
+    interval: recurring?.interval || s.metadata?.interval || null,
+    interval_count: recurring?.interval_count || Number(s.metadata?.interval_count) || null,
+    next_billing_at: nextBilling,
+    next_billing_date: isoDate(nextBilling)
+  };
+}
+
+/** Recibo de Stripe: el del cargo (one-time) o la factura (primer cobro de suscripción) */
+function stripeReceiptUrl(s) {
+  const pi = typeof s.payment_intent === "object" ? s.payment_intent : null;
+  const charge = typeof pi?.latest_charge === "object" ? pi.latest_charge : null;
+  const invoice = typeof s.invoice === "object" ? s.invoice : null;
+  return charge?.receipt_url || invoice?.hosted_invoice_url || null;
+}
+
+const isNotFound = (err) => err?.code === "resource_missing" || err?.statusCode === 404;
+
+/**
+ * GET ?session_id=cs_…&t=<token de la success URL>[&locale=kr]
+ * Acceso: token firmado de la success URL, o session completada hace poco (lib/session-access.js).
+ */
 export default async function handler(req, res) {
-  // CORS
-  res.setHeader("Access-Control-Allow-Origin", allowOrigin(req));
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-  if (req.method === "OPTIONS") return res.status(204).end();
+  const log = requestLogger(req, res, "get-session");
+  if (cors(req, res, { methods: "GET, OPTIONS" })) return;
   if (req.method !== "GET")   return res.status(405).json({ error: "Method not allowed" });
+  // Datos personales: que ningún CDN ni el navegador los guarde
+  res.setHeader("Cache-Control", "private, no-store");
 
-  const { session_id } = req.query || {};
+  const { session_id, t } = req.query || {};
   if (!session_id) return res.status(400).json({ error: "Missing session_id" });
+  if (!SESSION_ID_RE.test(session_id)) return res.status(400).json({ error: "Invalid session_id" });
 
-  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+  const stripe = getStripe();
 
   try {
     const s = await stripe.checkout.sessions.retrieve(session_id, {
-      expand: ["payment_intent", "subscription", "customer"]
+      expand: ["payment_intent.latest_charge", "subscription", "invoice"]
     });
 
-    let fullName = null;
-    if (Array.isArray(s.custom_fields)) {
-      const f = s.custom_fields.find((x) => x.key === "full_name");
-      fullName = f?.text?.value || null;
+    // Mismo 404 para "no existe" y "no es tuya": no confirmamos ids ajenos
+    if (!sessionAccess(s, typeof t === "string" ? t : null)) {
+      return res.status(404).json({ error: "Session not found" });
     }
 
+    const locale = normalizeLocale(req.query?.locale || s.metadata?.locale);
+    const gift = typeof s.amount_total === "number" ? giftAmount(s.metadata, s.amount_total) : null;
+    const tribute = tributeFromMetadata(s.metadata);
+    const receipt = await receiptFor(s.id).catch(() => null);
+
     return res.status(200).json({
       session: {
         id: s.id,
@@ -40,15 +79,43 @@ export default async function handler(req, res) {
         status: s.status,
         payment_status: s.payment_status,
         amount_total: s.amount_total,
+        // gift sin la comisión cubierta: es lo que muestra la success page
+        gift_amount: gift,
+        fee_amount: feeAmount(s.metadata),
         currency: s.currency,
+        locale,
+        // "₩50,000", "US$50.00"… en el idioma de la página
+        amount_formatted: gift != null ? formatMoney(gift, s.currency, intlTag(locale)) : null,
         customer_email: s.customer_details?.email || s.customer_email || null,
-        customer_name: fullName || s.customer_details?.name || null,
-        subscription_id: typeof s.subscription === "object" ? s.subscription.id : s.subscription || null,
-        payment_intent_id: typeof s.payment_intent === "object" ? s.payment_intent.id : s.payment_intent || null
+        customer_name: fullNameFrom(s),
+        subscription_id: idOf(s.subscription),
+        payment_intent_id: idOf(s.payment_intent),
+        subscription: subscriptionDetails(s),
+        public_consent: normalizeConsent(s.metadata?.public_consent),
+        // para que la success page ofrezca "cambiar visibilidad" (POST /api/donor-consent)
+        consent_token: process.env.LINK_SIGNING_SECRET ? consentToken(s.id) : null,
+        prayer_request: s.metadata?.prayer_request || null,
+        campaign: s.metadata?.campaign || null,
+        // "In memory of …" + a quién avisamos (email enmascarado)
+        tribute: tribute
+          ? {
+              type: tribute.type,
+              honoree_name: tribute.honoree_name,
+              notify_email: maskEmail(tribute.honoree_email),
+              message: tribute.message
+            }
+          : null,
+        receipt: {
+          url: stripeReceiptUrl(s),
+          // recibo deducible propio (lo asigna el webhook; puede llegar unos segundos después)
+          number: receipt?.number || null,
+          status: receipt?.status || "pending"
+        }
       }
     });
   } catch (err) {
-    console.error("[get-session]", err?.message);
+    if (isNotFound(err)) return res.status(404).json({ error: "Session not found" });
+    log.error("request failed", { err });
     return res.status(500).json({ error: "Failed to retrieve session" });
   }
-}
\ No newline at end of file
+}
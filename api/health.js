@@ -0,0 +1,131 @@
+// api/health.js
+import { isAdmin } from "../lib/admin-auth.js";
+import { getStripe } from "../lib/stripe.js";
+import { webhookSecrets, insecureDevMode } from "../lib/stripe-signature.js";
+import { listDestinations, destinationSecret } from "../lib/destinations.js";
+import { getProcessedEvents } from "../lib/processed-events.js";
+import { outboxStats } from "../lib/outbox.js";
+import { storeStatus } from "../lib/json-file.js";
+import { requestLogger } from "../lib/logger.js";
+
+/**
+ * Diagnóstico interno (Authorization: Bearer ADMIN_API_TOKEN). Nunca devuelve valores de ENV,
+ * solo si están configurados.
+ *
+ *   GET → { status: "ok" | "degraded", config, stripe, storage, webhook, forwards }
+ *         200 si todo ok; 503 si falta config requerida, Stripe no responde o no se puede escribir
+ *         el ledger (para monitores)
+ *
+ * ENV: HEALTH_STRIPE_TIMEOUT_MS (default 3000)
+ */
+const REQUIRED = ["STRIPE_SECRET_KEY", "STRIPE_WEBHOOK_SECRET", "LINK_SIGNING_SECRET"];
+const RECOMMENDED = ["SITE_URL", "MINISTRY_TAX_ID"];
+
+const isSet = (name) => Boolean(process.env[name]);
+
+function stripeMode() {
+  const key = process.env.STRIPE_SECRET_KEY || "";
+  if (/^(sk|rk)_live_/.test(key)) return "live";
+  if (/^(sk|rk)_test_/.test(key)) return "test";
+  return key ? "unknown" : null;
+}
+
+/** Qué está configurado (nombres, nunca valores) */
+function configReport() {
+  const missing = REQUIRED.filter((name) => !isSet(name));
+  const warnings = RECOMMENDED.filter((name) => !isSet(name)).map((name) => `${name} not set`);
+
+  let destinations = [];
+  try {
+    destinations = listDestinations().map((d) => ({
+      name: d.name,
+      events: d.events,
+      signed: Boolean(destinationSecret(d))
+    }));
+    for (const d of destinations) if (!d.signed) warnings.push(`destination "${d.name}" has no HMAC secret`);
+  } catch (err) {
+    // el mensaje de parseDestinations no incluye URLs ni secrets
+    missing.push("FORWARD_DESTINATIONS");
+    warnings.push(err.message);
+  }
+
+  if (insecureDevMode()) warnings.push("STRIPE_WEBHOOK_INSECURE_DEV is on");
+  if (process.env.CHALLENGE_PROVIDER && process.env.CHALLENGE_PROVIDER !== "stub" && !isSet("CHALLENGE_SECRET")) {
+    missing.push("CHALLENGE_SECRET");
+  }
+
+  return {
+    complete: missing.length === 0,
+    missing,
+    warnings,
+    stripe_mode: stripeMode(),
+    webhook_secrets: webhookSecrets().length,
+    mailer: (process.env.MAILER_DRIVER || (process.env.SMTP_HOST ? "smtp" : "file")).toLowerCase(),
+    receipts: String(process.env.SEND_RECEIPTS || "on").toLowerCase() !== "off",
+    challenge: process.env.CHALLENGE_PROVIDER || null,
+    destinations
+  };
+}
+
+/** Llamada barata a la API de Stripe con timeout */
+async function stripeReport() {
+  if (!isSet("STRIPE_SECRET_KEY")) return { reachable: false, error: "not_configured" };
+  const timeoutMs = Number(process.env.HEALTH_STRIPE_TIMEOUT_MS) || 3000;
+  const started = Date.now();
+  let timer;
+  try {
+    const balance = await Promise.race([
+      getStripe().balance.retrieve(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error("timeout"), { code: "timeout" })), timeoutMs);
+      })
+    ]);
+    return { reachable: true, livemode: Boolean(balance?.livemode), latency_ms: Date.now() - started };
+  } catch (err) {
+    // solo el tipo/código: el mensaje de Stripe puede incluir parte de la key
+    return { reachable: false, error: err?.code || err?.type || "error", latency_ms: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function webhookReport() {
+  const last = await getProcessedEvents().last?.();
+  return {
+    last_event_at: last ? new Date(last.at * 1000).toISOString() : null,
+    last_event_type: last?.type || null,
+    seconds_since_last_event: last ? Math.floor(Date.now() / 1000) - last.at : null
+  };
+}
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "health");
+  if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const config = configReport();
+    // primero el store: si no se puede leer, webhook/forwards fallarían con el mismo error
+    const storage = { ...(await storeStatus()), ledger: (process.env.LEDGER_DRIVER || "json").toLowerCase() };
+    if (!storage.shared) config.warnings.push("file storage is per-function on Vercel: set KV_REST_API_URL and KV_REST_API_TOKEN");
+    const [stripe, webhook, forwards] = storage.writable
+      ? await Promise.all([stripeReport(), webhookReport(), outboxStats()])
+      : [await stripeReport(), null, null];
+    const ok = config.complete && stripe.reachable && storage.writable;
+    if (!ok) log.warn("degraded", { missing: config.missing, stripe: stripe.error || null, storage: storage.error || null });
+
+    return res.status(ok ? 200 : 503).json({
+      status: ok ? "ok" : "degraded",
+      time: new Date().toISOString(),
+      config,
+      stripe,
+      storage,
+      webhook,
+      forwards: forwards && { ...forwards, failures: forwards.failing + forwards.dead }
+    });
+  } catch (err) {
+    log.error("health check failed", { err });
+    return res.status(500).json({ error: "Health check failed" });
+  }
+}
@@ -0,0 +1,260 @@
+// api/manage-subscription.js
+import { cors, allowOrigin } from "../lib/cors.js";
+import { getStripe } from "../lib/stripe.js";
+import crypto from "crypto";
+import { signToken, verifyToken } from "../lib/signed-token.js";
+import { resolveLocale, buildUrl } from "../lib/locale-urls.js";
+import { forwardEvent } from "../lib/forward.js";
+import { minAmount, softMaxAmount, STRIPE_MAX_AMOUNT, formatMoney } from "../lib/currency.js";
+import { grossUp, feeMetadata, giftAmount } from "../lib/fees.js";
+import { requestLogger } from "../lib/logger.js";
+import { sessionAccess } from "../lib/session-access.js";
+import { consume, parseLimit, clientIp, shortHash } from "../lib/rate-limit/index.js";
+
+
+/** Paths base (sin locale) */
+const MANAGE_PATH = "/donate/manage";     // página que recibe ?token=… del link mágico
+const PORTAL_RETURN_PATH = "/donate";
+
+const TOKEN_PURPOSE = "manage";
+const TOKEN_TTL = 60 * 60;                // 1 hora
+
+/**
+ * Cada link mágico es un email que manda Zapier: limitamos por IP y por destinatario.
+ * - RATE_LIMIT_MANAGE_LINK_IP    = "5/3600"
+ * - RATE_LIMIT_MANAGE_LINK_EMAIL = "3/3600"
+ */
+const LINK_IP_LIMIT = parseLimit(process.env.RATE_LIMIT_MANAGE_LINK_IP, { limit: 5, window: 3600 });
+const LINK_EMAIL_LIMIT = parseLimit(process.env.RATE_LIMIT_MANAGE_LINK_EMAIL, { limit: 3, window: 3600 });
+
+const INTERVALS = new Set(["week", "month", "year"]);
+const ACTIONS = new Set(["request_link", "portal", "change", "pause", "resume", "cancel"]);
+
+function sendJson(res, status, body) {
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(status).json(body);
+}
+
+/** Resumen de una suscripción para la página de gestión */
+function summarize(sub) {
+  const item = sub.items?.data?.[0];
+  const charged = item ? (item.price?.unit_amount ?? 0) * (item.quantity ?? 1) : null;
+  return {
+    id: sub.id,
+    status: sub.status,
+    paused: Boolean(sub.pause_collection),
+    cancel_at_period_end: Boolean(sub.cancel_at_period_end),
+    // gift sin la comisión cubierta (ver lib/fees.js)
+    amount: charged == null ? null : giftAmount(sub.metadata, charged),
+    covers_fees: sub.metadata?.cover_fees === "true",
+    currency: (item?.price?.currency || "").toUpperCase(),
+    interval: item?.price?.recurring?.interval || null,
+    interval_count: item?.price?.recurring?.interval_count || null,
+    current_period_end: sub.current_period_end ?? null
+  };
+}
+
+/** Suscripciones vivas de los customers del token */
+async function subscriptionsFor(stripe, customerIds) {
+  const out = [];
+  for (const customer of customerIds) {
+    const list = await stripe.subscriptions.list({ customer, status: "all", limit: 20 });
+    for (const sub of list.data) {
+      if (sub.status !== "canceled" && sub.status !== "incomplete_expired") out.push(sub);
+    }
+  }
+  return out;
+}
+
+/**
+ * Envía (vía destinos "donor.manage_link_requested", p.ej. Zapier → email) un link mágico.
+ * Siempre respondemos igual para no revelar si el email tiene donaciones.
+ */
+async function requestLink(stripe, req, res, { email, locale: locale_hint }, log) {
+  const normalized = typeof email === "string" ? email.trim().toLowerCase() : "";
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) || normalized.length > 254)
+    return sendJson(res, 400, { error: "Invalid email" });
+
+  try {
+    const keys = [[`manage-link:ip:${clientIp(req)}`, LINK_IP_LIMIT], [`manage-link:email:${shortHash(normalized)}`, LINK_EMAIL_LIMIT]];
+    for (const [key, limit] of keys) {
+      const r = await consume(key, limit);
+      if (!r.allowed) {
+        log.warn("manage link rate-limited", { key: key.split(":")[1] });
+        res.setHeader("Retry-After", String(r.retry_after));
+        return sendJson(res, 429, { error: "Too many requests" });
+      }
+    }
+  } catch (err) {
+    log.error("rate-limit store error", { err });
+  }
+
+  const customers = await stripe.customers.list({ email: normalized, limit: 10 });
+  const cids = customers.data.map((c) => c.id);
+  if (cids.length && (await subscriptionsFor(stripe, cids)).length) {
+    const locale = resolveLocale(req, locale_hint);
+    const url = new URL(buildUrl(allowOrigin(req), locale, MANAGE_PATH));
+    url.searchParams.set("token", signToken(TOKEN_PURPOSE, { cids }, TOKEN_TTL));
+
+    await forwardEvent(`manage_${crypto.randomUUID()}`, "donor.manage_link_requested", {
+      event_type: "donor.manage_link_requested",
+      created: Math.floor(Date.now() / 1000),
+      email: normalized,
+      locale,
+      manage_url: url.toString(),
+      expires_in: TOKEN_TTL
+    }, { correlationId: log.context.correlation_id });
+  }
+
+  return sendJson(res, 202, { ok: true });
+}
+
+const ownerOf = (sub) => (typeof sub.customer === "object" ? sub.customer.id : sub.customer);
+
+/**
+ * Billing Portal de Stripe desde el token del link mágico, o desde la session del checkout
+ * con el token firmado de la success URL (`t`, ver lib/session-access.js). El session_id solo
+ * no basta: queda en historiales, Referer y analytics.
+ *
+ * Con el link, un mismo email puede tener varios Customers (cada checkout crea uno): el portal
+ * se abre para el que tiene la suscripción (`subscription_id`, o la primera viva), no para el
+ * más nuevo, que suele ser el de un gift único.
+ */
+async function openPortal(stripe, req, res, { token, subscription_id, session_id, t, locale: locale_hint }) {
+  let customer = null;
+  if (token) {
+    const cids = verifyToken(TOKEN_PURPOSE, token)?.cids;
+    if (!cids?.length) return sendJson(res, 401, { error: "Invalid or expired link" });
+    const subs = await subscriptionsFor(stripe, cids);
+    if (subscription_id != null) {
+      const sub = subs.find((x) => x.id === subscription_id);
+      if (!sub) return sendJson(res, 403, { error: "Forbidden" });
+      customer = ownerOf(sub);
+    } else {
+      // sin suscripción viva, el portal igual muestra recibos y métodos de pago
+      customer = subs.length ? ownerOf(subs[0]) : cids[0];
+    }
+  } else if (typeof session_id === "string" && session_id) {
+    if (typeof t !== "string" || !t) return sendJson(res, 401, { error: "Missing success token" });
+    const s = await stripe.checkout.sessions.retrieve(session_id, { expand: ["customer"] });
+    if (sessionAccess(s, t) !== "token") return sendJson(res, 401, { error: "Invalid or expired link" });
+    if (s.mode !== "subscription" || s.status !== "complete")
+      return sendJson(res, 400, { error: "Session has no partnership" });
+    customer = typeof s.customer === "object" ? s.customer?.id : s.customer;
+  }
+  if (!customer) return sendJson(res, 400, { error: "Missing token or session_id" });
+
+  const portal = await stripe.billingPortal.sessions.create({
+    customer,
+    return_url: buildUrl(allowOrigin(req), resolveLocale(req, locale_hint), PORTAL_RETURN_PATH)
+  });
+  return sendJson(res, 200, { url: portal.url });
+}
+
+/** Cambios directos con el token del link mágico */
+async function modify(stripe, res, cids, body, log) {
+  const { action, subscription_id } = body;
+  if (typeof subscription_id !== "string" || !subscription_id)
+    return sendJson(res, 400, { error: "Missing subscription_id" });
+
+  const sub = await stripe.subscriptions.retrieve(subscription_id);
+  if (!cids.includes(ownerOf(sub))) return sendJson(res, 403, { error: "Forbidden" });
+  if (sub.status === "canceled") return sendJson(res, 409, { error: "Partnership already canceled" });
+
+  let updated;
+  if (action === "change") {
+    const item = sub.items.data[0];
+    const current = item.price;
+    const coversFees = sub.metadata?.cover_fees === "true";
+    const amount = body.amount ?? giftAmount(sub.metadata, current.unit_amount);
+    const interval = body.interval ?? current.recurring.interval;
+    const interval_count = body.interval_count ?? current.recurring.interval_count;
+
+    if (!Number.isInteger(amount) || amount < minAmount(current.currency))
+      return sendJson(res, 400, { error: "Invalid amount", min_amount: minAmount(current.currency) });
+    // Mismos topes que el checkout: el de Stripe y el blando con confirmación explícita
+    if (amount > STRIPE_MAX_AMOUNT) return sendJson(res, 400, { error: "Amount above maximum" });
+    if (body.amount != null && amount > softMaxAmount(current.currency) && body.confirm_large_amount !== true)
+      return sendJson(res, 409, {
+        error: "Amount requires confirmation",
+        requires_confirmation: true,
+        soft_max_amount: softMaxAmount(current.currency),
+        soft_max_amount_formatted: formatMoney(softMaxAmount(current.currency), current.currency)
+      });
+    if (!INTERVALS.has(interval))                     return sendJson(res, 400, { error: "Invalid interval" });
+    if (!Number.isInteger(interval_count) || interval_count < 1 || interval_count > 12)
+      return sendJson(res, 400, { error: "Invalid interval_count" });
+
+    // Si el partner cubre la comisión, se recalcula sobre el nuevo gift
+    const charge = coversFees ? grossUp(amount, current.currency) : { gift: amount, fee: 0, total: amount };
+    if (charge.total > STRIPE_MAX_AMOUNT) return sendJson(res, 400, { error: "Amount above maximum" });
+
+    updated = await stripe.subscriptions.update(sub.id, {
+      items: [{
+        id: item.id,
+        price_data: {
+          currency: current.currency,
+          product: typeof current.product === "object" ? current.product.id : current.product,
+          unit_amount: charge.total,
+          recurring: { interval, interval_count }
+        }
+      }],
+      metadata: {
+        interval,
+        interval_count: String(interval_count),
+        ...(coversFees ? feeMetadata(charge) : {})
+      },
+      // Un cambio de monto no cobra diferencias; aplica desde la próxima cuota
+      proration_behavior: "none"
+    });
+  } else if (action === "pause") {
+    updated = await stripe.subscriptions.update(sub.id, { pause_collection: { behavior: "void" } });
+  } else if (action === "resume") {
+    updated = await stripe.subscriptions.update(sub.id, { pause_collection: "" });
+  } else {
+    updated = await stripe.subscriptions.cancel(sub.id);
+  }
+
+  // El webhook (customer.subscription.updated/deleted) avisa a los destinos
+  log.info(action, { subscription: sub.id });
+  return sendJson(res, 200, { subscription: summarize(updated) });
+}
+
+/**
+ * GET  ?token=…                                   → { subscriptions }
+ * POST { action: "request_link", email, locale }   → manda link mágico (202 siempre)
+ * POST { action: "portal", token + subscription_id? | session_id + t } → { url } del Billing Portal
+ * POST { action: "change", token, subscription_id, amount?, interval?, interval_count?, confirm_large_amount? }
+ * POST { action: "pause" | "resume" | "cancel", token, subscription_id }
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "manage-subscription");
+  if (cors(req, res, { methods: "GET, POST, OPTIONS" })) return;
+  if (req.method !== "GET" && req.method !== "POST")
+    return res.status(405).json({ error: "Method not allowed" });
+
+  const stripe = getStripe();
+
+  try {
+    if (req.method === "GET") {
+      const cids = verifyToken(TOKEN_PURPOSE, req.query?.token)?.cids;
+      if (!cids) return sendJson(res, 401, { error: "Invalid or expired link" });
+      const subs = await subscriptionsFor(stripe, cids);
+      return sendJson(res, 200, { subscriptions: subs.map(summarize) });
+    }
+
+    const body = req.body || {};
+    if (!ACTIONS.has(body.action)) return sendJson(res, 400, { error: "Invalid action" });
+    if (body.action === "request_link") return await requestLink(stripe, req, res, body, log);
+    if (body.action === "portal") return await openPortal(stripe, req, res, body);
+
+    const cids = verifyToken(TOKEN_PURPOSE, body.token)?.cids;
+    if (!cids) return sendJson(res, 401, { error: "Invalid or expired link" });
+    return await modify(stripe, res, cids, body, log);
+  } catch (err) {
+    if (err?.type === "StripeInvalidRequestError" && err?.statusCode === 404)
+      return sendJson(res, 404, { error: "Not found" });
+    log.error("request failed", { err });
+    return sendJson(res, 500, { error: "Internal server error" });
+  }
+}
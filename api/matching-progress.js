@@ -0,0 +1,72 @@
+// api/matching-progress.js
+import { listChallenges, getChallenge, getMatches, isActive } from "../lib/matching.js";
+import { SLUG_RE } from "../lib/campaigns.js";
+import { formatMoney } from "../lib/currency.js";
+import { cors } from "../lib/cors.js";
+import { intlTag, normalizeLocale } from "../lib/i18n.js";
+import { requestLogger } from "../lib/logger.js";
+
+/** Estado de un desafío: lo igualado, lo que queda del tope y el impacto total (gifts + match) */
+async function progress(challenge, locale) {
+  const { matched_minor, gifts_minor, gift_count } = await getMatches().totals(challenge.id);
+  const { amount: cap, currency } = challenge.cap;
+  const remaining = Math.max(0, cap - matched_minor);
+  const money = (v) => formatMoney(v, currency, intlTag(locale));
+
+  return {
+    id: challenge.id,
+    sponsor: challenge.sponsor,
+    ratio: challenge.ratio,
+    campaign: challenge.campaign,
+    active: isActive(challenge),
+    starts_at: challenge.starts_at,
+    ends_at: challenge.ends_at,
+    currency,
+    cap_minor: cap,
+    cap_formatted: money(cap),
+    matched_minor,
+    matched_formatted: money(matched_minor),
+    remaining_minor: remaining,
+    remaining_formatted: money(remaining),
+    gift_count,
+    gifts_minor,
+    total_impact_minor: gifts_minor + matched_minor,
+    total_impact_formatted: money(gifts_minor + matched_minor),
+    percent: Math.min(100, Math.round((matched_minor / cap) * 1000) / 10)
+  };
+}
+
+/**
+ * GET ?challenge=id&locale=kr → { challenge }
+ * GET ?campaign=slug          → { challenges: [...] } de esa campaña
+ * GET (sin filtros)           → { challenges: [...] }
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "matching-progress");
+  if (cors(req, res)) return;
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const locale = normalizeLocale(req.query?.locale);
+  const id = typeof req.query?.challenge === "string" ? req.query.challenge.toLowerCase() : null;
+  const campaign = typeof req.query?.campaign === "string" ? req.query.campaign.toLowerCase() : null;
+  if (campaign && !SLUG_RE.test(campaign)) return res.status(400).json({ error: "Invalid campaign" });
+
+  try {
+    res.setHeader("Cache-Control", "no-store");
+    if (id) {
+      const challenge = SLUG_RE.test(id) ? getChallenge(id) : null;
+      if (!challenge) return res.status(404).json({ error: "Challenge not found" });
+      return res.status(200).json({ challenge: await progress(challenge, locale) });
+    }
+
+    const out = [];
+    for (const challenge of listChallenges()) {
+      if (campaign && challenge.campaign !== campaign) continue;
+      out.push(await progress(challenge, locale));
+    }
+    return res.status(200).json({ challenges: out });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Failed to load matching progress" });
+  }
+}
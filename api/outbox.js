@@ -0,0 +1,48 @@
+// api/outbox.js
+import { isAdmin } from "../lib/admin-auth.js";
+import { getOutbox, replay, retryDue } from "../lib/outbox.js";
+import { requestLogger } from "../lib/logger.js";
+
+const STATUSES = new Set(["pending", "delivered", "dead"]);
+
+/**
+ * Endpoint interno (Authorization: Bearer ADMIN_API_TOKEN)
+ *   GET  ?status=dead|pending|delivered&limit=50  → lista entregas
+ *   POST { action: "replay", id }                  → reenvía una entrega (incluye dead)
+ *   POST { action: "retry_due" }                   → procesa pendientes vencidas (útil para un cron)
+ */
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "outbox");
+  if (!isAdmin(req)) return res.status(401).json({ error: "Unauthorized" });
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    if (req.method === "GET") {
+      const status = req.query?.status;
+      if (status && !STATUSES.has(status)) return res.status(400).json({ error: "Invalid status" });
+      const limit = Math.max(1, Math.min(200, parseInt(req.query?.limit, 10) || 50));
+      const deliveries = await getOutbox().list({ status, limit });
+      return res.status(200).json({ deliveries });
+    }
+
+    if (req.method === "POST") {
+      const { action, id } = req.body || {};
+      if (action === "replay") {
+        if (!id) return res.status(400).json({ error: "Missing id" });
+        const delivery = await replay(id);
+        if (!delivery) return res.status(404).json({ error: "Delivery not found" });
+        return res.status(200).json({ delivery });
+      }
+      if (action === "retry_due") {
+        const deliveries = await retryDue({ limit: 50 });
+        return res.status(200).json({ deliveries });
+      }
+      return res.status(400).json({ error: "Invalid action" });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ error: "Outbox error" });
+  }
+}
@@ -0,0 +1,52 @@
+// api/prayer-wall.js
+import { getPrayers } from "../lib/prayers.js";
+import { getLedger } from "../lib/ledger/index.js";
+import { isExcludedEmail } from "../lib/exclusions.js";
+import { displayName } from "../lib/display-name.js";
+import { normalizeLocale } from "../lib/i18n.js";
+import { cors } from "../lib/cors.js";
+import { requestLogger } from "../lib/logger.js";
+
+/**
+ * Muro de oración público: solo peticiones aprobadas en api/admin/prayers.
+ *   GET ?locale=kr&limit=20 → { items: [{ id, name, text, locale, ts }] }   (sin locale = todos los idiomas)
+ *
+ * El consentimiento se mira en el ledger en cada request (el donante lo puede cambiar con
+ * api/donor-consent): los anónimos nunca aparecen. PRAYER_WALL_NAMES=off oculta todos los nombres.
+ */
+const SHOW_NAMES = String(process.env.PRAYER_WALL_NAMES || "on").toLowerCase() !== "off";
+
+export default async function handler(req, res) {
+  const log = requestLogger(req, res, "prayer-wall");
+  if (cors(req, res)) return;
+  if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
+
+  const limit = Math.max(1, Math.min(50, parseInt(req.query?.limit, 10) || 20));
+  const locale = req.query?.locale ? normalizeLocale(req.query.locale) : null;
+
+  try {
+    const items = [];
+    const prayers = await getPrayers().list({ status: "approved", locale });
+    // una sola lectura del ledger para todas (endpoint público)
+    const donations = await getLedger().getMany(prayers.map((p) => p.donation_id));
+    for (const p of prayers) {
+      if (items.length >= limit) break;
+      const d = donations.get(p.donation_id);
+      // Sin registro o sin consentimiento explícito → nunca se publica
+      if (!d || !d.consent || d.consent === "anonymous" || isExcludedEmail(d.email)) continue;
+      items.push({
+        id: p.id,
+        name: SHOW_NAMES && !p.anonymize ? displayName(d, p.locale) : null,
+        text: p.text,
+        locale: p.locale,
+        ts: p.created
+      });
+    }
+
+    res.setHeader("Cache-Control", "public, max-age=0, s-maxage=30, stale-while-revalidate=120");
+    return res.status(200).json({ items });
+  } catch (err) {
+    log.error("request failed", { err });
+    return res.status(500).json({ items: [] });
+  }
+}
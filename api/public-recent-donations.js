@@ -1,138 +1,53 @@
 // api/public-recent-donations.js
-import Stripe from "stripe";
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: "2023-10-16",
-});
+import crypto from "crypto";
+import { getLedger } from "../lib/ledger/index.js";
+import { SLUG_RE } from "../lib/campaigns.js";
+import { normalizeLocale } from "../lib/i18n.js";
+import { cors } from "../lib/cors.js";
+import { isFeedable, feedItem } from "../lib/feed.js";
+import { requestLogger } from "../lib/logger.js";
 
 // ==== Config ====
-const ALLOWED_ORIGINS = [
-  "https://hyeoks-site.webflow.io",
-  // agrega tu dominio prod si aplica
-  "https://www.brotherhyeok.org",
-  "https://brotherhyeok.org",
-];
-
-const EXCLUDE_EMAILS = (process.env.EXCLUDE_EMAILS || "")
-  .split(",")
-  .map(s => s.trim().toLowerCase())
-  .filter(Boolean);
-
-const ZERO_DEC = new Set(["BIF","CLP","DJF","GNF","JPY","KMF","KRW","MGA","PYG","RWF","UGX","VND","VUV","XAF","XOF","XPF"]);
-
-function cors(req, res) {
-  const origin = req.headers.origin || "";
-  if (ALLOWED_ORIGINS.includes(origin)) {
-    res.setHeader("Access-Control-Allow-Origin", origin);
-  } else {
-    // si prefieres abierto para este feed público:
-    // res.setHeader("Access-Control-Allow-Origin", "*");
-    res.setHeader("Access-Control-Allow-Origin", "https://hyeoks-site.webflow.io");
-  }
-  res.setHeader("Vary", "Origin");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
-}
-
-/**
- * Change #1: show only FIRST name, with a nicer fallback from email local-part.
- */
-function displayName(name, email) {
-  // Prefer explicit name; else derive from email local-part
-  const raw = (name && String(name).trim()) || (email ? String(email).trim().split("@")[0] : "");
-  if (!raw) return "Someone";
-  // Normalize separators and take only the first token
-  const first = raw.replace(/[._-]+/g, " ").trim().split(/\s+/)[0] || "";
-  return first ? first.charAt(0).toUpperCase() + first.slice(1) : "Someone";
-}
-
-function fmt(amountMinor, currency = "USD") {
-  const c = currency.toUpperCase();
-  const val = ZERO_DEC.has(c) ? amountMinor : amountMinor / 100;
-  return new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: c,
-    maximumFractionDigits: ZERO_DEC.has(c) ? 0 : 2,
-  }).format(val);
-}
-
-function isExcluded(email) {
-  return email && EXCLUDE_EMAILS.includes(String(email).toLowerCase());
+// Cache en el CDN de Vercel: s-maxage corto + stale-while-revalidate para aguantar picos
+// (p.ej. un servicio transmitido en vivo). Para tiempo real usar api/donations-stream.
+// ENV FEED_CACHE_SECONDS (default 10) y FEED_STALE_SECONDS (default 60)
+const CACHE_SECONDS = Math.max(0, parseInt(process.env.FEED_CACHE_SECONDS, 10) || 10);
+const STALE_SECONDS = Math.max(0, parseInt(process.env.FEED_STALE_SECONDS, 10) || 60);
+
+/** ETag débil del cuerpo: si el cliente ya lo tiene respondemos 304 */
+function etagFor(body) {
+  return `W/"${crypto.createHash("sha1").update(JSON.stringify(body)).digest("base64url").slice(0, 27)}"`;
 }
 
 export default async function handler(req, res) {
-  cors(req, res);
-  if (req.method === "OPTIONS") return res.status(204).end();
+  const log = requestLogger(req, res, "public-recent-donations");
+  if (cors(req, res)) return;
   if (req.method !== "GET") return res.status(405).json({ error: "Method not allowed" });
 
   const limit = Math.max(1, Math.min(50, parseInt(req.query.limit, 10) || 10));
+  const locale = normalizeLocale(req.query.locale);   // en-us | kr | ja | es | pt-br
+  const campaign = typeof req.query.campaign === "string" ? req.query.campaign.toLowerCase() : null;
+  if (campaign && !SLUG_RE.test(campaign)) return res.status(400).json({ items: [] });
 
   try {
-    // Traemos suficientes eventos recientes para componer 10 limpios
-    // (sube el list limit si alguna vez te quedan pocos)
-    const events = await stripe.events.list({
-      limit: 100,
-      // Nota: podrías usar 'types' para filtrar en la API, pero aquí filtramos abajo.
-    });
+    // Leemos del ledger que alimenta el webhook (kind "checkout" = primer pago / alta de partner)
+    // ?campaign=slug → ticker propio de cada página de campaña
+    const donations = await getLedger().list({ kind: "checkout", campaign, order: "desc", limit: 200 });
 
     const seenKeys = new Set();  // dedupe por payment_intent/session.id
     const items = [];
 
-    for (const ev of events.data) {
-      try {
-        if (items.length >= limit) break;
-
-        if (ev.type === "checkout.session.completed") {
-          const s = ev.data.object;
-
-          const email = s.customer_details?.email || "";
-          if (isExcluded(email)) continue;
-
-          // Clave única: payment_intent (si existe) o session id
-          const key = s.payment_intent || s.id;
-          if (!key || seenKeys.has(key)) continue;
-          seenKeys.add(key);
-
-          const name = displayName(s.customer_details?.name, email);
-          const amountMinor = s.amount_total ?? s.amount_subtotal ?? 0;
-          const currency = s.currency || "usd";
-
-          const text = s.mode === "subscription"
-            ? `${name} became a Partner (${fmt(amountMinor, currency)}/mo)`
-            : `${name} just gave ${fmt(amountMinor, currency)}`;
-
-          items.push({ name, text, ts: ev.created });
-          continue;
-        }
-
-        // Opcional: si quieres que la PRIMERA cuota de suscripción cuente
-        // aunque falte el checkout (algunos flujos), permitimos invoice.paid solo
-        // cuando billing_reason = subscription_create:
-        if (ev.type === "invoice.paid") {
-          const inv = ev.data.object;
-          if (inv.billing_reason !== "subscription_create") continue;
-
-          const email = inv.customer_email || "";
-          if (isExcluded(email)) continue;
-
-          const key = inv.payment_intent || inv.id;
-          if (!key || seenKeys.has(key)) continue;
-          seenKeys.add(key);
-
-          const name = displayName(inv.customer_name, email);
-          const amountMinor = inv.amount_paid ?? inv.total ?? 0;
-          const currency = inv.currency || "usd";
+    for (const d of donations) {
+      if (items.length >= limit) break;
+      if (!isFeedable(d)) continue;   // excluidos, reembolsadas, anónimos con FEED_ANONYMOUS=omit
 
-          const text = `${name} became a Partner (${fmt(amountMinor, currency)}/mo)`;
-          items.push({ name, text, ts: ev.created });
-          continue;
-        }
+      // Clave única: payment_intent (si existe) o session id
+      const key = d.payment_intent_id || d.session_id;
+      if (!key || seenKeys.has(key)) continue;
+      seenKeys.add(key);
 
-        // Ignoramos payment_intent.succeeded / charge.succeeded para no duplicar
-      } catch {
-        // continúa si algún evento viene raro
-        continue;
-      }
+      // nombre según el consentimiento guardado (lib/display-name.js)
+      items.push(feedItem(d, locale));
     }
 
     // Ordenar por fecha
@@ -152,10 +67,14 @@ export default async function handler(req, res) {
       if (out.length >= limit) break;
     }
 
-    res.setHeader("Cache-Control", "no-store");
-    return res.status(200).json({ items: out });
+    const body = { locale, items: out };
+    const etag = etagFor(body);
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", `public, max-age=0, s-maxage=${CACHE_SECONDS}, stale-while-revalidate=${STALE_SECONDS}`);
+    if (String(req.headers["if-none-match"] || "").split(/\s*,\s*/).includes(etag)) return res.status(304).end();
+    return res.status(200).json(body);
   } catch (err) {
-    console.error("public-recent-donations error:", err);
+    log.error("request failed", { err });
     return res.status(500).json({ items: [] });
   }
 }
\ No newline at end of file
@@ -1,69 +1,374 @@
 // api/stripe-webhook.js
-import Stripe from "stripe";
-import crypto from "crypto";
+import { normalizeConsent, consentUrl } from "../lib/consent.js";
+import { isExcludedEmail } from "../lib/exclusions.js";
+import { getStripe } from "../lib/stripe.js";
+import { verifyStripeEvent, webhookSecrets, insecureDevMode, signatureTimestamp, bodyHash } from "../lib/stripe-signature.js";
+import { clientIp } from "../lib/rate-limit/index.js";
+import { recordDonorGift, endPartnership, donorFlags } from "../lib/donors.js";
+import { displayName, publicName } from "../lib/display-name.js";
+import { donationFromSession, donationFromInvoice, isRenewalInvoice } from "../lib/donations.js";
+import { getLedger } from "../lib/ledger/index.js";
+import { getProcessedEvents } from "../lib/processed-events.js";
+import { retryDue } from "../lib/outbox.js";
+import { forwardEvent } from "../lib/forward.js";
+import { formatMoney } from "../lib/currency.js";
+import { giftAmount, feeAmount } from "../lib/fees.js";
+import { sendReceipt, sendTributeCard } from "../lib/receipts.js";
+import { donationText, normalizeLocale } from "../lib/i18n.js";
+import { isFeedable, publicEntry } from "../lib/feed.js";
+import { getFeedEvents } from "../lib/feed-events.js";
+import { submitPrayer } from "../lib/prayers.js";
+import { applyMatch, releaseMatch, getChallenge } from "../lib/matching.js";
+import { createLogger, requestLogger, emailHash, validCorrelationId } from "../lib/logger.js";
 
-// Helpers to format/derive display info & exclusions
-const EXCLUDE_EMAILS = (process.env.EXCLUDE_EMAILS || "")
-  .split(",")
-  .map(s => s.trim().toLowerCase())
-  .filter(Boolean);
+/**
+ * ENV requeridas en Vercel (Settings → Environment Variables)
+ * - STRIPE_SECRET_KEY       = sk_live_… o sk_test_…
+ * - STRIPE_WEBHOOK_SECRET   = whsec_… (del endpoint en Stripe; varios separados por coma al rotar)
+ * - STRIPE_WEBHOOK_TOLERANCE / STRIPE_WEBHOOK_INSECURE_DEV = ver lib/stripe-signature.js
+ * - FORWARD_DESTINATIONS    = JSON con los destinos de reenvío (ver lib/destinations.js)
+ * - ZAPIER_HOOK_URL         = https://hooks.zapier.com/hooks/catch/XXXX/XXXX (opcional, legacy: destino "zapier")
+ * - FORWARD_HMAC_SECRET     = clave para firmar lo que reenviamos a Zapier (opcional pero recomendado)
+ * - LINK_SIGNING_SECRET     = firma los links de consentimiento (consent_url)
+ * - SITE_URL                = origen del sitio para esos links (default https://hyeoks-site.webflow.io)
+ * - KV_REST_API_URL / KV_REST_API_TOKEN = store compartido entre funciones (ver lib/json-file.js);
+ *                             sin KV, archivos en DATA_DIR (/tmp en Vercel, no compartido)
+ * - LEDGER_DRIVER / LEDGER_FILE / DATA_DIR = dónde se guarda el ledger (ver lib/ledger)
+ * - SEND_RECEIPTS           = "off" para no mandar recibos (ver lib/receipts.js y lib/mailer)
+ * - OUTBOX_MAX_ATTEMPTS     = intentos antes de mandar un reenvío a dead-letter (default 8)
+ * - MATCHING_FILE / MATCHES_FILE = desafíos de matching y lo igualado (ver lib/matching.js)
+ * - LOG_LEVEL               = ver lib/logger.js
+ */
 
-function isExcludedEmail(email) {
-  if (!email) return false;
-  return EXCLUDE_EMAILS.includes(String(email).toLowerCase());
+// Lee el body "raw" para poder verificar la firma de Stripe
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks);
 }
 
-function displayNameFrom(details) {
-  const name = details?.name?.trim();
-  if (name) return name;
-  const email = details?.email || "";
-  const local = email.split("@")[0];
-  return local ? local : "Someone";
+/**
+ * Correlation id de la donación: lo pone create-checkout-session en la metadata de la session,
+ * el PaymentIntent (y sus charges) y la suscripción (y sus invoices). Si no hay, el event.id.
+ */
+function eventCorrelationId(event) {
+  const obj = event.data?.object || {};
+  return validCorrelationId(obj.metadata?.correlation_id) ||
+    validCorrelationId(obj.subscription_details?.metadata?.correlation_id) ||
+    event.id;
 }
 
-function formatAmount(minor, currency) {
-  if (typeof minor !== 'number') return null;
-  const zeroDec = new Set(["JPY","KRW","VND","CLP","XOF","XAF","KMF","DJF","GNF","PYG","RWF","UGX","VUV"]);
-  const code = (currency || "").toUpperCase();
-  const n = zeroDec.has(code) ? minor : minor / 100;
-  return { code, value: n };
+// Reenvío a los destinos configurados (ver lib/forward.js)
+const forward = (event, payload, log) =>
+  forwardEvent(event.id, event.type, payload, { correlationId: log.context.correlation_id });
+
+// Checkout que ya trae el dinero, o el débito bancario (ACH, SEPA…) que se acreditó después
+const PAID_CHECKOUT = new Set(["checkout.session.completed", "checkout.session.async_payment_succeeded"]);
+
+// Guarda la donación normalizada en el ledger (fuente del feed y reportes).
+// Devuelve el registro guardado si el evento es una donación pagada; un débito bancario
+// queda "pending" hasta async_payment_succeeded (o "failed" con async_payment_failed).
+async function recordDonation(event) {
+  if (PAID_CHECKOUT.has(event.type)) {
+    const d = donationFromSession(event.data.object, event.created);
+    const existing = await getLedger().get(d.id);
+    // completed llegando después de async_payment_succeeded/_failed: no pisar el estado final
+    if (d.payment_status !== "paid" && existing) return null;
+    // la donación conserva la fecha del checkout, no la de la acreditación
+    await getLedger().upsert(existing ? { ...d, created: existing.created } : d);
+    return d.payment_status === "paid" ? getLedger().get(d.id) : null;
+  } else if (event.type === "checkout.session.async_payment_failed") {
+    const d = donationFromSession(event.data.object, event.created);
+    const existing = await getLedger().get(d.id);
+    await getLedger().upsert({ ...d, created: existing?.created ?? d.created, payment_status: "failed" });
+  } else if (event.type === "invoice.paid" && isRenewalInvoice(event.data.object)) {
+    const d = donationFromInvoice(event.data.object, event.created);
+    await getLedger().upsert(d);
+    return getLedger().get(d.id);
+  } else if (event.type === "charge.refunded" || event.type === "charge.dispute.created") {
+    const obj = event.data.object;
+    const pi = typeof obj.payment_intent === "object" ? obj.payment_intent?.id : obj.payment_intent;
+    const donation = pi ? await getLedger().findByPaymentIntent(pi) : null;
+    if (!donation) return;
+    await getLedger().update(donation.id, event.type === "charge.refunded"
+      ? { refunded_minor: obj.amount_refunded }
+      : { disputed: true, dispute_reason: obj.reason || null });
+    // Un reembolso devuelve al desafío la parte igualada de lo reembolsado
+    if (event.type === "charge.refunded") {
+      const released = await releaseMatch({ ...donation, refunded_minor: obj.amount_refunded });
+      if (released) await getLedger().update(donation.id, released);
+    }
+  }
+  return null;
 }
 
-function zeroPad(v){
-  try{ return (Math.round(v * 100) / 100).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 }); }
-  catch{ return String(v); }
+// Desafío de matching (lib/matching.js): una sola vez por donación aunque Stripe reenvíe el evento
+async function matchDonation(donation, log) {
+  try {
+    const match = await applyMatch(donation);
+    if (!match) return donation;
+    await getLedger().update(donation.id, match);
+    log.info("matched", { donation: donation.id, challenge: match.match_challenge, matched: match.matched_minor });
+    return { ...donation, ...match };
+  } catch (err) {
+    log.error("matching failed", { err });
+    return donation;
+  }
+}
+
+// Recibo deducible por email (las cuotas sin nombre toman el full_name del checkout original)
+// Un fallo del store (timeout de KV, kv_conflict…) se loguea y sigue: el evento ya quedó procesado
+// y lo que viene después (reenvío a Zapier/CRM) no puede perderse por un recibo.
+async function sendDonationReceipt(donation, log) {
+  if (String(process.env.SEND_RECEIPTS || "on").toLowerCase() === "off") return;
+  if (isExcludedEmail(donation.email)) return;
+  try {
+    let d = donation;
+    if (!d.name && d.subscription_id) {
+      const [first] = await getLedger().list({ kind: "checkout", subscription: d.subscription_id, limit: 1 });
+      if (first?.name) d = { ...d, name: first.name };
+    }
+    const { number, status } = await sendReceipt(d);
+    log.info("receipt", { donation: d.id, number, status });
+  } catch (err) {
+    log.error("receipt failed", { donation: donation.id, err });
+  }
+}
+
+// Ticker en vivo (api/donations-stream): solo primeros pagos que el feed mostraría
+async function publishToFeed(donation, log) {
+  if (!isFeedable(donation)) return;
+  try {
+    const item = await getFeedEvents().publish(publicEntry(donation));
+    if (item) log.info("feed item", { seq: item.seq, donation: donation.id });
+  } catch (err) {
+    log.error("feed publish failed", { err });
+  }
+}
+
+// Petición de oración → cola de moderación (ya filtrada); lo que reenviamos es el texto filtrado
+async function queuePrayer(donation, log) {
+  if (!donation?.prayer_request || isExcludedEmail(donation.email)) return null;
+  try {
+    return await submitPrayer(donation);
+  } catch (err) {
+    log.error("prayer queue failed", { err });
+    return null;
+  }
+}
+
+// Tarjeta al homenajeado (una vez por donación; el fallo queda en receipts.json)
+async function notifyHonoree(donation, log) {
+  if (!donation?.tribute?.honoree_email || isExcludedEmail(donation.email)) return;
+  try {
+    // el nombre del donante respeta su consentimiento (anónimo → "A friend")
+    const { status } = await sendTributeCard(donation.id, donation.tribute, publicName(donation));
+    log.info("tribute card", { donation: donation.id, status });
+  } catch (err) {
+    log.error("tribute card failed", { donation: donation.id, err });
+  }
+}
+
+// Perfil del donante (dedupe por email): primer gift, lifetime, partnerships.
+// Si Stripe creó un Customer nuevo para alguien conocido, lo marcamos como duplicado.
+async function trackDonor(donation, log) {
+  try {
+    const result = await recordDonorGift(donation);
+    if (result?.duplicate_customer) {
+      await getStripe().customers.update(result.duplicate_customer, {
+        metadata: { donor_id: result.donor.id, duplicate_of: result.donor.primary_customer_id }
+      }).catch((err) => log.warn("duplicate customer tag failed", { err }));
+    }
+    return result;
+  } catch (err) {
+    log.error("donor profile failed", { err });
+    return null;
+  }
+}
+
+/** Campos de donante para los payloads (+ lifetime formateado en la moneda del gift) */
+function donorFields(result, currency) {
+  const flags = donorFlags(result, currency);
+  return {
+    ...flags,
+    ...(result ? { lifetime_total_formatted: formatMoney(flags.lifetime_total, currency) } : {})
+  };
+}
+
+/** matched_amount / match_sponsor para los payloads (0 / null si el gift no se igualó) */
+function matchFields(donation) {
+  const challenge = donation?.match_challenge ? getChallenge(donation.match_challenge) : null;
+  return {
+    matched_amount: donation?.matched_minor || 0,
+    match_challenge: challenge?.id || null,
+    match_sponsor: challenge?.sponsor || null
+  };
+}
+
+/** Estado del partner para automatizaciones (a partir del status de la suscripción) */
+function partnerStatus(sub) {
+  if (sub.pause_collection) return "paused";
+  switch (sub.status) {
+    case "active":
+    case "trialing": return "active";
+    case "past_due":
+    case "unpaid": return "past_due";
+    case "canceled":
+    case "incomplete_expired": return "canceled";
+    default: return "pending";
+  }
 }
 
 /**
- * ENV requeridas en Vercel (Settings → Environment Variables)
- * - STRIPE_SECRET_KEY       = sk_live_… o sk_test_…
- * - STRIPE_WEBHOOK_SECRET   = whsec_… (del endpoint en Stripe)
- * - ZAPIER_HOOK_URL         = https://hooks.zapier.com/hooks/catch/XXXX/XXXX (opcional)
- * - FORWARD_HMAC_SECRET     = clave para firmar lo que reenviamos a Zapier (opcional pero recomendado)
+ * Gift recurrente (minor units) del primer item de la suscripción: sin la comisión cubierta,
+ * igual que summarize() en api/manage-subscription.js
  */
+function subscriptionAmount(items, metadata) {
+  const it = items?.data?.[0];
+  if (!it?.price) return null;
+  return giftAmount(metadata, (it.price.unit_amount ?? 0) * (it.quantity ?? 1));
+}
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: "2024-06-20",
-});
+const lookupLog = createLogger("stripe-webhook");
 
-// Lee el body "raw" para poder verificar la firma de Stripe
-async function readRawBody(req) {
-  const chunks = [];
-  for await (const chunk of req) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
-  return Buffer.concat(chunks);
+/** Email del customer (los eventos de suscripción solo traen el id) */
+async function customerEmail(customer) {
+  if (customer && typeof customer === "object") return customer.email || "";
+  if (!customer) return "";
+  try {
+    const c = await getStripe().customers.retrieve(customer);
+    return c.deleted ? "" : c.email || "";
+  } catch (err) {
+    lookupLog.warn("customer lookup failed", { customer, err });
+    return "";
+  }
 }
 
-// Hash SHA-256 (para anonimizar email)
-function sha256Hex(input) {
-  return crypto.createHash("sha256").update(input || "", "utf8").digest("hex");
+/** Motivo legible de un cobro fallido de invoice */
+async function invoiceFailureReason(invoice) {
+  const pi = invoice.payment_intent;
+  try {
+    const intent = typeof pi === "object" ? pi : pi ? await getStripe().paymentIntents.retrieve(pi) : null;
+    const err = intent?.last_payment_error;
+    if (err) return { code: err.decline_code || err.code || null, message: err.message || null };
+  } catch (err) {
+    lookupLog.warn("payment_intent lookup failed", { payment_intent: typeof pi === "object" ? pi?.id : pi, err });
+  }
+  return { code: null, message: invoice.last_finalization_error?.message || null };
 }
 
-// Firma HMAC para reenvío a Zapier (nuestro propio sello)
-function signForward(bodyString) {
-  const secret = process.env.FORWARD_HMAC_SECRET;
-  if (!secret) return null;
-  return crypto.createHmac("sha256", secret).update(bodyString).digest("hex");
-}
+/**
+ * Payloads normalizados del ciclo de vida de partners, reembolsos, disputas y débitos bancarios fallidos.
+ * Todos llevan partner_status (o refund/dispute/payment_status) para que las automatizaciones reaccionen.
+ */
+const LIFECYCLE = {
+  // ACH/SEPA rechazado días después del checkout: la donación nunca contó (ver recordDonation)
+  async "checkout.session.async_payment_failed"(session) {
+    return {
+      email: session.customer_details?.email || "",
+      payload: {
+        session_id: session.id,
+        payment_intent: session.payment_intent || null,
+        payment_status: "failed",
+        is_subscription: session.mode === "subscription",
+        amount_total: session.amount_total,
+        gift_amount: giftAmount(session.metadata, session.amount_total),
+        currency: (session.currency || "").toUpperCase(),
+        locale: normalizeLocale(session.metadata?.locale),
+        campaign: session.metadata?.campaign || null
+      }
+    };
+  },
+
+  async "invoice.payment_failed"(invoice) {
+    const reason = await invoiceFailureReason(invoice);
+    return {
+      email: invoice.customer_email || "",
+      payload: {
+        invoice_id: invoice.id,
+        subscription: invoice.subscription || null,
+        partner_status: "past_due",
+        amount_due: giftAmount(invoice.subscription_details?.metadata, invoice.amount_due),
+        currency: (invoice.currency || "").toUpperCase(),
+        attempt_count: invoice.attempt_count ?? null,
+        next_payment_attempt: invoice.next_payment_attempt ?? null,
+        failure_code: reason.code,
+        failure_reason: reason.message
+      }
+    };
+  },
+
+  async "customer.subscription.updated"(sub, previous = {}) {
+    const amount = subscriptionAmount(sub.items, sub.metadata);
+    // previous_attributes.metadata trae solo las claves que cambiaron (p.ej. gift_amount al cambiar el monto)
+    const prevMetadata = { ...sub.metadata, ...previous.metadata };
+    const prevAmount = previous.items || previous.metadata
+      ? subscriptionAmount(previous.items || sub.items, prevMetadata)
+      : amount;
+    const price = sub.items?.data?.[0]?.price;
+    return {
+      email: await customerEmail(sub.customer),
+      payload: {
+        subscription: sub.id,
+        partner_status: partnerStatus(sub),
+        previous_status: previous.status || null,
+        amount,
+        previous_amount: prevAmount,
+        amount_change: amount != null && prevAmount != null ? amount - prevAmount : null,
+        currency: (price?.currency || sub.currency || "").toUpperCase(),
+        interval: price?.recurring?.interval || null,
+        cancel_at_period_end: Boolean(sub.cancel_at_period_end),
+        current_period_end: sub.current_period_end ?? null
+      }
+    };
+  },
+
+  async "customer.subscription.deleted"(sub) {
+    return {
+      email: await customerEmail(sub.customer),
+      payload: {
+        subscription: sub.id,
+        partner_status: "canceled",
+        amount: subscriptionAmount(sub.items, sub.metadata),
+        currency: (sub.items?.data?.[0]?.price?.currency || sub.currency || "").toUpperCase(),
+        canceled_at: sub.canceled_at ?? null,
+        cancellation_reason: sub.cancellation_details?.reason || null,
+        cancellation_feedback: sub.cancellation_details?.feedback || null
+      }
+    };
+  },
+
+  async "charge.refunded"(charge) {
+    return {
+      email: charge.billing_details?.email || charge.receipt_email || "",
+      payload: {
+        charge_id: charge.id,
+        payment_intent: charge.payment_intent || null,
+        amount: charge.amount,
+        refund_amount: charge.amount_refunded,
+        fully_refunded: charge.amount_refunded >= charge.amount,
+        currency: (charge.currency || "").toUpperCase(),
+        refund_reason: charge.refunds?.data?.[0]?.reason || null
+      }
+    };
+  },
+
+  async "charge.dispute.created"(dispute) {
+    return {
+      email: dispute.evidence?.customer_email_address || "",
+      payload: {
+        dispute_id: dispute.id,
+        charge_id: typeof dispute.charge === "object" ? dispute.charge?.id : dispute.charge,
+        payment_intent: dispute.payment_intent || null,
+        dispute_amount: dispute.amount,
+        currency: (dispute.currency || "").toUpperCase(),
+        dispute_reason: dispute.reason || null,
+        dispute_status: dispute.status || null,
+        evidence_due_by: dispute.evidence_details?.due_by ?? null
+      }
+    };
+  }
+};
 
 export default async function handler(req, res) {
   // Comprobación rápida
@@ -75,37 +380,96 @@ export default async function handler(req, res) {
     return res.status(405).send("Method Not Allowed");
   }
 
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
   const sig = req.headers["stripe-signature"];
+  const raw = await readRawBody(req);
+  // Hasta verificar el evento solo tenemos el id de la request
+  let log = requestLogger(req, res, "stripe-webhook");
 
   let event;
+  if (!webhookSecrets().length && insecureDevMode()) {
+    // Solo desarrollo local (STRIPE_WEBHOOK_INSECURE_DEV=true): sin firma, sin garantías
+    log.warn("INSECURE DEV MODE – accepting unsigned event");
+    try {
+      event = raw.length ? JSON.parse(raw.toString("utf8")) : req.body;
+    } catch {
+      return res.status(400).json({ error: "Invalid payload" });
+    }
+  } else {
+    try {
+      const verified = verifyStripeEvent(raw, sig);
+      event = verified.event;
+      // Rotación: avisa mientras sigan llegando eventos firmados con un secret viejo
+      if (verified.secretIndex > 0) {
+        log.warn("verified with secondary secret", { index: verified.secretIndex, event_id: event.id });
+      }
+    } catch (err) {
+      const reason = err?.reason || "invalid_signature";
+      // Auditoría: quién, cuándo y qué mandó (sin el body ni los secrets)
+      log.warn("verification failed", {
+        reason,
+        ip: clientIp(req),
+        user_agent: req.headers["user-agent"] || null,
+        signature_timestamp: signatureTimestamp(sig),
+        body_sha256: bodyHash(raw),
+        body_bytes: raw.length,
+        secrets_configured: webhookSecrets().length,
+        at: new Date().toISOString()
+      });
+      // Sin secret configurado respondemos 500 para que Stripe reintente cuando se configure
+      if (reason === "not_configured") return res.status(500).json({ error: "Webhook not configured" });
+      return res.status(400).json({ error: "Invalid signature" });
+    }
+  }
+
+  // Desde aquí todo lo que logueamos y reenviamos lleva el correlation id de la donación
+  const correlation_id = eventCorrelationId(event);
+  res.setHeader("X-Correlation-Id", correlation_id);
+  log = createLogger("stripe-webhook", { correlation_id, event_id: event.id, event_type: event.type });
+
+  // Idempotencia + ledger: si falla respondemos 500 para que Stripe reintente
+  let donation = null;
   try {
-    if (!webhookSecret) {
-      // Seguridad: sin secret no podemos verificar la firma. Solo útil transitoriamente.
-      // En producción SIEMPRE configura STRIPE_WEBHOOK_SECRET.
-      console.warn("[stripe-webhook] STRIPE_WEBHOOK_SECRET missing – skipping verification (not recommended)");
-      event = req.body; // Vercel parsea JSON si no leemos raw; OK solo temporalmente.
-    } else {
-      // Verificación correcta de firma (recomendado)
-      const raw = await readRawBody(req);
-      event = stripe.webhooks.constructEvent(raw, sig, webhookSecret);
+    if (await getProcessedEvents().has(event.id)) {
+      log.info("duplicate event skipped");
+      return res.status(200).json({ received: true, duplicate: true });
     }
+    donation = await recordDonation(event);
+    // Desde aquí siempre respondemos 200; lo que falle en reenvíos queda en el outbox
+    await getProcessedEvents().mark(event.id, event.type);
   } catch (err) {
-    console.error("[stripe-webhook] Signature verification failed:", err?.message);
-    return res.status(400).send(`Webhook Error: ${err?.message}`);
+    log.error("ledger write failed", { err });
+    return res.status(500).json({ received: false, error: "ledger_write_failed" });
   }
 
   try {
+    if (donation) donation = await matchDonation(donation, log);
+    if (donation) await publishToFeed(donation, log);
+    const donor = donation ? await trackDonor(donation, log) : null;
+    if (event.type === "customer.subscription.deleted") await endPartnership(event.data.object.id).catch(() => null);
+
+    // Un fallo del mailer queda registrado en receipts.json; ni ese ni uno del store bloquean el reenvío
+    if (donation) await sendDonationReceipt(donation, log);
+
     // Procesa eventos que nos interesan
-    if (event.type === "checkout.session.completed") {
+    if (PAID_CHECKOUT.has(event.type)) {
       const session = event.data.object;
 
+      // Débito bancario sin acreditar: nada de feed, recibo ni reenvío hasta async_payment_succeeded
+      if (session.payment_status === "unpaid") {
+        log.info("checkout pending (delayed payment)", { session_id: session.id });
+        return res.status(200).json({ received: true, pending: true });
+      }
+
       // Optional: skip internal/test emails
       if (isExcludedEmail(session.customer_details?.email)) {
-        console.log("[stripe-webhook] skipped (excluded email)", session.customer_details?.email);
+        log.info("skipped (excluded email)", { email: session.customer_details?.email });
         return res.status(200).json({ received: true, skipped: "excluded_email" });
       }
 
+      const consent = normalizeConsent(session.metadata?.public_consent);
+      const prayer = await queuePrayer(donation, log);
+      await notifyHonoree(donation, log);
+
       // Datos comunes
       const payload = {
         event_type: event.type,
@@ -113,65 +477,63 @@ export default async function handler(req, res) {
         created: event.created, // epoch seconds
         mode: session.mode, // 'payment' o 'subscription'
         is_subscription: session.mode === "subscription",
-        amount_total: session.amount_total, // minor units
+        payment_status: "paid",
+        // true si el dinero llegó días después del checkout (ACH, SEPA…)
+        delayed_payment: event.type === "checkout.session.async_payment_succeeded",
+        amount_total: session.amount_total, // minor units (lo cobrado, incluye comisión cubierta)
+        gift_amount: giftAmount(session.metadata, session.amount_total), // lo que el donante quiso dar
+        fee_amount: feeAmount(session.metadata),
         currency: (session.currency || "").toUpperCase(),
-        display_name: displayNameFrom(session.customer_details),
+        public_consent: consent,
+        display_name: displayName({ consent, name: session.customer_details?.name, email: session.customer_details?.email }),
         // PII minimizada:
-        customer_email_hash: sha256Hex(session.customer_details?.email || ""),
-        customer_name_initials: (session.customer_details?.name || "")
+        customer_email_hash: emailHash(session.customer_details?.email || ""),
+        customer_name_initials: consent === "anonymous" ? "" : (session.customer_details?.name || "")
           .split(" ")
           .map(w => w[0])
           .join("")
           .toUpperCase()
           .slice(0, 3),
+        // link firmado para que el donante cambie su visibilidad (email de seguimiento)
+        consent_url: consentUrl(session.id),
         country: session.customer_details?.address?.country || session.customer_details?.address?.country_code || null,
         // metadata propia (desde tu create-checkout-session)
-        prayer_request: session.metadata?.prayer_request || "",
+        // sin emails/teléfonos ni groserías (lib/prayer-filter.js); el original queda solo en Stripe
+        prayer_request: prayer?.text || "",
+        prayer_id: prayer?.id || null,
+        prayer_flags: prayer?.flags || [],
+        tribute_type: donation?.tribute?.type || null,
+        honoree_name: donation?.tribute?.honoree_name || null,
+        campaign: session.metadata?.campaign || null,
+        // desafío de matching: cuánto iguala el sponsor este gift (lib/matching.js)
+        ...matchFields(donation),
         // human text helpers for downstream automations (Zapier, etc.)
-        display_text: (() => {
-          const amt = formatAmount(session.amount_total, session.currency);
-          if (!amt) return null;
-          const isSub = session.mode === 'subscription';
-          const symbolMap = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', KRW: '₩' };
-          const sym = symbolMap[amt.code] || '';
-          const num = zeroPad(amt.value);
-          return isSub ? `became a Partner (${sym}${num}/mo)` : `just gave ${sym}${num}`;
-        })(),
+        locale: normalizeLocale(session.metadata?.locale),
+        amount_formatted: typeof session.amount_total === "number"
+          ? formatMoney(giftAmount(session.metadata, session.amount_total), session.currency)
+          : null,
+        // en el idioma del donante ("just gave $50.00", "became a Partner ($20.00/wk)")
+        display_text: typeof session.amount_total === "number"
+          ? donationText({ ...donationFromSession(session), name: null }, session.metadata?.locale)
+          : null,
+        // donante: is_first_gift, lifetime_total… para dar otra bienvenida a los nuevos (lib/donors.js)
+        ...donorFields(donor, (session.currency || "").toUpperCase()),
       };
 
-      console.log("[stripe-webhook] checkout.session.completed", {
+      log.info(event.type, {
         session_id: payload.session_id,
         currency: payload.currency,
         amount_total: payload.amount_total,
         is_subscription: payload.is_subscription,
       });
 
-      // Reenvío opcional a Zapier con firma propia
-      if (process.env.ZAPIER_HOOK_URL) {
-        payload.event_id = event.id;
-        const bodyString = JSON.stringify(payload);
-        const headers = { "Content-Type": "application/json" };
-        const signature = signForward(bodyString);
-        if (signature) headers["X-Forward-Signature"] = signature;
-
-        try {
-          const resp = await fetch(process.env.ZAPIER_HOOK_URL, {
-            method: "POST",
-            headers,
-            body: bodyString,
-          });
-          if (!resp.ok) {
-            console.error("[stripe-webhook] Zapier forward failed", resp.status, await resp.text());
-          }
-        } catch (zErr) {
-          console.error("[stripe-webhook] Zapier forward error", zErr?.message);
-        }
-      }
+      // Reenvío a los destinos configurados (Zapier, Slack, CRM…) con firma propia
+      await forward(event, payload, log);
     }
 
     if (event.type === "invoice.paid") {
       if (String(process.env.FORWARD_INVOICE_PAID || 'on').toLowerCase() === 'off') {
-        console.log('[stripe-webhook] invoice.paid forwarding disabled via FORWARD_INVOICE_PAID=off');
+        log.info("invoice.paid forwarding disabled via FORWARD_INVOICE_PAID=off");
         return res.status(200).json({ received: true, skipped: 'invoice_forward_off' });
       }
 
@@ -182,38 +544,58 @@ export default async function handler(req, res) {
         created: event.created,
         amount_paid: invoice.amount_paid,
         currency: (invoice.currency || "").toUpperCase(),
-        customer_email_hash: sha256Hex(invoice.customer_email || ""),
+        gift_amount: giftAmount(invoice.subscription_details?.metadata, invoice.amount_paid),
+        fee_amount: feeAmount(invoice.subscription_details?.metadata),
+        amount_formatted: formatMoney(giftAmount(invoice.subscription_details?.metadata, invoice.amount_paid ?? 0), invoice.currency),
+        customer_email_hash: emailHash(invoice.customer_email || ""),
         subscription: invoice.subscription || null,
+        public_consent: normalizeConsent(invoice.subscription_details?.metadata?.public_consent),
+        locale: normalizeLocale(invoice.subscription_details?.metadata?.locale),
+        campaign: invoice.subscription_details?.metadata?.campaign || null,
+        ...matchFields(donation),
+        // donante: is_first_gift, lifetime_total… (ver lib/donors.js)
+        ...donorFields(donor, (invoice.currency || "").toUpperCase()),
       };
 
-      console.log("[stripe-webhook] invoice.paid", {
+      log.info("invoice.paid", {
         invoice_id: payload.invoice_id,
         amount_paid: payload.amount_paid,
         currency: payload.currency,
       });
 
-      if (process.env.ZAPIER_HOOK_URL) {
-        payload.event_id = event.id;
-        const bodyString = JSON.stringify(payload);
-        const headers = { "Content-Type": "application/json" };
-        const signature = signForward(bodyString);
-        if (signature) headers["X-Forward-Signature"] = signature;
-        try {
-          const resp = await fetch(process.env.ZAPIER_HOOK_URL, { method: "POST", headers, body: bodyString });
-          if (!resp.ok) console.error("[stripe-webhook] Zapier forward failed", resp.status, await resp.text());
-        } catch (zErr) {
-          console.error("[stripe-webhook] Zapier forward error", zErr?.message);
-        }
+      await forward(event, payload, log);
+    }
+
+    // Ciclo de vida: fallos de cobro, cambios/cancelaciones, reembolsos y disputas
+    if (LIFECYCLE[event.type]) {
+      const { email, payload: data } = await LIFECYCLE[event.type](event.data.object, event.data.previous_attributes);
+
+      if (isExcludedEmail(email)) {
+        log.info("skipped (excluded email)");
+        return res.status(200).json({ received: true, skipped: "excluded_email" });
       }
+
+      const payload = {
+        event_type: event.type,
+        created: event.created,
+        ...data,
+        customer_email_hash: emailHash(email)
+      };
+      log.info(event.type, {
+        partner_status: payload.partner_status || null,
+        currency: payload.currency
+      });
+
+      await forward(event, payload, log);
     }
 
-    // Puedes añadir más tipos si los necesitas (created/updated/deleted de subscription, etc.)
-    // else { console.log(`[stripe-webhook] Unhandled event ${event.type}`); }
+    // Aprovechamos la invocación para reintentar reenvíos atrasados
+    await retryDue({ limit: 5 });
 
     // Responde rápido 200 para que Stripe no reintente
     return res.status(200).json({ received: true });
   } catch (err) {
-    console.error("[stripe-webhook] Handler error", err);
+    log.error("handler error", { err });
     // 500 solo si quieres que Stripe reintente; trata de evitarlo si ya reenviaste a Zapier.
     return res.status(200).json({ received: true, note: "handled with warnings" });
   }
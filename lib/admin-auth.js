@@ -0,0 +1,16 @@
+// lib/admin-auth.js
+import crypto from "crypto";
+
+/**
+ * Endpoints internos: `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * Sin ADMIN_API_TOKEN configurado, todo queda cerrado.
+ */
+export function isAdmin(req) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) return false;
+  const header = req.headers.authorization || "";
+  const given = header.startsWith("Bearer ") ? header.slice(7) : "";
+  const a = crypto.createHash("sha256").update(given).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,59 @@
+// lib/campaigns.js
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+/**
+ * Campañas (drives de temporada). Config en config/campaigns.json (vacío por defecto) o en
+ * CAMPAIGNS_FILE; ejemplo en config/campaigns.example.json:
+ * [{ "slug": "mission-trip-2026", "name": "Mission Trip 2026",
+ *    "goal": { "amount": 1500000, "currency": "USD" },   // minor units; null = sin meta
+ *    "starts_at": "2026-01-01", "ends_at": "2026-12-31" }] // opcionales (fechas UTC, ends_at inclusive)
+ */
+export const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const DAY = 24 * 60 * 60;
+
+/** "YYYY-MM-DD" o ISO → epoch seconds; endOfDay: una fecha sola cuenta el día entero */
+export function toEpoch(date, endOfDay = false) {
+  if (!date) return null;
+  const ms = Date.parse(date);
+  if (Number.isNaN(ms)) return null;
+  return Math.floor(ms / 1000) + (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(date) ? DAY : 0);
+}
+
+let cache = null;
+
+export function listCampaigns() {
+  if (cache) return cache;
+  const file = process.env.CAMPAIGNS_FILE || path.join(process.cwd(), "config", "campaigns.json");
+  let raw = [];
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") createLogger("campaigns").error("invalid config", { file, err });
+  }
+  cache = (Array.isArray(raw) ? raw : [])
+    .filter((c) => c && SLUG_RE.test(c.slug || ""))
+    .map((c) => ({
+      slug: c.slug,
+      name: String(c.name || c.slug),
+      goal: c.goal && Number.isInteger(c.goal.amount)
+        ? { amount: c.goal.amount, currency: String(c.goal.currency || "USD").toUpperCase() }
+        : null,
+      starts_at: toEpoch(c.starts_at),
+      ends_at: toEpoch(c.ends_at, true)
+    }));
+  return cache;
+}
+
+export function getCampaign(slug) {
+  return listCampaigns().find((c) => c.slug === slug) || null;
+}
+
+/** La campaña acepta donaciones ahora (dentro de starts_at/ends_at) */
+export function isOpen(campaign, now = Math.floor(Date.now() / 1000)) {
+  if (campaign.starts_at && now < campaign.starts_at) return false;
+  if (campaign.ends_at && now >= campaign.ends_at) return false;
+  return true;
+}
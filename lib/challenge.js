@@ -0,0 +1,74 @@
+// lib/challenge.js
+import { createLogger } from "./logger.js";
+
+/**
+ * Verificación opcional de un challenge anti-bot (Cloudflare Turnstile / hCaptcha).
+ *
+ * ENV:
+ * - CHALLENGE_PROVIDER   = "turnstile" | "hcaptcha" | "stub" (vacío = desactivado)
+ * - CHALLENGE_SECRET     = secret key del proveedor
+ * - CHALLENGE_VERIFY_URL = sobreescribe el endpoint siteverify (p.ej. un verificador local)
+ * - CHALLENGE_STUB_TOKEN = token aceptado por el provider "stub" (default "pass"), para desarrollo
+ *
+ * Ambos proveedores usan el mismo contrato: POST form (secret, response, remoteip) → { success }.
+ */
+const VERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify"
+};
+
+const TIMEOUT_MS = 5000;
+
+function siteverify(url) {
+  return async (token, ip) => {
+    const secret = process.env.CHALLENGE_SECRET;
+    if (!secret) throw new Error("CHALLENGE_SECRET not configured");
+    const body = new URLSearchParams({ secret, response: token, ...(ip ? { remoteip: ip } : {}) });
+    const resp = await fetch(url, { method: "POST", body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+    if (!resp.ok) throw new Error(`siteverify HTTP ${resp.status}`);
+    const data = await resp.json();
+    return { success: data.success === true, codes: data["error-codes"] || [] };
+  };
+}
+
+/** Verificador local: acepta solo CHALLENGE_STUB_TOKEN */
+async function stubVerify(token) {
+  const ok = token === (process.env.CHALLENGE_STUB_TOKEN || "pass");
+  return { success: ok, codes: ok ? [] : ["invalid-input-response"] };
+}
+
+let verifier = null;
+
+export function challengeProvider() {
+  return String(process.env.CHALLENGE_PROVIDER || "").toLowerCase() || null;
+}
+
+function getVerifier() {
+  if (verifier) return verifier;
+  const provider = challengeProvider();
+  if (provider === "stub") return stubVerify;
+  const url = process.env.CHALLENGE_VERIFY_URL || VERIFY_URLS[provider];
+  if (!url) throw new Error(`Unknown CHALLENGE_PROVIDER: ${provider}`);
+  return siteverify(url);
+}
+
+/** Permite inyectar otro verificador (pruebas): (token, ip) → { success, codes } */
+export function setChallengeVerifier(fn) {
+  verifier = fn;
+}
+
+/**
+ * → { ok: true } si no hay provider configurado o el token es válido;
+ *   { ok: false, reason } si falta, es inválido o el proveedor no responde (fail closed).
+ */
+export async function verifyChallenge(token, ip) {
+  if (!challengeProvider() && !verifier) return { ok: true };
+  if (typeof token !== "string" || !token || token.length > 2048) return { ok: false, reason: "missing" };
+  try {
+    const { success, codes } = await getVerifier()(token, ip);
+    return success ? { ok: true } : { ok: false, reason: codes[0] || "invalid" };
+  } catch (err) {
+    createLogger("challenge").error("verify failed", { err });
+    return { ok: false, reason: "unavailable" };
+  }
+}
@@ -0,0 +1,50 @@
+// lib/consent.js
+import { signToken, verifyToken } from "./signed-token.js";
+
+/**
+ * Visibilidad pública elegida por el donante:
+ * - "public"     → nombre completo
+ * - "first_name" → solo el primer nombre
+ * - "anonymous"  → "Someone" (o se omite del feed)
+ */
+export const CONSENT_LEVELS = new Set(["public", "first_name", "anonymous"]);
+
+const TOKEN_PURPOSE = "consent";
+const TOKEN_TTL = 365 * 24 * 60 * 60; // el donante puede cambiarlo durante un año
+
+/** Página del sitio que muestra el selector (recibe ?token=…) */
+const CONSENT_PATH = "/donate/visibility";
+
+/**
+ * Interpreta el valor que llega del form o de metadata; null si no se reconoce.
+ * Sesiones antiguas guardaban "true"/"false": "true" equivalía a mostrar el primer nombre.
+ */
+export function parseConsent(value) {
+  if (value === true || value === "true") return "first_name";
+  if (value === false || value === "false") return "anonymous";
+  const v = typeof value === "string" ? value.trim().toLowerCase().replace(/[-\s]+/g, "_") : "";
+  return CONSENT_LEVELS.has(v) ? v : null;
+}
+
+/** Igual que parseConsent pero sin elección válida → "anonymous" */
+export function normalizeConsent(value) {
+  return parseConsent(value) || "anonymous";
+}
+
+/** Token para cambiar el consentimiento de una Checkout Session */
+export function consentToken(sessionId) {
+  return signToken(TOKEN_PURPOSE, { sid: sessionId }, TOKEN_TTL);
+}
+
+/** Devuelve el session id si el token es válido; si no, null */
+export function verifyConsentToken(token) {
+  return verifyToken(TOKEN_PURPOSE, token)?.sid || null;
+}
+
+/** Link firmado para el email de seguimiento (null si no hay secret configurado) */
+export function consentUrl(sessionId) {
+  if (!process.env.LINK_SIGNING_SECRET) return null;
+  const u = new URL(CONSENT_PATH, process.env.SITE_URL || "https://hyeoks-site.webflow.io");
+  u.searchParams.set("token", consentToken(sessionId));
+  return u.toString();
+}
@@ -0,0 +1,46 @@
+// lib/cors.js
+
+/**
+ * Orígenes permitidos para todos los endpoints públicos.
+ * ENV ALLOWED_ORIGINS = "https://hyeoks-site.webflow.io,https://brotherhyeok.com"
+ * El primero es el fallback (y el origen que usamos para armar URLs de retorno).
+ */
+const DEFAULT_ORIGINS = [
+  "https://hyeoks-site.webflow.io",
+  "https://brotherhyeok.com",
+  "https://www.brotherhyeok.com",
+  "https://brotherhyeok.org",
+  "https://www.brotherhyeok.org"
+];
+
+export function allowedOrigins() {
+  const list = (process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((s) => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+  return list.length ? list : DEFAULT_ORIGINS;
+}
+
+/** Origin del request si está permitido; si no, el primero de la lista */
+export function allowOrigin(req) {
+  const list = allowedOrigins();
+  return list.includes(req.headers.origin) ? req.headers.origin : list[0];
+}
+
+/**
+ * Cabeceras CORS. Devuelve true si ya respondió (preflight OPTIONS).
+ *   if (cors(req, res, { methods: "GET, OPTIONS" })) return;
+ */
+export function cors(req, res, { methods = "GET, OPTIONS", headers = "Content-Type" } = {}) {
+  res.setHeader("Access-Control-Allow-Origin", allowOrigin(req));
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", headers);
+  // el widget puede leer el correlation id para adjuntarlo a un reporte de error (lib/logger.js)
+  res.setHeader("Access-Control-Expose-Headers", "X-Correlation-Id");
+  if (req.method === "OPTIONS") {
+    res.status(204).end();
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,86 @@
+// lib/currency.js
+//
+// Monedas permitidas, moneda por locale, mínimos y formato (incluye zero-decimal: KRW, JPY…).
+//
+// ENV:
+// - ALLOWED_CURRENCIES = "USD,KRW,JPY" (default)
+// - LOCALE_CURRENCIES  = "kr:KRW,ja:JPY" → sobreescribe la moneda por defecto de cada locale
+// - MIN_AMOUNTS        = "USD:100,KRW:1000" → mínimos en minor units (sobreescribe los de abajo)
+// - SOFT_MAX_AMOUNTS   = "USD:1000000"      → por encima, el checkout pide confirmación explícita
+
+/** Monedas sin decimales en Stripe: amount ya está en unidades enteras */
+export const ZERO_DEC = new Set(["BIF","CLP","DJF","GNF","JPY","KMF","KRW","MGA","PYG","RWF","UGX","VND","VUV","XAF","XOF","XPF"]);
+
+const DEFAULT_LOCALE_CURRENCY = { "en-us": "USD", kr: "KRW", ja: "JPY", es: "USD", "pt-br": "USD" };
+
+/** Mínimos (minor units) por encima del mínimo de Stripe para evitar cargos de prueba */
+const DEFAULT_MIN_AMOUNTS = { USD: 100, EUR: 100, GBP: 100, CAD: 100, AUD: 100, KRW: 1000, JPY: 100, BRL: 500 };
+const FALLBACK_MIN = 100;
+
+/** Tope "blando" (minor units): montos mayores requieren confirm_large_amount */
+const DEFAULT_SOFT_MAX = { USD: 1000000, EUR: 1000000, GBP: 1000000, CAD: 1000000, AUD: 1000000, KRW: 10000000, JPY: 1000000, BRL: 5000000 };
+const FALLBACK_SOFT_MAX = 1000000;
+
+/** Máximo que Stripe acepta por cobro: 8 dígitos en minor units */
+export const STRIPE_MAX_AMOUNT = 99999999;
+
+/** "USD:100,KRW:1000" → { USD: "100", KRW: "1000" } (formato de las ENV por moneda) */
+export function parsePairs(raw) {
+  return Object.fromEntries(
+    String(raw || "")
+      .split(",")
+      .map((p) => p.split(":").map((s) => s.trim()))
+      .filter(([k, v]) => k && v)
+  );
+}
+
+export function isZeroDecimal(code) {
+  return ZERO_DEC.has(String(code || "").toUpperCase());
+}
+
+export function allowedCurrencies() {
+  const list = (process.env.ALLOWED_CURRENCIES || "USD,KRW,JPY")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean);
+  return new Set(list);
+}
+
+/** Moneda por defecto para el locale (si no está permitida, la primera permitida) */
+export function currencyForLocale(locale) {
+  const overrides = parsePairs(process.env.LOCALE_CURRENCIES);
+  const allowed = allowedCurrencies();
+  const wanted = String(overrides[locale] || DEFAULT_LOCALE_CURRENCY[locale] || "USD").toUpperCase();
+  return allowed.has(wanted) ? wanted : [...allowed][0];
+}
+
+export function minAmount(code) {
+  const c = String(code || "").toUpperCase();
+  const env = Number(parsePairs(process.env.MIN_AMOUNTS)[c]);
+  if (Number.isInteger(env) && env > 0) return env;
+  return DEFAULT_MIN_AMOUNTS[c] ?? FALLBACK_MIN;
+}
+
+export function softMaxAmount(code) {
+  const c = String(code || "").toUpperCase();
+  const env = Number(parsePairs(process.env.SOFT_MAX_AMOUNTS)[c]);
+  if (Number.isInteger(env) && env > 0) return env;
+  return DEFAULT_SOFT_MAX[c] ?? FALLBACK_SOFT_MAX;
+}
+
+/** minor units → unidades de la moneda (KRW 5000 → 5000; USD 5000 → 50) */
+export function toMajor(minor, code) {
+  return isZeroDecimal(code) ? minor : minor / 100;
+}
+
+/** "$50.00", "₩50,000", "￥3,000"… */
+export function formatMoney(minor, code = "USD", locale = "en-US") {
+  const c = String(code || "USD").toUpperCase();
+  const zero = isZeroDecimal(c);
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: c,
+    minimumFractionDigits: zero ? 0 : 2,
+    maximumFractionDigits: zero ? 0 : 2
+  }).format(toMajor(minor, c));
+}
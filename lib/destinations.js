@@ -0,0 +1,141 @@
+// lib/destinations.js
+//
+// Registro de destinos para reenviar eventos de donación.
+//
+// ENV FORWARD_DESTINATIONS = JSON array, p.ej.:
+// [
+//   { "name": "zapier", "url": "https://hooks.zapier.com/…", "secret_env": "ZAPIER_HMAC_SECRET",
+//     "events": ["*"], "template": "raw" },
+//   { "name": "slack",  "url": "https://hooks.slack.com/…",
+//     "events": ["checkout.session.completed", "checkout.session.async_payment_succeeded"], "template": "slack" },
+//   { "name": "sheets", "url": "https://script.google.com/…", "secret_env": "SHEETS_HMAC_SECRET",
+//     "events": ["checkout.session.*", "invoice.paid"], "template": "sheets" },
+//   { "name": "crm", "url": "https://crm.example/hooks/donations", "secret_env": "CRM_HMAC_SECRET",
+//     "events": ["*"], "template": { "donor": "{{customer_email_hash}}", "amount": "{{amount_total}}" } }
+// ]
+//
+// - secret_env: nombre de la ENV con el secret HMAC (el secret no va dentro del JSON)
+// - events:     tipos de evento; admite "*" y prefijos "invoice.*" ("donor.*" hay que listarlo aparte)
+// - template:   "raw" | "slack" | "sheets" | objeto con placeholders "{{campo}}"
+//
+// Compatibilidad: si ZAPIER_HOOK_URL existe se registra como destino "zapier"
+// (todos los eventos, payload raw, firmado con FORWARD_HMAC_SECRET).
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+const TEMPLATES = {
+  raw: (payload) => payload,
+
+  // Incoming webhook compatible con Slack (y Mattermost/Discord vía /slack)
+  slack: (payload) => ({
+    text: [payload.display_name, payload.display_text].filter(Boolean).join(" ") || payload.event_type
+  }),
+
+  // Fila plana para un Apps Script / bridge de Google Sheets
+  sheets: (payload) => ({
+    event_id: payload.event_id,
+    event_type: payload.event_type,
+    created: payload.created,
+    amount: payload.amount_total ?? payload.amount_paid ?? null,
+    currency: payload.currency || null,
+    is_subscription: Boolean(payload.is_subscription || payload.subscription),
+    display_name: payload.display_name || null,
+    country: payload.country || null,
+    email_hash: payload.customer_email_hash || null
+  })
+};
+
+function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+/** Rellena "{{campo}}" en los strings de un objeto plantilla */
+function renderObjectTemplate(tpl, payload) {
+  if (typeof tpl === "string") {
+    const whole = tpl.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return getPath(payload, whole[1]) ?? null; // conserva números/booleans
+    return tpl.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, p) => String(getPath(payload, p) ?? ""));
+  }
+  if (Array.isArray(tpl)) return tpl.map((v) => renderObjectTemplate(v, payload));
+  if (tpl && typeof tpl === "object") {
+    return Object.fromEntries(Object.entries(tpl).map(([k, v]) => [k, renderObjectTemplate(v, payload)]));
+  }
+  return tpl;
+}
+
+/**
+ * Los eventos propios "donor.*" llevan el email del donante (p.ej. links mágicos):
+ * "*" no los incluye, el destino tiene que pedirlos explícitamente.
+ */
+function matchesEvent(patterns, type) {
+  const wildcardOk = !type.startsWith("donor.");
+  return patterns.some((p) =>
+    (p === "*" && wildcardOk) || p === type || (p.endsWith(".*") && type.startsWith(p.slice(0, -1)))
+  );
+}
+
+function parseDestinations(raw) {
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch {
+    throw new Error("FORWARD_DESTINATIONS is not valid JSON");
+  }
+  if (!Array.isArray(list)) throw new Error("FORWARD_DESTINATIONS must be an array");
+
+  return list.map((d, i) => {
+    if (!d || !NAME_RE.test(d.name || "")) throw new Error(`FORWARD_DESTINATIONS[${i}]: invalid name`);
+    let url;
+    try {
+      url = new URL(d.url);
+    } catch {
+      throw new Error(`FORWARD_DESTINATIONS[${i}] (${d.name}): invalid url`);
+    }
+    const template = d.template ?? "raw";
+    if (typeof template === "string" && !TEMPLATES[template])
+      throw new Error(`FORWARD_DESTINATIONS[${i}] (${d.name}): unknown template "${template}"`);
+
+    return {
+      name: d.name,
+      url: url.toString(),
+      secretEnv: d.secret_env || null,
+      events: Array.isArray(d.events) && d.events.length ? d.events.map(String) : ["*"],
+      template
+    };
+  });
+}
+
+/** Destinos configurados (se relee la ENV en cada llamada; es barato) */
+export function listDestinations() {
+  const list = process.env.FORWARD_DESTINATIONS ? parseDestinations(process.env.FORWARD_DESTINATIONS) : [];
+  if (process.env.ZAPIER_HOOK_URL && !list.some((d) => d.name === "zapier")) {
+    list.push({
+      name: "zapier",
+      url: process.env.ZAPIER_HOOK_URL,
+      secretEnv: "FORWARD_HMAC_SECRET",
+      events: ["*"],
+      template: "raw"
+    });
+  }
+  return list;
+}
+
+export function getDestination(name) {
+  return listDestinations().find((d) => d.name === name) || null;
+}
+
+export function destinationsFor(eventType) {
+  return listDestinations().filter((d) => matchesEvent(d.events, eventType));
+}
+
+export function destinationSecret(dest) {
+  return (dest?.secretEnv && process.env[dest.secretEnv]) || null;
+}
+
+/** Body (string) que recibe el destino según su plantilla */
+export function renderPayload(dest, payload) {
+  const body = typeof dest.template === "string"
+    ? TEMPLATES[dest.template](payload)
+    : renderObjectTemplate(dest.template, payload);
+  return JSON.stringify(body);
+}
@@ -0,0 +1,26 @@
+// lib/display-name.js
+import { someone } from "./i18n.js";
+
+/**
+ * Única política de nombre visible (feed, stream, webhook, display_text):
+ * - "anonymous"             → sin nombre
+ * - "public"                → nombre completo tal cual (si no hay nombre, como first_name)
+ * - "first_name" / sin dato → primer nombre capitalizado; si no hay nombre, el local-part del email
+ * Devuelve null cuando no hay nada que mostrar.
+ */
+export function publicName({ consent, name, email } = {}) {
+  if (consent === "anonymous") return null;
+
+  const full = name ? String(name).trim() : "";
+  if (consent === "public" && full) return full;
+
+  // Nombre explícito o, si falta, local-part del email ("ana.kim" → "Ana")
+  const raw = full || (email ? String(email).trim().split("@")[0] : "");
+  const first = raw.replace(/[._-]+/g, " ").trim().split(/\s+/)[0] || "";
+  return first ? first.charAt(0).toUpperCase() + first.slice(1) : null;
+}
+
+/** Nombre a mostrar: publicName o "Someone" localizado */
+export function displayName(d, locale) {
+  return publicName(d) ?? someone(locale);
+}
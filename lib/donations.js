@@ -0,0 +1,104 @@
+// lib/donations.js
+import { normalizeConsent } from "./consent.js";
+import { giftAmount, feeAmount } from "./fees.js";
+import { tributeFromMetadata } from "./tribute.js";
+
+/**
+ * Forma normalizada de una donación (lo que guarda el ledger).
+ * - kind "checkout": primer pago (one-time o alta de partner) desde Checkout
+ * - kind "renewal":  cuotas siguientes de una suscripción (invoice.paid)
+ * amount_minor es el gift (sin la comisión que el donante haya cubierto); total_minor lo cobrado.
+ * payment_status: "paid", o "pending" / "failed" para débitos bancarios (ACH, SEPA…) que se
+ * acreditan días después del checkout; solo las pagadas cuentan en feed, totales y recibos.
+ */
+
+/** Nombre del custom field "full_name" del checkout, o el de customer_details */
+export function fullNameFrom(session) {
+  const custom = Array.isArray(session.custom_fields)
+    ? session.custom_fields.find((f) => f.key === "full_name")?.text?.value
+    : null;
+  const name = (custom || session.customer_details?.name || "").trim().replace(/\s+/g, " ");
+  return name || null;
+}
+
+/** "John.Doe+church@GMail.com" → "johndoe@gmail.com" (clave de búsqueda, no para enviar) */
+export function normalizeEmail(email) {
+  const e = String(email || "").trim().toLowerCase();
+  const at = e.lastIndexOf("@");
+  if (at < 1) return null;
+  let local = e.slice(0, at).split("+")[0];
+  let domain = e.slice(at + 1);
+  if (domain === "googlemail.com") domain = "gmail.com";
+  if (domain === "gmail.com") local = local.replace(/\./g, "");
+  return local ? `${local}@${domain}` : null;
+}
+
+const idOf = (v) => (v && typeof v === "object" ? v.id : v) || null;
+
+/** Registros anteriores a payment_status son todos pagos con tarjeta/wallet */
+export function isPaid(d) {
+  return !d?.payment_status || d.payment_status === "paid";
+}
+
+export function donationFromSession(session, created = session.created) {
+  return {
+    id: session.id,
+    kind: "checkout",
+    recurring: session.mode === "subscription",
+    session_id: session.id,
+    payment_intent_id: idOf(session.payment_intent),
+    subscription_id: idOf(session.subscription),
+    customer_id: idOf(session.customer),
+    amount_minor: giftAmount(session.metadata, session.amount_total ?? session.amount_subtotal ?? 0),
+    fee_minor: feeAmount(session.metadata),
+    total_minor: session.amount_total ?? session.amount_subtotal ?? 0,
+    currency: (session.currency || "usd").toUpperCase(),
+    interval: session.mode === "subscription" ? session.metadata?.interval || "month" : null,
+    interval_count: session.mode === "subscription" ? Number(session.metadata?.interval_count) || 1 : null,
+    locale: session.metadata?.locale || null,
+    email: (session.customer_details?.email || "").toLowerCase() || null,
+    name: fullNameFrom(session),
+    country: session.customer_details?.address?.country || null,
+    consent: normalizeConsent(session.metadata?.public_consent),
+    prayer_request: session.metadata?.prayer_request || "",
+    campaign: session.metadata?.campaign || null,
+    tribute: tributeFromMetadata(session.metadata),
+    // "unpaid" = método diferido aún sin acreditar ("no_payment_required" cuenta como pagada)
+    payment_status: session.payment_status === "unpaid" ? "pending" : "paid",
+    created
+  };
+}
+
+export function donationFromInvoice(invoice, created = invoice.created) {
+  const line = invoice.lines?.data?.[0];
+  return {
+    id: invoice.id,
+    kind: "renewal",
+    recurring: true,
+    invoice_id: invoice.id,
+    payment_intent_id: idOf(invoice.payment_intent),
+    subscription_id: idOf(invoice.subscription),
+    customer_id: idOf(invoice.customer),
+    amount_minor: giftAmount(invoice.subscription_details?.metadata, invoice.amount_paid ?? invoice.total ?? 0),
+    fee_minor: feeAmount(invoice.subscription_details?.metadata),
+    total_minor: invoice.amount_paid ?? invoice.total ?? 0,
+    currency: (invoice.currency || "usd").toUpperCase(),
+    interval: line?.price?.recurring?.interval || null,
+    interval_count: line?.price?.recurring?.interval_count || null,
+    locale: invoice.subscription_details?.metadata?.locale || null,
+    email: (invoice.customer_email || "").toLowerCase() || null,
+    name: invoice.customer_name || null,
+    country: invoice.customer_address?.country || null,
+    consent: normalizeConsent(invoice.subscription_details?.metadata?.public_consent),
+    campaign: invoice.subscription_details?.metadata?.campaign || null,
+    created
+  };
+}
+
+/**
+ * El alta de la suscripción ya entra como kind "checkout";
+ * solo las cuotas posteriores se guardan como renewal.
+ */
+export function isRenewalInvoice(invoice) {
+  return invoice.billing_reason !== "subscription_create";
+}
@@ -0,0 +1,166 @@
+// lib/donors.js
+import path from "path";
+import crypto from "crypto";
+import { dataDir } from "./json-file.js";
+import { jsonRecords } from "./json-records.js";
+import { getLedger } from "./ledger/index.js";
+import { netAmount } from "./reports.js";
+import { normalizeEmail } from "./donations.js";
+
+/**
+ * Identidad del donante a través de sessions: un perfil por email normalizado.
+ * Stripe crea un Customer por checkout; el webhook los junta aquí (customer_ids) después del pago.
+ * El checkout no reutiliza Customers: el email que manda el widget no está verificado.
+ *
+ * Los totales (primer gift, cantidad, lifetime por moneda) se recalculan desde el ledger,
+ * así reembolsos y reintentos de Stripe no desajustan nada.
+ *
+ * ENV: DONORS_FILE (default <DATA_DIR>/donors.json; con KV una clave por donante, ver lib/json-records.js)
+ */
+
+// Vive en lib/donations.js para que el ledger indexe por donante sin importar este módulo
+export { normalizeEmail };
+
+export function donorIdFor(email) {
+  const key = normalizeEmail(email);
+  return key ? `donor_${crypto.createHash("sha256").update(key).digest("hex").slice(0, 16)}` : null;
+}
+
+export function createJsonDonors(file = process.env.DONORS_FILE || path.join(dataDir(), "donors.json")) {
+  const rows = jsonRecords(file, "donors", {
+    indexes: {
+      customer: (d) => d.customer_ids,
+      // las terminadas siguen apuntando al donante (reintentos de customer.subscription.deleted)
+      subscription: (d) => [...d.partnerships, ...(d.ended_partnerships || [])]
+    }
+  });
+  const findBy = async (index, value) => (value ? (await rows.list({ index: [index, value], limit: 1 }))[0] || null : null);
+
+  return {
+    async get(id) {
+      return rows.get(id);
+    },
+
+    async findByEmail(email) {
+      const id = donorIdFor(email);
+      return id ? this.get(id) : null;
+    },
+
+    async findByCustomer(customerId) {
+      return findBy("customer", customerId);
+    },
+
+    /** fn(donor) muta el perfil (lo crea si no existe); devuelve el perfil guardado */
+    async upsert(id, fn) {
+      return rows.update(id, (current) => {
+        const donor = current || { id, customer_ids: [], primary_customer_id: null, partnerships: [] };
+        fn(donor);
+        return donor;
+      });
+    },
+
+    async findBySubscription(subscriptionId) {
+      return findBy("subscription", subscriptionId);
+    }
+  };
+}
+
+let instance = null;
+
+export function getDonors() {
+  if (!instance) instance = createJsonDonors();
+  return instance;
+}
+
+export function setDonors(store) {
+  instance = store;
+}
+
+/** Totales del donante a partir del ledger (gift neto, sin comisión ni reembolsos) */
+export function lifetimeFrom(donations) {
+  const sorted = [...donations].sort((a, b) => a.created - b.created);
+  const totals = {};
+  let count = 0;
+  for (const d of sorted) {
+    const net = netAmount(d);
+    if (!net) continue;
+    count++;
+    totals[d.currency] = (totals[d.currency] || 0) + net;
+  }
+  const paid = sorted.filter((d) => netAmount(d) > 0);
+  return {
+    first_gift_at: paid[0]?.created ?? null,
+    first_gift_id: paid[0]?.id ?? null,
+    last_gift_at: paid.at(-1)?.created ?? null,
+    gift_count: count,
+    lifetime_totals: totals
+  };
+}
+
+/**
+ * Registra una donación del ledger en el perfil de su donante.
+ * → { donor, is_first_gift, duplicate_customer } (null si la donación no trae email)
+ *   duplicate_customer: Customer nuevo de un donante que ya tenía otro (para marcarlo en Stripe)
+ */
+export async function recordDonorGift(donation) {
+  const id = donorIdFor(donation.email);
+  if (!id) return null;
+
+  const stats = lifetimeFrom(await getLedger().list({ email: donation.email }));
+
+  let duplicate = null;
+  const donor = await getDonors().upsert(id, (p) => {
+    duplicate = null; // con KV fn puede correr de nuevo sobre el perfil recién leído
+    p.email = donation.email;
+    const c = donation.customer_id;
+    if (c && !p.customer_ids.includes(c)) {
+      p.customer_ids.push(c);
+      if (p.primary_customer_id) duplicate = c;
+      else p.primary_customer_id = c;
+    }
+    if (donation.kind === "checkout" && donation.recurring && donation.subscription_id && !p.partnerships.includes(donation.subscription_id)) {
+      p.partnerships.push(donation.subscription_id);
+    }
+    Object.assign(p, stats);
+    p.updated_at = Math.floor(Date.now() / 1000);
+  });
+
+  return {
+    donor,
+    // primer gift = esta donación es la más antigua con monto del donante
+    is_first_gift: stats.first_gift_id === donation.id,
+    duplicate_customer: duplicate
+  };
+}
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+export function isValidEmail(email) {
+  return typeof email === "string" && email.length <= 254 && EMAIL_RE.test(email.trim());
+}
+
+/** Suscripción cancelada: deja de contar como partnership activa */
+export async function endPartnership(subscriptionId) {
+  const donor = await getDonors().findBySubscription(subscriptionId);
+  if (!donor) return null;
+  return getDonors().upsert(donor.id, (p) => {
+    p.partnerships = p.partnerships.filter((s) => s !== subscriptionId);
+    p.ended_partnerships = [...new Set([...(p.ended_partnerships || []), subscriptionId])];
+  });
+}
+
+/** Campos para los payloads del webhook */
+export function donorFlags(result, currency) {
+  if (!result) return { donor_id: null, is_first_gift: null, is_returning_donor: null };
+  const { donor, is_first_gift } = result;
+  return {
+    donor_id: donor.id,
+    is_first_gift,
+    is_returning_donor: !is_first_gift && donor.gift_count > 1,
+    gift_count: donor.gift_count,
+    first_gift_at: donor.first_gift_at,
+    lifetime_total: donor.lifetime_totals[currency] ?? 0,
+    lifetime_totals: donor.lifetime_totals,
+    active_partnerships: donor.partnerships.length
+  };
+}
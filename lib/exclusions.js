@@ -0,0 +1,38 @@
+// lib/exclusions.js
+
+/**
+ * Emails internos/de prueba que no cuentan en feed, reportes, recibos ni reenvíos.
+ * ENV EXCLUDE_EMAILS, separados por coma:
+ *   "yo@example.com"    → email exacto
+ *   "*@example.com"     → todo el dominio (también vale "@example.com")
+ *   "*@*.example.com"   → cualquier subdominio de example.com
+ */
+function parseRules(raw) {
+  const exact = new Set();
+  const domains = new Set();
+  const suffixes = [];
+  for (const entry of String(raw || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean)) {
+    if (entry.startsWith("*@*.")) suffixes.push(`.${entry.slice(4)}`);
+    else if (entry.startsWith("*@")) domains.add(entry.slice(2));
+    else if (entry.startsWith("@")) domains.add(entry.slice(1));
+    else exact.add(entry);
+  }
+  return { exact, domains, suffixes };
+}
+
+let cached = null;
+
+function rules() {
+  const raw = process.env.EXCLUDE_EMAILS || "";
+  if (!cached || cached.raw !== raw) cached = { raw, ...parseRules(raw) };
+  return cached;
+}
+
+export function isExcludedEmail(email) {
+  if (!email) return false;
+  const e = String(email).trim().toLowerCase();
+  const { exact, domains, suffixes } = rules();
+  if (exact.has(e)) return true;
+  const domain = e.slice(e.lastIndexOf("@") + 1);
+  return domains.has(domain) || suffixes.some((s) => domain.endsWith(s));
+}
@@ -0,0 +1,129 @@
+// lib/feed-events.js
+import path from "path";
+import { jsonFile, dataDir } from "./json-file.js";
+
+/**
+ * Cola corta de items del feed para el stream en vivo (api/donations-stream).
+ * El webhook publica; el stream lee por número de secuencia (= id del evento SSE, para Last-Event-ID).
+ * Solo guarda lib/feed.js#publicEntry (sin email).
+ *
+ * En Vercel el webhook y el stream son funciones distintas, cada una con su disco: el stream solo
+ * ve lo publicado si el store es compartido (Vercel KV, STORE_DRIVER=kv; ver lib/json-file.js).
+ * Con archivos solo sirve cuando ambos corren en el mismo servidor (scripts/dev-server.js).
+ *
+ * Cada sondeo es una lectura del documento entero (en KV, un request facturado y con rate limit):
+ * por eso hay un solo sondeo por instancia (`watch`) para todas las conexiones abiertas, no uno
+ * por conexión. Con KV el costo es ~instancias × (1000 / STREAM_POLL_MS) lecturas por segundo.
+ *
+ * ENV: FEED_EVENTS_FILE (default <DATA_DIR>/feed-events.json; con KV la clave es "<KV_PREFIX>feed-events")
+ */
+const KEEP = 200;
+
+export function createJsonFeedEvents(file = process.env.FEED_EVENTS_FILE || path.join(dataDir(), "feed-events.json")) {
+  const db = jsonFile(file, { seq: 0, items: [] });
+
+  // Sondeo compartido: un timer y una lectura por tick para todos los watchers de esta instancia
+  const watchers = new Set();
+  let timer = null;
+  let polling = null;
+  let again = false;
+  let latest = null; // { at, data } de la última lectura del sondeo
+
+  // Una lectura a la vez: quien llega mientras tanto comparte el resultado. `fresh` (publish)
+  // pide además releer al terminar, porque la lectura en curso puede ser anterior al item.
+  function pollNow({ fresh = false } = {}) {
+    if (polling) {
+      if (fresh) again = true;
+      return polling;
+    }
+    polling = db.read()
+      .then(
+        (data) => {
+          latest = { at: Date.now(), data };
+          for (const w of watchers) {
+            try {
+              w.fn(data.items);
+            } catch (err) {
+              w.onError?.(err); // una conexión rota no corta a las demás
+            }
+          }
+          return data;
+        },
+        (err) => {
+          for (const w of watchers) w.onError?.(err);
+          throw err;
+        }
+      )
+      .finally(() => {
+        polling = null;
+        if (again && watchers.size) {
+          again = false;
+          pollNow();
+        }
+      });
+    polling.catch(() => {}); // el timer no espera el resultado; el error ya fue a onError
+    return polling;
+  }
+
+  return {
+    async publish(entry) {
+      const item = await db.update((data) => {
+        // el mismo donativo no se publica dos veces (reintentos de Stripe)
+        const existing = data.items.find((x) => x.donation_id === entry.donation_id);
+        if (existing) return null;
+        data.seq += 1;
+        const it = { ...entry, seq: data.seq };
+        data.items.push(it);
+        if (data.items.length > KEEP) data.items.splice(0, data.items.length - KEEP);
+        return it;
+      });
+      // Mismo proceso: los watchers lo reciben ya; las demás funciones, en su próximo sondeo
+      if (item && watchers.size) pollNow({ fresh: true });
+      return item;
+    },
+
+    /** Items con seq > after (en orden) */
+    async since(after, { limit = 50 } = {}) {
+      const data = await db.read();
+      return data.items.filter((x) => x.seq > after).slice(0, limit);
+    },
+
+    /**
+     * Último seq. Con maxAgeMs usa la última lectura del sondeo si es así de reciente, y las
+     * llamadas simultáneas comparten una lectura (muchas conexiones que abren a la vez).
+     */
+    async lastSeq({ maxAgeMs = 0 } = {}) {
+      if (maxAgeMs > 0 && latest && Date.now() - latest.at <= maxAgeMs) return latest.data.seq;
+      return (await (maxAgeMs > 0 ? pollNow() : db.read())).seq;
+    },
+
+    /**
+     * fn(items) con los items guardados (en orden de seq) en cada sondeo del store, cada pollMs
+     * (el primer watcher fija el intervalo) y al publicar desde este proceso. Cada watcher filtra
+     * por su propio cursor. Devuelve la función para desuscribirse; sin watchers se para el timer.
+     */
+    watch(fn, { pollMs = 2000, onError } = {}) {
+      const w = { fn, onError };
+      watchers.add(w);
+      if (!timer) timer = setInterval(pollNow, pollMs);
+      return () => {
+        watchers.delete(w);
+        if (!watchers.size && timer) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    }
+  };
+}
+
+let instance = null;
+
+export function getFeedEvents() {
+  if (!instance) instance = createJsonFeedEvents();
+  return instance;
+}
+
+export function setFeedEvents(store) {
+  instance = store;
+}
@@ -0,0 +1,58 @@
+// lib/feed.js
+import { isExcludedEmail } from "./exclusions.js";
+import { publicName, displayName } from "./display-name.js";
+import { donationText } from "./i18n.js";
+import { visibleMatch } from "./matching.js";
+import { isPaid } from "./donations.js";
+
+/**
+ * Reglas del feed público (polling y stream comparten estas funciones).
+ *
+ * ENV FEED_ANONYMOUS: "someone" (default) muestra a los anónimos como "Someone"; "omit" los saca del feed
+ */
+function omitAnonymous() {
+  return String(process.env.FEED_ANONYMOUS || "someone").toLowerCase() === "omit";
+}
+
+/** ¿Esta donación del ledger puede aparecer en el feed? */
+export function isFeedable(d) {
+  if (!d || d.kind !== "checkout") return false;
+  if (!isPaid(d)) return false; // débito bancario aún sin acreditar
+  if (isExcludedEmail(d.email)) return false;
+  if (d.refunded_minor && d.refunded_minor >= d.amount_minor) return false; // reembolsada por completo
+  if (d.consent === "anonymous" && omitAnonymous()) return false;
+  return true;
+}
+
+/**
+ * Lo mínimo para renderizar un item sin guardar PII: el nombre ya resuelto según el consentimiento,
+ * sin email. Es lo que guarda lib/feed-events.js.
+ */
+export function publicEntry(d) {
+  return {
+    donation_id: d.id,
+    ts: d.created,
+    campaign: d.campaign || null,
+    consent: d.consent,
+    name: publicName(d),
+    amount_minor: d.amount_minor,
+    currency: d.currency,
+    recurring: Boolean(d.recurring),
+    interval: d.interval || null,
+    interval_count: d.interval_count || null,
+    match_challenge: d.match_challenge || null,
+    matched_minor: d.matched_minor || 0
+  };
+}
+
+/** { name, text, ts } en el idioma pedido ("… (matched to $100!)" mientras el desafío siga activo) */
+export function feedItem(d, locale) {
+  const name = displayName(d, locale);
+  const matched = visibleMatch(d);
+  return {
+    name,
+    text: donationText({ ...d, name, matched_minor: matched }, locale),
+    ts: d.ts ?? d.created,
+    ...(matched ? { matched_minor: matched } : {})
+  };
+}
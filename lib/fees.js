@@ -0,0 +1,78 @@
+// lib/fees.js
+//
+// "Cover the fees": el donante suma la comisión para que el ministerio reciba el monto completo.
+// La comisión va incluida en el unit_amount (una sola línea/item) y el desglose queda en metadata.
+//
+// ENV:
+// - FEE_PERCENT      = 2.9                  → porcentaje de la tarjeta
+// - FEE_FIXED        = "USD:30,KRW:0,JPY:0" → fijo por cobro en minor units (default USD 30, resto 0)
+// - BANK_FEE_PERCENT = 0.8                  → débito bancario (ACH, SEPA…; ver lib/payment-methods.js)
+// - BANK_FEE_FIXED   = "EUR:35"             → fijo por cobro bancario (default 0)
+// - BANK_FEE_CAP     = "USD:500"            → tope de la comisión bancaria (default USD 500 = $5)
+
+import { parsePairs } from "./currency.js";
+
+const DEFAULT_PERCENT = 2.9;
+const DEFAULT_FIXED = { USD: 30 };
+const DEFAULT_BANK_PERCENT = 0.8;
+const DEFAULT_BANK_CAP = { USD: 500 };
+
+function percentFrom(raw, fallback) {
+  const p = Number(raw);
+  return Number.isFinite(p) && p >= 0 && p < 50 ? p : fallback;
+}
+
+function perCurrency(raw, currency, defaults) {
+  const c = String(currency || "").toUpperCase();
+  const v = Number(parsePairs(raw)[c]);
+  if (Number.isInteger(v) && v >= 0) return v;
+  return defaults[c] ?? null;
+}
+
+/** Tarifa según el método: "card" (default) o "bank" → { pct, fixed, cap } */
+function feeSchedule(currency, method) {
+  if (method === "bank") {
+    return {
+      pct: percentFrom(process.env.BANK_FEE_PERCENT, DEFAULT_BANK_PERCENT) / 100,
+      fixed: perCurrency(process.env.BANK_FEE_FIXED, currency, {}) ?? 0,
+      cap: perCurrency(process.env.BANK_FEE_CAP, currency, DEFAULT_BANK_CAP)
+    };
+  }
+  return {
+    pct: percentFrom(process.env.FEE_PERCENT, DEFAULT_PERCENT) / 100,
+    fixed: perCurrency(process.env.FEE_FIXED, currency, DEFAULT_FIXED) ?? 0,
+    cap: null
+  };
+}
+
+/**
+ * Gross-up: total tal que total - (total * pct + fijo) >= gift.
+ *   total = ceil((gift + fijo) / (1 - pct)), sin pasar de gift + tope si la tarifa tiene tope
+ * `method` = "bank" cuando el checkout solo ofrece débito bancario.
+ * Devuelve { gift, fee, total } en minor units.
+ */
+export function grossUp(gift, currency, method = "card") {
+  const { pct, fixed, cap } = feeSchedule(currency, method);
+  let total = Math.ceil((gift + fixed) / (1 - pct));
+  if (cap != null) total = Math.min(total, gift + cap);
+  return { gift, fee: total - gift, total };
+}
+
+/** Metadata que acompaña un cobro con comisión cubierta */
+export function feeMetadata({ gift, fee }) {
+  return { cover_fees: "true", gift_amount: String(gift), fee_amount: String(fee) };
+}
+
+/**
+ * Monto que el donante quiso dar (sin comisión) a partir de metadata;
+ * si no cubrió comisión, el total cobrado.
+ */
+export function giftAmount(metadata, charged) {
+  const gift = Number(metadata?.gift_amount);
+  return metadata?.cover_fees === "true" && Number.isInteger(gift) ? gift : charged;
+}
+
+export function feeAmount(metadata) {
+  const fee = Number(metadata?.fee_amount);
+  return metadata?.cover_fees === "true" && Number.isInteger(fee) ? fee : 0;
+}
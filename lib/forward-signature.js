@@ -0,0 +1,52 @@
+// lib/forward-signature.js
+//
+// Firmas de lo que reenviamos a destinos externos. Sin dependencias (solo crypto)
+// para que un receptor en Node pueda importar o copiar verifyForwardSignature.
+//
+// Headers que mandamos:
+//   X-Forward-Signature      = hex(HMAC-SHA256(secret, body))                (legacy, sin timestamp)
+//   X-Forward-Signature-256  = t=<epoch seconds>,v1=hex(HMAC-SHA256(secret, `${t}.${body}`))
+import crypto from "crypto";
+
+export const SIGNATURE_HEADER = "X-Forward-Signature";
+export const TIMESTAMPED_HEADER = "X-Forward-Signature-256";
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+const hmacHex = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+/** Firma legacy sobre el body (lo que Zapier ya valida) */
+export function signForward(bodyString, secret) {
+  if (!secret) return null;
+  return hmacHex(secret, bodyString);
+}
+
+/** Headers de firma para un envío; se calculan en cada intento para que el timestamp sea fresco */
+export function signatureHeaders(bodyString, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  if (!secret) return {};
+  return {
+    [SIGNATURE_HEADER]: signForward(bodyString, secret),
+    [TIMESTAMPED_HEADER]: `t=${timestamp},v1=${hmacHex(secret, `${timestamp}.${bodyString}`)}`
+  };
+}
+
+/**
+ * Para receptores: valida X-Forward-Signature-256 y rechaza replays fuera de la tolerancia.
+ *   verifyForwardSignature({ body: rawBodyString, header: req.headers["x-forward-signature-256"], secret })
+ */
+export function verifyForwardSignature({ body, header, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) }) {
+  if (!secret || typeof header !== "string" || typeof body !== "string") return false;
+
+  const parts = Object.fromEntries(
+    header.split(",").map((kv) => {
+      const i = kv.indexOf("=");
+      return [kv.slice(0, i).trim(), kv.slice(i + 1).trim()];
+    })
+  );
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1) return false;
+  if (Math.abs(now - t) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmacHex(secret, `${t}.${body}`));
+  const given = Buffer.from(parts.v1);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
@@ -0,0 +1,28 @@
+// lib/forward.js
+import { enqueue } from "./outbox.js";
+import { destinationsFor, renderPayload } from "./destinations.js";
+
+/**
+ * Fan-out a cada destino cuyo filtro acepta el tipo de evento; cada uno va por el outbox
+ * (firma + reintentos con backoff, ver lib/outbox.js y lib/destinations.js).
+ * `eventId` es el event.id de Stripe o un id propio estable (eventos "donor.*").
+ * `correlationId` (lib/logger.js) va en el payload y en el header X-Correlation-Id.
+ */
+export async function forwardEvent(eventId, eventType, payload, { correlationId = null } = {}) {
+  payload.event_id = eventId;
+  if (correlationId) payload.correlation_id = correlationId;
+  for (const dest of destinationsFor(eventType)) {
+    await enqueue({
+      id: `${eventId}:${dest.name}`,
+      event_id: eventId,
+      correlation_id: correlationId,
+      destination: dest.name,
+      url: dest.url,
+      headers: {
+        "Content-Type": "application/json",
+        ...(correlationId ? { "X-Correlation-Id": correlationId } : {})
+      },
+      body: renderPayload(dest, payload)
+    });
+  }
+}
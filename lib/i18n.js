@@ -0,0 +1,125 @@
+// lib/i18n.js
+//
+// Textos públicos (feed, display_text del webhook) en los locales del sitio.
+import { ALLOWED_LOCALES } from "./locale-urls.js";
+import { formatMoney } from "./currency.js";
+
+export const DEFAULT_LOCALE = "en-us";
+
+/** Locale del sitio → tag de Intl / locale de Stripe Checkout */
+const INTL_TAGS = { "en-us": "en-US", kr: "ko-KR", ja: "ja-JP", es: "es", "pt-br": "pt-BR" };
+const CHECKOUT_LOCALES = { "en-us": "en", kr: "ko", ja: "ja", es: "es", "pt-br": "pt-BR" };
+
+/**
+ * {name} {amount} {per}. Las versiones *_short van sin nombre (display_text del webhook);
+ * *_anon (opcional) reemplaza a la normal cuando el nombre es `someone` (honoríficos en kr/ja).
+ * units: sufijo del intervalo (count 1); unitsN: cuando interval_count > 1 → per "/{n}{sep}{unit}"
+ * matched: se agrega al final mientras un desafío de matching iguala el gift ({total} = gift + match)
+ */
+const MESSAGES = {
+  "en-us": {
+    someone: "Someone",
+    gave: "{name} just gave {amount}",
+    partner: "{name} became a Partner ({amount}{per})",
+    gave_short: "just gave {amount}",
+    partner_short: "became a Partner ({amount}{per})",
+    matched: " (matched to {total}!)",
+    units: { week: "wk", month: "mo", year: "yr" },
+    sep: " "
+  },
+  kr: {
+    someone: "누군가",
+    gave: "{name}님이 {amount} 후원했습니다",
+    partner: "{name}님이 파트너가 되었습니다 ({amount}{per})",
+    gave_anon: "누군가 {amount} 후원했습니다",
+    partner_anon: "누군가 파트너가 되었습니다 ({amount}{per})",
+    gave_short: "{amount} 후원",
+    partner_short: "파트너 가입 ({amount}{per})",
+    matched: " (매칭으로 {total}!)",
+    units: { week: "주", month: "월", year: "년" },
+    unitsN: { week: "주", month: "개월", year: "년" },
+    sep: ""
+  },
+  ja: {
+    someone: "どなたか",
+    gave: "{name}さんが{amount}を寄付しました",
+    partner: "{name}さんがパートナーになりました（{amount}{per}）",
+    gave_anon: "どなたかが{amount}を寄付しました",
+    partner_anon: "どなたかがパートナーになりました（{amount}{per}）",
+    gave_short: "{amount}を寄付",
+    partner_short: "パートナー登録（{amount}{per}）",
+    matched: "（マッチングで{total}に！）",
+    units: { week: "週", month: "月", year: "年" },
+    unitsN: { week: "週間", month: "か月", year: "年" },
+    sep: ""
+  },
+  es: {
+    someone: "Alguien",
+    gave: "{name} acaba de donar {amount}",
+    partner: "{name} se hizo Partner ({amount}{per})",
+    gave_short: "acaba de donar {amount}",
+    partner_short: "se hizo Partner ({amount}{per})",
+    matched: " (¡igualado a {total}!)",
+    units: { week: "semana", month: "mes", year: "año" },
+    unitsN: { week: "semanas", month: "meses", year: "años" },
+    sep: " "
+  },
+  "pt-br": {
+    someone: "Alguém",
+    gave: "{name} acabou de doar {amount}",
+    partner: "{name} se tornou Parceiro ({amount}{per})",
+    gave_short: "acabou de doar {amount}",
+    partner_short: "tornou-se Parceiro ({amount}{per})",
+    matched: " (igualado para {total}!)",
+    units: { week: "semana", month: "mês", year: "ano" },
+    unitsN: { week: "semanas", month: "meses", year: "anos" },
+    sep: " "
+  }
+};
+
+/** Locale válido o el default */
+export function normalizeLocale(locale) {
+  const l = typeof locale === "string" ? locale.toLowerCase() : "";
+  return ALLOWED_LOCALES.has(l) ? l : DEFAULT_LOCALE;
+}
+
+export function intlTag(locale) {
+  return INTL_TAGS[normalizeLocale(locale)];
+}
+
+export function checkoutLocale(locale) {
+  return locale && ALLOWED_LOCALES.has(locale) ? CHECKOUT_LOCALES[locale] : "auto";
+}
+
+export function someone(locale) {
+  return MESSAGES[normalizeLocale(locale)].someone;
+}
+
+function perSuffix(m, interval = "month", count = 1) {
+  const n = Number(count) || 1;
+  if (n === 1) return `/${m.units[interval] || m.units.month}`;
+  const units = m.unitsN || m.units;
+  return `/${n}${m.sep}${units[interval] || units.month}`;
+}
+
+const fill = (tpl, vars) => tpl.replace(/\{(\w+)\}/g, (_, k) => vars[k] ?? "");
+
+/**
+ * Texto de una donación.
+ * d: { name?, amount_minor, currency, recurring, interval?, interval_count?, matched_minor? }
+ * Sin `name` devuelve la versión corta ("just gave $50.00").
+ * Con matched_minor: "Sarah just gave $50.00 (matched to $100.00!)".
+ */
+export function donationText(d, locale) {
+  const loc = normalizeLocale(locale);
+  const m = MESSAGES[loc];
+  const vars = {
+    name: d.name,
+    amount: formatMoney(d.amount_minor, d.currency, INTL_TAGS[loc]),
+    per: d.recurring ? perSuffix(m, d.interval, d.interval_count) : "",
+    total: d.matched_minor ? formatMoney(d.amount_minor + d.matched_minor, d.currency, INTL_TAGS[loc]) : ""
+  };
+  const base = d.recurring ? "partner" : "gave";
+  const key = !d.name ? `${base}_short` : d.name === m.someone && m[`${base}_anon`] ? `${base}_anon` : base;
+  return fill(m[key], vars) + (d.matched_minor ? fill(m.matched, vars) : "");
+}
@@ -0,0 +1,137 @@
+// lib/json-file.js
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { kvConfigured, kvCommand, kvKey } from "./kv.js";
+
+/**
+ * Dónde viven los stores (ledger, processed-events, outbox, donors, feed-events…).
+ *
+ * ENV STORE_DRIVER:
+ * - "kv"   (default si hay KV_REST_API_URL/KV_REST_API_TOKEN): los stores viven en Vercel KV /
+ *          Upstash (ver lib/kv.js). Es lo que necesitan las funciones de Vercel: cada api/* corre
+ *          con su propio disco, así que lo que el webhook escribe en un archivo no lo ve nadie más.
+ * - "file" (default sin KV): archivos JSON en DATA_DIR. Para un servidor (scripts/dev-server.js)
+ *          o una sola instancia; en Vercel solo se puede escribir en /tmp y no se comparte.
+ */
+export function storeDriver() {
+  const name = String(process.env.STORE_DRIVER || (kvConfigured() ? "kv" : "file")).toLowerCase();
+  if (name !== "kv" && name !== "file") throw new Error(`Unknown STORE_DRIVER: ${name}`);
+  return name;
+}
+
+/** Carpeta para los stores en archivo (en Vercel el cwd es de solo lectura: /tmp) */
+export function dataDir() {
+  if (process.env.DATA_DIR) return process.env.DATA_DIR;
+  return process.env.VERCEL ? path.join(os.tmpdir(), "donations-data") : path.join(process.cwd(), ".data");
+}
+
+/**
+ * Documento JSON con `read()` y `update(fn)`: fn(data) muta el objeto y devuelve lo que quieras;
+ * se persiste al terminar. Las escrituras se serializan dentro del proceso; con KV además entre
+ * instancias (compare-and-set: si otra función escribió antes, fn se vuelve a correr con lo nuevo).
+ *
+ * Todo el documento viaja en cada lectura y escritura: sirve para lo acotado (feed-events guarda
+ * los últimos 200; lib/matching.js chequea sus topes en una sola escritura). Lo que crece con
+ * cada donación usa lib/json-records.js, un registro por clave.
+ */
+export function jsonFile(file, initial) {
+  return storeDriver() === "kv" ? kvDocument(path.basename(file, ".json"), initial) : fileDocument(file, initial);
+}
+
+function fileDocument(file, initial) {
+  let chain = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return structuredClone(initial);
+      throw err;
+    }
+  }
+
+  async function write(data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data), "utf8");
+    await fs.rename(tmp, file);
+  }
+
+  function update(fn) {
+    const run = chain.then(async () => {
+      const data = await read();
+      const result = await fn(data);
+      await write(data);
+      return result;
+    });
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  return { read: () => chain.then(read), update };
+}
+
+// Escribe KEYS[1] solo si la versión (KEYS[2]) sigue siendo la que leímos
+export const KV_CAS_SCRIPT = `if (redis.call("GET", KEYS[2]) or "0") ~= ARGV[1] then return 0 end
+redis.call("SET", KEYS[1], ARGV[2])
+redis.call("INCR", KEYS[2])
+return 1`;
+
+const KV_MAX_ATTEMPTS = 8;
+
+/** Un documento en KV: la clave tiene el JSON y `<clave>:v` su versión */
+function kvDocument(name, initial) {
+  const key = kvKey(name);
+  const versionKey = `${key}:v`;
+  let chain = Promise.resolve();
+
+  async function load() {
+    const [raw, version] = (await kvCommand("MGET", key, versionKey)) || [];
+    return { data: raw ? JSON.parse(raw) : structuredClone(initial), version: version || "0" };
+  }
+
+  function update(fn) {
+    const run = chain.then(async () => {
+      for (let attempt = 1; attempt <= KV_MAX_ATTEMPTS; attempt++) {
+        const { data, version } = await load();
+        const result = await fn(data);
+        const ok = await kvCommand("EVAL", KV_CAS_SCRIPT, 2, key, versionKey, version, JSON.stringify(data));
+        if (Number(ok) === 1) return result;
+        await new Promise((r) => setTimeout(r, Math.floor(Math.random() * 20 * attempt)));
+      }
+      throw Object.assign(new Error(`KV ${name}: too many concurrent writes`), { code: "kv_conflict" });
+    });
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  return { read: () => chain.then(async () => (await load()).data), update };
+}
+
+/**
+ * Para api/health: ¿se puede escribir en el store y lo ven las demás funciones?
+ * → { driver, shared, writable, error? }
+ */
+export async function storeStatus() {
+  let driver;
+  try {
+    driver = storeDriver();
+  } catch (err) {
+    return { driver: null, shared: false, writable: false, error: err.message };
+  }
+  const shared = driver === "kv" || !process.env.VERCEL;
+  try {
+    if (driver === "kv") {
+      await kvCommand("SET", kvKey("health-probe"), String(Date.now()), "EX", 60);
+    } else {
+      const probe = path.join(dataDir(), `.probe-${process.pid}`);
+      await fs.mkdir(dataDir(), { recursive: true });
+      await fs.writeFile(probe, "ok", "utf8");
+      await fs.unlink(probe);
+    }
+    return { driver, shared, writable: true };
+  } catch (err) {
+    return { driver, shared, writable: false, error: err.code || "error" };
+  }
+}
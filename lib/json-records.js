@@ -0,0 +1,273 @@
+// lib/json-records.js
+import path from "path";
+import { jsonFile, storeDriver } from "./json-file.js";
+import { kvCommand, kvKey } from "./kv.js";
+
+/**
+ * Colección de registros por id para los stores que crecen con cada donación (ledger, donors,
+ * outbox, processed-events, receipts, prayers): cada escritura lee y escribe un solo registro.
+ *
+ *   const rows = jsonRecords(file, "donations", {
+ *     score: (d) => d.created,                                  // orden y rangos de list()
+ *     indexes: { campaign: (d) => d.campaign }                  // list({ index: ["campaign", slug] })
+ *   });
+ *
+ *   get(id) · getMany(ids) → Map · list({ min, max, order, limit, filter, index })
+ *   update(id, fn, { ttl }) → fn(actual | null) devuelve el registro nuevo, o undefined para no
+ *                             escribir (con KV puede correr más de una vez); resuelve con lo guardado
+ *   put(id, value, { ttl }) · delete(id) · prune(maxScore) · next(counter) → 1, 2, 3…
+ *
+ * `ttl` (segundos): el registro desaparece solo pasado ese tiempo (sin ttl, no expira).
+ * Un índice puede devolver un valor, una lista o null.
+ *
+ * Drivers (STORE_DRIVER, ver lib/json-file.js):
+ * - "file": el documento de siempre, { [collection]: { id: registro }, seq: { counter: n } }; varias
+ *           colecciones pueden compartir archivo (receipts + cards)
+ * - "kv":   una clave por registro (<KV_PREFIX><archivo>:<collection>:r:<id>) con compare-and-set
+ *           propio, un sorted set :ids por score y un set por valor de índice. Nada crece como un
+ *           solo valor: el tamaño del request no depende del tamaño del store.
+ */
+export function jsonRecords(file, collection, options = {}) {
+  return storeDriver() === "kv"
+    ? kvRecords(`${path.basename(file, ".json")}:${collection}`, kvKey(path.basename(file, ".json")), options)
+    : fileRecords(file, collection, options);
+}
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+/** Valores de índice de un registro → [string] */
+function indexValues(fn, record) {
+  if (!record) return [];
+  const v = fn(record);
+  return (Array.isArray(v) ? v : [v]).filter((x) => x != null && x !== "").map(String);
+}
+
+function inRange(score, { min, max }) {
+  return (min == null || score >= min) && (max == null || score < max);
+}
+
+// ─── file ────────────────────────────────────────────────────────────────────
+
+// Un documento por archivo aunque lo usen varias colecciones: mismas escrituras serializadas
+const documents = new Map();
+
+function fileRecords(file, collection, { score = () => 0, indexes = {} }) {
+  if (!documents.has(file)) documents.set(file, jsonFile(file, {}));
+  const db = documents.get(file);
+
+  const expired = (data, id, now = nowSec()) => data.expires?.[collection]?.[id] <= now;
+
+  // Vivos de la colección (sin los que pasaron su ttl)
+  function rows(data) {
+    const now = nowSec();
+    return Object.entries(data[collection] || {}).filter(([id]) => !expired(data, id, now)).map(([, r]) => r);
+  }
+
+  function purge(data) {
+    const now = nowSec();
+    for (const id of Object.keys(data.expires?.[collection] || {})) {
+      if (!expired(data, id, now)) continue;
+      delete data[collection]?.[id];
+      delete data.expires[collection][id];
+    }
+  }
+
+  function write(data, id, value, ttl) {
+    data[collection] ??= {};
+    data[collection][id] = value;
+    if (ttl) {
+      data.expires ??= {};
+      data.expires[collection] ??= {};
+      data.expires[collection][id] = nowSec() + ttl;
+    } else if (data.expires?.[collection]) {
+      delete data.expires[collection][id];
+    }
+  }
+
+  return {
+    async get(id) {
+      const data = await db.read();
+      return expired(data, id) ? null : data[collection]?.[id] || null;
+    },
+
+    async getMany(ids) {
+      const data = await db.read();
+      return new Map(ids.filter((id) => data[collection]?.[id] && !expired(data, id)).map((id) => [id, data[collection][id]]));
+    },
+
+    async list({ min, max, order = "asc", limit, filter, index } = {}) {
+      const data = await db.read();
+      let out = rows(data).filter((r) =>
+        inRange(score(r), { min, max }) &&
+        (!index || indexValues(indexes[index[0]], r).includes(String(index[1]))) &&
+        (!filter || filter(r))
+      );
+      out.sort((a, b) => (order === "desc" ? score(b) - score(a) : score(a) - score(b)));
+      if (limit) out = out.slice(0, limit);
+      return out;
+    },
+
+    async update(id, fn, { ttl } = {}) {
+      return db.update(async (data) => {
+        purge(data);
+        const current = data[collection]?.[id] || null;
+        const next = await fn(current && structuredClone(current));
+        if (next === undefined) return current;
+        write(data, id, next, ttl);
+        return next;
+      });
+    },
+
+    async put(id, value, { ttl } = {}) {
+      await this.update(id, () => value, { ttl });
+    },
+
+    async delete(id) {
+      await db.update((data) => {
+        delete data[collection]?.[id];
+        if (data.expires?.[collection]) delete data.expires[collection][id];
+      });
+    },
+
+    async prune(maxScore) {
+      await db.update((data) => {
+        for (const [id, r] of Object.entries(data[collection] || {})) {
+          if (score(r) < maxScore) delete data[collection][id];
+        }
+        purge(data);
+      });
+    },
+
+    async next(counter) {
+      return db.update((data) => {
+        data.seq ??= {};
+        data.seq[counter] = (data.seq[counter] || 0) + 1;
+        return data.seq[counter];
+      });
+    }
+  };
+}
+
+// ─── kv ──────────────────────────────────────────────────────────────────────
+
+// Escribe el registro solo si sigue como lo leímos (ARGV[1], "" = no existía) y lo pone en el
+// sorted set de ids. ARGV: leído, nuevo, id, score, ttl ("" = sin ttl)
+export const KV_RECORD_CAS_SCRIPT = `if (redis.call("GET", KEYS[1]) or "") ~= ARGV[1] then return 0 end
+if ARGV[5] ~= "" then redis.call("SET", KEYS[1], ARGV[2], "EX", ARGV[5]) else redis.call("SET", KEYS[1], ARGV[2]) end
+redis.call("ZADD", KEYS[2], ARGV[4], ARGV[3])
+return 1`;
+
+const KV_MAX_ATTEMPTS = 8;
+const KV_PAGE = 200;
+
+function kvRecords(name, fileKey, { score = () => 0, indexes = {} }) {
+  const base = kvKey(name);
+  const recordKey = (id) => `${base}:r:${id}`;
+  const idsKey = `${base}:ids`;
+  const indexKey = (index, value) => `${base}:ix:${index}:${value}`;
+  let chain = Promise.resolve();
+
+  // MGET por tandas; los que expiraron (ttl) se sacan del sorted set al pasar
+  async function load(ids) {
+    const out = new Map();
+    const gone = [];
+    for (let i = 0; i < ids.length; i += KV_PAGE) {
+      const batch = ids.slice(i, i + KV_PAGE);
+      const values = (await kvCommand("MGET", ...batch.map(recordKey))) || [];
+      batch.forEach((id, j) => (values[j] ? out.set(id, JSON.parse(values[j])) : gone.push(id)));
+    }
+    if (gone.length) await kvCommand("ZREM", idsKey, ...gone);
+    return out;
+  }
+
+  async function reindex(id, before, after) {
+    for (const [index, fn] of Object.entries(indexes)) {
+      const old = indexValues(fn, before);
+      const now = indexValues(fn, after);
+      for (const v of old.filter((x) => !now.includes(x))) await kvCommand("SREM", indexKey(index, v), id);
+      for (const v of now.filter((x) => !old.includes(x))) await kvCommand("SADD", indexKey(index, v), id);
+    }
+  }
+
+  const bound = (v, fallback) => (v == null ? fallback : String(v));
+
+  return {
+    async get(id) {
+      const raw = await kvCommand("GET", recordKey(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async getMany(ids) {
+      return ids.length ? load([...new Set(ids)]) : new Map();
+    },
+
+    async list({ min, max, order = "asc", limit, filter, index } = {}) {
+      const keep = (r) => inRange(score(r), { min, max }) && (!filter || filter(r));
+      const sort = (rows) => rows.sort((a, b) => (order === "desc" ? score(b) - score(a) : score(a) - score(b)));
+
+      if (index) {
+        const ids = (await kvCommand("SMEMBERS", indexKey(index[0], index[1]))) || [];
+        const rows = sort([...(await load(ids)).values()].filter(keep));
+        return limit ? rows.slice(0, limit) : rows;
+      }
+
+      // Por páginas del sorted set hasta juntar `limit` (max es exclusivo)
+      const lo = bound(min, "-inf");
+      const hi = max == null ? "+inf" : `(${max}`;
+      const out = [];
+      for (let offset = 0; ; offset += KV_PAGE) {
+        const ids = order === "desc"
+          ? await kvCommand("ZREVRANGEBYSCORE", idsKey, hi, lo, "LIMIT", offset, KV_PAGE)
+          : await kvCommand("ZRANGEBYSCORE", idsKey, lo, hi, "LIMIT", offset, KV_PAGE);
+        const page = await load(ids || []);
+        for (const id of ids || []) {
+          const r = page.get(id);
+          if (r && keep(r)) out.push(r);
+        }
+        if (!ids?.length || ids.length < KV_PAGE || (limit && out.length >= limit)) break;
+      }
+      return limit ? out.slice(0, limit) : out;
+    },
+
+    update(id, fn, { ttl } = {}) {
+      const run = chain.then(async () => {
+        for (let attempt = 1; attempt <= KV_MAX_ATTEMPTS; attempt++) {
+          const raw = await kvCommand("GET", recordKey(id));
+          const current = raw ? JSON.parse(raw) : null;
+          const next = await fn(current);
+          if (next === undefined) return current;
+          const ok = await kvCommand("EVAL", KV_RECORD_CAS_SCRIPT, 2, recordKey(id), idsKey,
+            raw ?? "", JSON.stringify(next), id, score(next), ttl || "");
+          if (Number(ok) === 1) {
+            await reindex(id, current, next);
+            return next;
+          }
+          await new Promise((r) => setTimeout(r, Math.floor(Math.random() * 20 * attempt)));
+        }
+        throw Object.assign(new Error(`KV ${name}: too many concurrent writes`), { code: "kv_conflict" });
+      });
+      chain = run.catch(() => {});
+      return run;
+    },
+
+    async put(id, value, { ttl } = {}) {
+      await this.update(id, () => value, { ttl });
+    },
+
+    async delete(id) {
+      const current = await this.get(id);
+      await kvCommand("DEL", recordKey(id));
+      await kvCommand("ZREM", idsKey, id);
+      await reindex(id, current, null);
+    },
+
+    /** Saca del sorted set lo anterior a maxScore (los registros con ttl ya expiraron solos) */
+    async prune(maxScore) {
+      await kvCommand("ZREMRANGEBYSCORE", idsKey, "-inf", `(${maxScore}`);
+    },
+
+    async next(counter) {
+      return Number(await kvCommand("INCR", `${fileKey}:seq:${counter}`));
+    }
+  };
+}
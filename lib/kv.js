@@ -0,0 +1,44 @@
+// lib/kv.js
+
+/**
+ * Cliente mínimo de Vercel KV / Upstash Redis por REST (sin dependencias): un comando por POST.
+ * Es lo que comparten las funciones de Vercel, que no ven el disco de las otras.
+ *
+ * ENV (Vercel las crea al conectar un KV / Upstash al proyecto):
+ * - KV_REST_API_URL   = https://…upstash.io
+ * - KV_REST_API_TOKEN = token con permiso de escritura
+ * - KV_PREFIX         = prefijo de las claves (default "donations:")
+ * - KV_TIMEOUT_MS     = timeout por comando (default 5000)
+ */
+export function kvConfigured() {
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+export function kvKey(name) {
+  return `${process.env.KV_PREFIX ?? "donations:"}${name}`;
+}
+
+/** kvCommand("SET", key, value) → result; lanza si KV responde error */
+export async function kvCommand(...args) {
+  if (!kvConfigured()) throw new Error("KV_REST_API_URL / KV_REST_API_TOKEN not configured");
+  const res = await fetch(process.env.KV_REST_API_URL, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.KV_REST_API_TOKEN}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(args.map(String)),
+    signal: AbortSignal.timeout(Number(process.env.KV_TIMEOUT_MS) || 5000)
+  });
+  let body = null;
+  try {
+    body = await res.json();
+  } catch {
+    // cuerpo vacío o HTML de un proxy
+  }
+  if (!res.ok || body?.error) {
+    // el mensaje de KV no incluye el token; el comando solo por nombre
+    throw Object.assign(new Error(`KV ${args[0]} failed: ${body?.error || `HTTP ${res.status}`}`), { code: "kv_error" });
+  }
+  return body?.result ?? null;
+}
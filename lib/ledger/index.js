@@ -0,0 +1,39 @@
+// lib/ledger/index.js
+import { createJsonLedger } from "./json-store.js";
+
+/**
+ * Ledger de donaciones normalizadas (ver lib/donations.js).
+ *
+ * Cualquier driver debe implementar:
+ *   upsert(donation)                          → guarda/mezcla por donation.id
+ *   get(id)                                   → Donation | null
+ *   getMany(ids)                              → Map<id, Donation> (una lectura; los que no existen no están)
+ *   findByPaymentIntent(pi)                   → Donation | null
+ *   update(id, patch)                         → true si existía
+ *   list({ since, until, kind, campaign, subscription, email, order, limit }) → Donation[]
+ *       (created en epoch seconds; email compara normalizado, ver lib/donations.js#normalizeEmail)
+ *
+ * ENV: LEDGER_DRIVER = "json" (default). Un driver Postgres se registra aquí.
+ * El driver "json" va sobre lib/json-records.js: archivo local, o Vercel KV con STORE_DRIVER=kv /
+ * KV_REST_API_URL, una clave por donación (lo que hace falta en Vercel para que el feed, los
+ * reportes y el webhook vean el mismo ledger sin reescribirlo entero en cada evento).
+ */
+const DRIVERS = {
+  json: createJsonLedger
+};
+
+let instance = null;
+
+export function getLedger() {
+  if (instance) return instance;
+  const name = (process.env.LEDGER_DRIVER || "json").toLowerCase();
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown LEDGER_DRIVER: ${name}`);
+  instance = factory();
+  return instance;
+}
+
+/** Permite inyectar otro store (scripts, pruebas) */
+export function setLedger(store) {
+  instance = store;
+}
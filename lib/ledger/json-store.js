@@ -0,0 +1,65 @@
+// lib/ledger/json-store.js
+import path from "path";
+import { dataDir } from "../json-file.js";
+import { jsonRecords } from "../json-records.js";
+import { normalizeEmail } from "../donations.js";
+
+/**
+ * Ledger sobre lib/json-records.js: en archivo el documento { donations: { [id]: Donation } } de
+ * siempre; con KV una clave por donación, ordenadas por created e indexadas por payment intent,
+ * suscripción, campaña y donante (lo que piden el webhook y los reportes sin leer todo).
+ * ENV: LEDGER_FILE (default <DATA_DIR>/ledger.json; con KV las claves son "<KV_PREFIX>ledger:donations:…")
+ */
+export function createJsonLedger(file = process.env.LEDGER_FILE || path.join(dataDir(), "ledger.json")) {
+  const rows = jsonRecords(file, "donations", {
+    score: (d) => d.created ?? 0,
+    indexes: {
+      payment_intent: (d) => d.payment_intent_id,
+      subscription: (d) => d.subscription_id,
+      campaign: (d) => d.campaign,
+      email: (d) => normalizeEmail(d.email)
+    }
+  });
+
+  return {
+    async upsert(donation) {
+      await rows.update(donation.id, (current) => ({ ...current, ...donation }));
+    },
+
+    async get(id) {
+      return rows.get(id);
+    },
+
+    async getMany(ids) {
+      return rows.getMany(ids);
+    },
+
+    async findByPaymentIntent(paymentIntentId) {
+      return (await rows.list({ index: ["payment_intent", paymentIntentId], limit: 1 }))[0] || null;
+    },
+
+    async update(id, patch) {
+      const saved = await rows.update(id, (current) => (current ? { ...current, ...patch } : undefined));
+      return saved != null;
+    },
+
+    async list({ since, until, kind, campaign, subscription, email, order = "asc", limit } = {}) {
+      // un índice acota la lectura; el resto de los filtros se aplica sobre eso
+      const key = email ? normalizeEmail(email) : null;
+      if (email != null && !key) return [];
+      const index = campaign ? ["campaign", campaign] : subscription ? ["subscription", subscription] : key ? ["email", key] : null;
+      return rows.list({
+        min: since,
+        max: until,
+        order,
+        limit,
+        index,
+        filter: (d) =>
+          (!kind || d.kind === kind) &&
+          (!campaign || d.campaign === campaign) &&
+          (!subscription || d.subscription_id === subscription) &&
+          (!key || normalizeEmail(d.email) === key)
+      });
+    }
+  };
+}
@@ -0,0 +1,37 @@
+// lib/locale-urls.js
+//
+// Locale y URLs de retorno (success/cancel, portal, links) con el mismo criterio que el checkout.
+
+/** Locales válidos como primer segmento de la ruta */
+export const ALLOWED_LOCALES = new Set(["en-us", "kr", "ja", "es", "pt-br"]);
+
+/** Detecta locale a partir del Referer (primer segmento de la ruta) */
+export function detectLocale(req) {
+  try {
+    const ref = req.headers.referer || req.headers.referrer;
+    if (!ref) return null;
+    const u = new URL(ref);
+    // u.pathname p.ej.: "/kr/donate"  -> ["", "kr", "donate"]
+    const segments = u.pathname.split("/").filter(Boolean);
+    if (!segments.length) return null;
+    const candidate = segments[0].toLowerCase();
+    return ALLOWED_LOCALES.has(candidate) ? candidate : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Prefiere un hint del cliente (validado); si no, el Referer */
+export function resolveLocale(req, hint) {
+  const hinted = typeof hint === "string" ? hint.toLowerCase() : null;
+  return hinted && ALLOWED_LOCALES.has(hinted) ? hinted : detectLocale(req);
+}
+
+/** Construye URL segura: origin + (locale? `/${locale}` : "") + path */
+export function buildUrl(origin, localeOrNull, path) {
+  const base = new URL(origin);
+  const prefix = localeOrNull ? `/${localeOrNull}` : "";
+  // Asegura una sola barra
+  base.pathname = `${prefix}${path}`.replace(/\/{2,}/g, "/");
+  return base.toString();
+}
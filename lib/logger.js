@@ -0,0 +1,141 @@
+// lib/logger.js
+import crypto from "crypto";
+
+/**
+ * Logs estructurados: una línea JSON por entrada, con PII redactada.
+ *
+ *   const log = requestLogger(req, res, "checkout");   // correlation id + header X-Correlation-Id
+ *   log.info("session created", { session_id, amount });
+ *   log.error("stripe failed", { err });               // Error → { name, message, code, type, status }
+ *
+ * Redacción (también dentro de objetos/arrays y de los mensajes):
+ * - claves de email (email, customer_email, …) → "sha256:<12 hex>" del email normalizado
+ * - emails sueltos en strings                    → "[email:<12 hex>]"
+ * - nombres, teléfonos, direcciones, oraciones… → "[redacted]"
+ *
+ * ENV:
+ * - LOG_LEVEL = debug | info | warn | error | silent (default info)
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const EMAIL_KEYS = new Set(["email", "customer_email", "receipt_email", "honoree_email", "to"]);
+const PII_KEYS = new Set([
+  "name", "customer_name", "full_name", "honoree_name", "phone", "address",
+  "prayer_request", "tribute_message", "message_text", "customer_details", "billing_details"
+]);
+// Nunca deberían llegar a un log; si llegan, fuera
+const SECRET_KEYS = /(^|_)(secret|token|password|authorization|api_key)$/i;
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const CORRELATION_RE = /^[A-Za-z0-9._:-]{8,80}$/;
+const MAX_DEPTH = 6;
+
+/**
+ * SHA-256 hex del email tal cual: es el customer_email_hash que reciben los destinos y sobre el
+ * que ya cruzan Zapier/CRM, así que no se normaliza (cambiarlo rompería esos cruces).
+ */
+export function emailHash(email) {
+  return crypto.createHash("sha256").update(email || "", "utf8").digest("hex");
+}
+
+/**
+ * Hash de logs: email normalizado (trim + minúsculas), así el mismo donante da el mismo hash
+ * en todas las líneas. Coincide con el prefijo de customer_email_hash cuando Stripe ya trae el
+ * email en minúsculas (lo habitual); con mayúsculas, cruzar por emailHash(email.toLowerCase()).
+ */
+const shortHash = (email) => emailHash(String(email).trim().toLowerCase()).slice(0, 12);
+
+function redactString(s) {
+  return s.replace(EMAIL_RE, (m) => `[email:${shortHash(m)}]`);
+}
+
+/** Error → campos útiles, sin `raw`/headers (los errores de Stripe traen el request entero) */
+function serializeError(err) {
+  return {
+    name: err.name || "Error",
+    message: redactString(String(err.message || "")),
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.type ? { type: err.type } : {}),
+    ...(err.statusCode ? { status: err.statusCode } : {}),
+    ...(err.reason ? { reason: err.reason } : {})
+  };
+}
+
+/** Copia redactada de cualquier valor (ver reglas arriba) */
+export function redact(value, depth = 0) {
+  if (value == null) return value;
+  if (typeof value === "string") return redactString(value);
+  if (typeof value !== "object") return value;
+  if (value instanceof Error) return serializeError(value);
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (v == null || v === "") out[k] = v;
+    else if (SECRET_KEYS.test(k)) out[k] = "[redacted]";
+    else if (EMAIL_KEYS.has(k) && typeof v === "string") out[k] = `sha256:${shortHash(v)}`;
+    else if (PII_KEYS.has(k)) out[k] = "[redacted]";
+    else out[k] = redact(v, depth + 1);
+  }
+  return out;
+}
+
+function threshold() {
+  return LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+}
+
+function write(level, scope, context, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    scope,
+    msg: redactString(String(msg)),
+    ...redact({ ...context, ...fields })
+  };
+  const line = JSON.stringify(entry);
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+/** Logger con un scope ("stripe-webhook", "outbox"…) y campos fijos (correlation_id, event_id…) */
+export function createLogger(scope, context = {}) {
+  const log = (level) => (msg, fields) => write(level, scope, context, msg, fields);
+  return {
+    context,
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (extra) => createLogger(scope, { ...context, ...extra })
+  };
+}
+
+export function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/** Acepta un correlation id entrante si tiene forma razonable; si no, null */
+export function validCorrelationId(id) {
+  return typeof id === "string" && CORRELATION_RE.test(id) ? id : null;
+}
+
+/**
+ * Correlation id de la request: X-Correlation-Id / X-Request-Id del cliente, `fallback`
+ * (un id derivado de algo estable de la request) o uno nuevo.
+ * Se devuelve en el header X-Correlation-Id.
+ */
+export function correlationId(req, res, fallback = null) {
+  const id = validCorrelationId(req.headers?.["x-correlation-id"]) ||
+    validCorrelationId(req.headers?.["x-request-id"]) ||
+    validCorrelationId(fallback) ||
+    newCorrelationId();
+  res?.setHeader?.("X-Correlation-Id", id);
+  return id;
+}
+
+/** Logger de una request (correlation id incluido) */
+export function requestLogger(req, res, scope, fallback = null) {
+  return createLogger(scope, { correlation_id: correlationId(req, res, fallback) });
+}
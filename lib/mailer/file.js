@@ -0,0 +1,21 @@
+// lib/mailer/file.js
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { dataDir } from "../json-file.js";
+
+/**
+ * Escribe cada correo como .html (con cabeceras en un comentario) en MAIL_DIR
+ * (default <DATA_DIR>/mail). Útil en desarrollo para revisar recibos sin SMTP.
+ */
+export function createFileMailer(dir = process.env.MAIL_DIR || path.join(dataDir(), "mail")) {
+  return {
+    async send({ to, subject, html }) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.mkdir(dir, { recursive: true });
+      const header = `<!--\nTo: ${to}\nSubject: ${subject}\n-->\n`;
+      await fs.writeFile(path.join(dir, `${id}.html`), header + html, "utf8");
+      return { id };
+    }
+  };
+}
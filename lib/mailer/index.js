@@ -0,0 +1,31 @@
+// lib/mailer/index.js
+import { createSmtpMailer } from "./smtp.js";
+import { createFileMailer } from "./file.js";
+
+/**
+ * Mailer enchufable. Todo driver implementa:
+ *   send({ to, subject, html, text?, replyTo? }) → { id }
+ *
+ * ENV: MAILER_DRIVER = "smtp" | "file" (default: smtp si hay SMTP_HOST, si no file)
+ * Para pruebas locales sirve cualquier SMTP de mentira (MailHog, smtp4dev: SMTP_HOST=localhost SMTP_PORT=1025).
+ */
+const DRIVERS = {
+  smtp: createSmtpMailer,
+  file: createFileMailer
+};
+
+let instance = null;
+
+export function getMailer() {
+  if (instance) return instance;
+  const name = (process.env.MAILER_DRIVER || (process.env.SMTP_HOST ? "smtp" : "file")).toLowerCase();
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown MAILER_DRIVER: ${name}`);
+  instance = factory();
+  return instance;
+}
+
+/** Permite inyectar otro mailer (scripts, pruebas) */
+export function setMailer(mailer) {
+  instance = mailer;
+}
@@ -0,0 +1,29 @@
+// lib/mailer/smtp.js
+import nodemailer from "nodemailer";
+
+/**
+ * ENV: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" para 465), SMTP_USER, SMTP_PASS,
+ *      MAIL_FROM ("Brother Hyeok Ministries <receipts@brotherhyeok.com>")
+ */
+export function createSmtpMailer() {
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    ...(process.env.SMTP_USER ? { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } } : {})
+  });
+
+  return {
+    async send({ to, subject, html, text, replyTo }) {
+      const info = await transport.sendMail({
+        from: process.env.MAIL_FROM || "receipts@brotherhyeok.com",
+        to,
+        subject,
+        html,
+        text,
+        replyTo
+      });
+      return { id: info.messageId };
+    }
+  };
+}
@@ -0,0 +1,163 @@
+// lib/matching.js
+import fs from "fs";
+import path from "path";
+import { jsonFile, dataDir } from "./json-file.js";
+import { SLUG_RE, toEpoch } from "./campaigns.js";
+import { isExcludedEmail } from "./exclusions.js";
+import { netAmount } from "./reports.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Desafíos de matching: un sponsor iguala (ratio × gift) hasta un tope dentro de un período.
+ * Config en config/matching.json (vacío por defecto) o en MATCHING_FILE; ejemplo en
+ * config/matching.example.json:
+ * [{ "id": "mission-trip-match-2026", "sponsor": "The Lee Family Foundation",
+ *    "ratio": 1,                                        // 1 = 1:1, 2 = 2:1, 0.5 = 50 %
+ *    "cap": { "amount": 500000, "currency": "USD" },   // minor units; solo gifts en esa moneda
+ *    "starts_at": "2026-11-01", "ends_at": "2026-11-30", // fechas UTC, ends_at inclusive
+ *    "campaign": "mission-trip-2026" }]                 // opcional: solo gifts de esa campaña
+ *
+ * Lo igualado se guarda una vez por donación (MATCHES_FILE, default <DATA_DIR>/matches.json):
+ * un evento reenviado por Stripe no vuelve a consumir tope. Un gift cuenta para un solo desafío
+ * (el primero de la config con tope disponible). Los reembolsos liberan la parte proporcional.
+ */
+const log = createLogger("matching");
+
+let cache = null;
+
+export function listChallenges() {
+  if (cache) return cache;
+  const file = process.env.MATCHING_FILE || path.join(process.cwd(), "config", "matching.json");
+  let raw = [];
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.error("invalid config", { file, err });
+  }
+  cache = (Array.isArray(raw) ? raw : [])
+    .filter((c) => c && SLUG_RE.test(c.id || "") && Number.isInteger(c.cap?.amount) && c.cap.amount > 0)
+    .map((c) => ({
+      id: c.id,
+      sponsor: String(c.sponsor || "").trim() || null,
+      ratio: Number(c.ratio) > 0 ? Number(c.ratio) : 1,
+      cap: { amount: c.cap.amount, currency: String(c.cap.currency || "USD").toUpperCase() },
+      campaign: typeof c.campaign === "string" && SLUG_RE.test(c.campaign) ? c.campaign : null,
+      starts_at: toEpoch(c.starts_at),
+      ends_at: toEpoch(c.ends_at, true)
+    }));
+  return cache;
+}
+
+export function getChallenge(id) {
+  return listChallenges().find((c) => c.id === id) || null;
+}
+
+/** Dentro de starts_at/ends_at en `at` (epoch seconds) */
+export function isActive(challenge, at = Math.floor(Date.now() / 1000)) {
+  if (!challenge) return false;
+  if (challenge.starts_at && at < challenge.starts_at) return false;
+  if (challenge.ends_at && at >= challenge.ends_at) return false;
+  return true;
+}
+
+/** ¿El desafío iguala esta donación del ledger? (por fecha del gift, no de procesamiento) */
+export function isEligible(challenge, d) {
+  if (!d?.amount_minor || isExcludedEmail(d.email)) return false;
+  if (d.currency !== challenge.cap.currency) return false;
+  if (challenge.campaign && d.campaign !== challenge.campaign) return false;
+  return isActive(challenge, d.created);
+}
+
+export function createJsonMatches(file = process.env.MATCHES_FILE || path.join(dataDir(), "matches.json")) {
+  const db = jsonFile(file, { matches: {} });
+  const usedBy = (data, challengeId) =>
+    Object.values(data.matches).reduce((sum, m) => sum + (m.challenge === challengeId ? m.matched_minor : 0), 0);
+
+  return {
+    /**
+     * Aplica el gift contra el primer desafío con tope disponible. Idempotente por donation.id:
+     * si ya se aplicó devuelve lo guardado. → { challenge, gift_minor, matched_minor, … } | null
+     */
+    async apply(donation, challenges) {
+      return db.update((data) => {
+        if (data.matches[donation.id]) return data.matches[donation.id];
+        for (const c of challenges) {
+          const remaining = c.cap.amount - usedBy(data, c.id);
+          if (remaining <= 0) continue;
+          const matched = Math.min(Math.floor(donation.amount_minor * c.ratio), remaining);
+          if (matched <= 0) continue;
+          data.matches[donation.id] = {
+            donation_id: donation.id,
+            challenge: c.id,
+            ratio: c.ratio,
+            gift_minor: donation.amount_minor,
+            matched_minor: matched,
+            at: Math.floor(Date.now() / 1000)
+          };
+          return data.matches[donation.id];
+        }
+        return null;
+      });
+    },
+
+    /** Baja lo igualado a lo que corresponde al neto del gift; devuelve el match o null */
+    async reduce(donationId, netGift) {
+      return db.update((data) => {
+        const m = data.matches[donationId];
+        if (!m) return null;
+        m.matched_minor = Math.min(m.matched_minor, Math.floor(Math.max(0, netGift) * m.ratio));
+        return m;
+      });
+    },
+
+    async get(donationId) {
+      const data = await db.read();
+      return data.matches[donationId] || null;
+    },
+
+    /** Totales de un desafío → { matched_minor, gifts_minor, gift_count } */
+    async totals(challengeId) {
+      const data = await db.read();
+      const out = { matched_minor: 0, gifts_minor: 0, gift_count: 0 };
+      for (const m of Object.values(data.matches)) {
+        if (m.challenge !== challengeId) continue;
+        out.matched_minor += m.matched_minor;
+        out.gifts_minor += m.gift_minor;
+        out.gift_count++;
+      }
+      return out;
+    }
+  };
+}
+
+let instance = null;
+
+export function getMatches() {
+  if (!instance) instance = createJsonMatches();
+  return instance;
+}
+
+export function setMatches(store) {
+  instance = store;
+}
+
+/** Webhook: iguala una donación nueva del ledger. → campos para el ledger o null */
+export async function applyMatch(donation) {
+  const eligible = listChallenges().filter((c) => isEligible(c, donation));
+  if (!eligible.length) return null;
+  const m = await getMatches().apply(donation, eligible);
+  return m ? { match_challenge: m.challenge, matched_minor: m.matched_minor } : null;
+}
+
+/** Webhook (charge.refunded): libera tope según el neto que queda. → { matched_minor } o null */
+export async function releaseMatch(donation) {
+  if (!donation?.match_challenge) return null;
+  const m = await getMatches().reduce(donation.id, netAmount(donation));
+  return m ? { matched_minor: m.matched_minor } : null;
+}
+
+/** Lo igualado que se muestra en el feed: solo mientras el desafío sigue activo */
+export function visibleMatch(d, now = Math.floor(Date.now() / 1000)) {
+  if (!d?.matched_minor || !isActive(getChallenge(d.match_challenge), now)) return 0;
+  return d.matched_minor;
+}
@@ -0,0 +1,172 @@
+// lib/outbox.js
+import path from "path";
+import { dataDir } from "./json-file.js";
+import { jsonRecords } from "./json-records.js";
+import { getDestination, destinationSecret } from "./destinations.js";
+import { signatureHeaders } from "./forward-signature.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Outbox de reenvíos a los destinos de lib/destinations.js.
+ * Cada entrega se guarda antes de enviarse:
+ *   pending   → falló y espera su next_attempt_at (backoff exponencial)
+ *   delivered → el destino respondió 2xx
+ *   dead      → agotó OUTBOX_MAX_ATTEMPTS; solo sale con replay manual
+ *
+ * Lo entregado expira pasados OUTBOX_RETENTION_DAYS desde la entrega (ttl de lib/json-records.js):
+ * los bodies llevan datos del donante y hasta magic links (donor.manage_link_requested).
+ * pending y dead se quedan hasta que salgan por entrega o replay.
+ *
+ * ENV:
+ * - OUTBOX_FILE            (default <DATA_DIR>/outbox.json)
+ * - OUTBOX_MAX_ATTEMPTS    (default 8)
+ * - OUTBOX_TIMEOUT_MS      = timeout por envío (default 10000); el webhook envía en línea
+ * - OUTBOX_RETENTION_DAYS  = días que se guarda una entrega ya entregada (default 7)
+ */
+const BASE_DELAY_SECONDS = 60;       // 1m, 2m, 4m, 8m…
+const MAX_DELAY_SECONDS = 6 * 60 * 60;
+const DAY = 24 * 60 * 60;
+
+const log = createLogger("outbox");
+
+const maxAttempts = () => Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const sendTimeoutMs = () => Number(process.env.OUTBOX_TIMEOUT_MS) || 10000;
+const retentionSeconds = () => (Number(process.env.OUTBOX_RETENTION_DAYS) || 7) * DAY;
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+export function createJsonOutbox(file = process.env.OUTBOX_FILE || path.join(dataDir(), "outbox.json")) {
+  const rows = jsonRecords(file, "deliveries", { score: (d) => d.created ?? 0 });
+
+  return {
+    async get(id) {
+      return rows.get(id);
+    },
+
+    /** Lo entregado expira OUTBOX_RETENTION_DAYS después de la entrega; pending y dead no */
+    async put(delivery) {
+      if (delivery.status !== "delivered") return rows.put(delivery.id, delivery);
+      const ttl = (delivery.last_attempt_at ?? delivery.created) + retentionSeconds() - nowSec();
+      if (ttl > 0) await rows.put(delivery.id, delivery, { ttl });
+      else await rows.delete(delivery.id);
+    },
+
+    async list({ status, dueBefore, limit } = {}) {
+      return rows.list({
+        limit,
+        filter: (d) => (!status || d.status === status) && (dueBefore == null || d.next_attempt_at <= dueBefore)
+      });
+    }
+  };
+}
+
+let instance = null;
+
+export function getOutbox() {
+  if (!instance) instance = createJsonOutbox();
+  return instance;
+}
+
+export function setOutbox(store) {
+  instance = store;
+}
+
+function backoff(attempts) {
+  return Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * 2 ** (attempts - 1));
+}
+
+async function send(d) {
+  // La firma se calcula en cada intento (timestamp fresco); el secret nunca se guarda en el outbox
+  let headers = d.headers;
+  if (d.destination) {
+    const dest = getDestination(d.destination);
+    if (!dest) throw new Error(`Destination "${d.destination}" is no longer configured`);
+    headers = { ...headers, ...signatureHeaders(d.body, destinationSecret(dest)) };
+  }
+  // Un destino colgado no puede frenar el webhook (enqueue y retryDue corren en línea)
+  const resp = await fetch(d.url, { method: "POST", headers, body: d.body, signal: AbortSignal.timeout(sendTimeoutMs()) });
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    throw new Error(`HTTP ${resp.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  }
+}
+
+/** Un intento de envío; actualiza y persiste el estado de la entrega */
+export async function attempt(delivery) {
+  const d = { ...delivery, attempts: delivery.attempts + 1, last_attempt_at: nowSec() };
+  try {
+    await send(d);
+    d.status = "delivered";
+    d.last_error = null;
+    d.next_attempt_at = null;
+  } catch (err) {
+    d.last_error = err?.message || String(err);
+    if (d.attempts >= maxAttempts()) {
+      d.status = "dead";
+      d.next_attempt_at = null;
+      log.error("dead-lettered", { correlation_id: d.correlation_id, id: d.id, attempts: d.attempts, error: d.last_error });
+    } else {
+      d.status = "pending";
+      d.next_attempt_at = d.last_attempt_at + backoff(d.attempts);
+      log.warn("delivery failed, will retry", { correlation_id: d.correlation_id, id: d.id, attempts: d.attempts, error: d.last_error });
+    }
+  }
+  await getOutbox().put(d);
+  return d;
+}
+
+/**
+ * Guarda y envía. `id` debe ser estable por (evento, destino) para que un
+ * reenvío de Stripe no duplique lo que ya se entregó.
+ */
+export async function enqueue({ id, event_id, correlation_id = null, destination = null, url, headers, body }) {
+  const existing = await getOutbox().get(id);
+  if (existing) return existing;
+
+  const delivery = {
+    id,
+    event_id,
+    correlation_id,
+    destination,
+    url,
+    headers,
+    body,
+    status: "pending",
+    attempts: 0,
+    created: nowSec(),
+    next_attempt_at: nowSec(),
+    last_error: null
+  };
+  await getOutbox().put(delivery);
+  return attempt(delivery);
+}
+
+/** Reintenta las entregas pendientes cuyo backoff ya venció */
+export async function retryDue({ limit = 10 } = {}) {
+  const due = await getOutbox().list({ status: "pending", dueBefore: nowSec(), limit });
+  const results = [];
+  for (const d of due) results.push(await attempt(d));
+  return results;
+}
+
+/** Replay manual (también saca de "dead"); null si no existe */
+export async function replay(id) {
+  const d = await getOutbox().get(id);
+  if (!d) return null;
+  return attempt({ ...d, attempts: d.status === "dead" ? 0 : d.attempts });
+}
+
+/**
+ * Resumen para api/health. failing = pendientes que ya fallaron al menos una vez.
+ * last_failure_at = último intento fallido (epoch seconds) de lo que sigue sin entregarse.
+ */
+export async function outboxStats() {
+  const stats = { pending: 0, failing: 0, dead: 0, delivered: 0, last_failure_at: null };
+  for (const d of await getOutbox().list()) {
+    stats[d.status] = (stats[d.status] || 0) + 1;
+    if (d.status === "pending" && d.attempts > 0) stats.failing++;
+    if (d.status !== "delivered" && d.last_error && d.last_attempt_at > (stats.last_failure_at || 0)) {
+      stats.last_failure_at = d.last_attempt_at;
+    }
+  }
+  return stats;
+}
@@ -0,0 +1,67 @@
+// lib/payment-methods.js
+//
+// Qué métodos de pago ofrece el checkout.
+//
+// Por defecto no fijamos payment_method_types: Stripe muestra lo activado en el Dashboard
+// (tarjeta, Apple/Google Pay, Link, PayPal…). El donante puede pedir `preferred_method`:
+//   "auto" (default) → Dashboard; si el gift es grande y la moneda tiene débito bancario,
+//                      banco primero + tarjeta ("bank_first")
+//   "bank"           → solo débito bancario (comisión baja; se acredita en días)
+//   "card"           → tarjeta (incluye Apple Pay / Google Pay, que son wallets de tarjeta)
+//
+// Los débitos bancarios son métodos diferidos: la session se completa con payment_status "unpaid"
+// y el dinero llega después (checkout.session.async_payment_succeeded / _failed, ver el webhook).
+//
+// ENV:
+// - BANK_PREFERRED_ABOVE = "USD:50000,EUR:50000" → desde ese gift (minor units) "auto" ofrece banco primero
+// - BANK_METHODS         = "off" para no ofrecer débito bancario (p.ej. si no está activado en Stripe)
+
+import { parsePairs } from "./currency.js";
+
+export const PREFERRED_METHODS = new Set(["auto", "bank", "card"]);
+
+/** Débito bancario de Stripe por moneda */
+const BANK_METHODS = { USD: "us_bank_account", EUR: "sepa_debit", GBP: "bacs_debit", AUD: "au_becs_debit" };
+const DEFAULT_BANK_PREFERRED_ABOVE = { USD: 50000, EUR: 50000, GBP: 50000, AUD: 50000 };
+
+function bankEnabled() {
+  return String(process.env.BANK_METHODS || "on").toLowerCase() !== "off";
+}
+
+/** Método bancario para la moneda, o null si no hay */
+export function bankMethod(currency) {
+  return bankEnabled() ? BANK_METHODS[String(currency || "").toUpperCase()] || null : null;
+}
+
+/** Gift (minor units) desde el que "auto" pone el banco primero; null si la moneda no tiene banco */
+export function bankPreferredAbove(currency) {
+  const c = String(currency || "").toUpperCase();
+  if (!bankMethod(c)) return null;
+  const v = Number(parsePairs(process.env.BANK_PREFERRED_ABOVE)[c]);
+  return Number.isInteger(v) && v > 0 ? v : DEFAULT_BANK_PREFERRED_ABOVE[c] ?? null;
+}
+
+/**
+ * Ruta de pago para un gift.
+ * → { routing, types, fees } o { error }
+ *   routing: "dashboard" | "bank_first" | "bank" | "card"
+ *   types:   payment_method_types para Checkout (null = lo decide el Dashboard)
+ *   fees:    tarifa para cover_fees ("bank" solo si no hay otra opción que la bancaria)
+ */
+export function routePayment({ preferred = "auto", amount, currency }) {
+  const method = preferred == null || preferred === "" ? "auto" : String(preferred).toLowerCase();
+  if (!PREFERRED_METHODS.has(method)) return { error: "Invalid preferred_method" };
+
+  const bank = bankMethod(currency);
+  if (method === "bank") {
+    if (!bank) return { error: "Bank payment not available for this currency" };
+    return { routing: "bank", types: [bank], fees: "bank" };
+  }
+  if (method === "card") return { routing: "card", types: ["card"], fees: "card" };
+
+  const threshold = bankPreferredAbove(currency);
+  if (bank && threshold != null && amount >= threshold) {
+    return { routing: "bank_first", types: [bank, "card"], fees: "card" };
+  }
+  return { routing: "dashboard", types: null, fees: "card" };
+}
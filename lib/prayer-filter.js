@@ -0,0 +1,65 @@
+// lib/prayer-filter.js
+
+/**
+ * Filtro de peticiones de oración antes de moderarlas / reenviarlas.
+ * Quita emails y teléfonos y enmascara palabras de la lista de bloqueo.
+ *
+ * ENV:
+ * - PRAYER_FILTERS   = "email,phone,profanity" (default: todos)
+ * - PRAYER_BLOCKLIST = "palabra1,palabra2" → se suman a la lista por defecto
+ */
+const DEFAULT_BLOCKLIST = [
+  "fuck", "shit", "bitch", "asshole", "bastard", "cunt",
+  "puta", "mierda", "pendejo", "porra", "caralho",
+  "씨발", "시발", "개새끼", "병신"
+];
+
+const EMAIL_RE = /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/gi;
+// +82 10-1234-5678, (555) 123 4567, 090.1234.5678…: 7+ dígitos con separadores
+const PHONE_RE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+// Fechas (2026-10-19, 19.10.2026…) tienen la misma forma; no cuentan como dígitos de teléfono
+const DATE_RE = /(?:19|20)\d{2}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./](?:19|20)\d{2}/g;
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function enabled() {
+  const raw = process.env.PRAYER_FILTERS;
+  return new Set((raw == null ? "email,phone,profanity" : raw).split(",").map((s) => s.trim().toLowerCase()).filter(Boolean));
+}
+
+function blocklist() {
+  const extra = String(process.env.PRAYER_BLOCKLIST || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  return [...new Set([...DEFAULT_BLOCKLIST, ...extra])];
+}
+
+/** Palabras ASCII con límites de palabra; coreano/japonés etc. como substring */
+function termRe(term) {
+  return /^[a-z0-9]+$/i.test(term) ? new RegExp(`\\b${escapeRe(term)}\\w*`, "gi") : new RegExp(escapeRe(term), "g");
+}
+
+/** → { text, flags: ["email" | "phone" | "profanity"] } */
+export function filterPrayer(input) {
+  const on = enabled();
+  const flags = new Set();
+  let text = String(input || "");
+
+  if (on.has("email")) {
+    text = text.replace(EMAIL_RE, () => (flags.add("email"), "[email removed]"));
+  }
+  if (on.has("phone")) {
+    text = text.replace(PHONE_RE, (m) => {
+      // con + o paréntesis es un teléfono; si no, las fechas que contenga no suman dígitos
+      const digits = /^[+(]/.test(m) ? m : m.replace(DATE_RE, "");
+      if (digits.replace(/\D/g, "").length < 7) return m;
+      flags.add("phone");
+      return "[phone removed]";
+    });
+  }
+  if (on.has("profanity")) {
+    for (const term of blocklist()) {
+      text = text.replace(termRe(term), (m) => (flags.add("profanity"), "*".repeat(m.length)));
+    }
+  }
+
+  return { text: text.replace(/\s+/g, " ").trim(), flags: [...flags] };
+}
@@ -0,0 +1,88 @@
+// lib/prayers.js
+import path from "path";
+import { dataDir } from "./json-file.js";
+import { jsonRecords } from "./json-records.js";
+import { filterPrayer } from "./prayer-filter.js";
+import { normalizeLocale } from "./i18n.js";
+
+/**
+ * Cola de moderación de peticiones de oración (prayer_request del checkout).
+ *   pending  → recién llegada (ya filtrada: sin emails/teléfonos, groserías enmascaradas)
+ *   approved → visible en api/prayer-wall (si el donante sigue sin ser anónimo)
+ *   rejected → no se publica
+ * Una por donación: id = donation id (session id del checkout).
+ *
+ * ENV: PRAYERS_FILE (default <DATA_DIR>/prayers.json; con KV una clave por petición, ver lib/json-records.js)
+ */
+export const PRAYER_STATUSES = new Set(["pending", "approved", "rejected"]);
+
+export function createJsonPrayers(file = process.env.PRAYERS_FILE || path.join(dataDir(), "prayers.json")) {
+  const rows = jsonRecords(file, "prayers", { score: (p) => p.created ?? 0 });
+
+  return {
+    /** Idempotente: si ya existe (reintento de Stripe) devuelve la guardada */
+    async submit(prayer) {
+      return rows.update(prayer.id, (current) => (current ? undefined : prayer));
+    },
+
+    async get(id) {
+      return rows.get(id);
+    },
+
+    async update(id, patch) {
+      return rows.update(id, (current) => (current ? { ...current, ...patch } : undefined));
+    },
+
+    /** Más nuevas primero */
+    async list({ status, locale, limit } = {}) {
+      return rows.list({
+        order: "desc",
+        limit,
+        filter: (p) => (!status || p.status === status) && (!locale || p.locale === locale)
+      });
+    }
+  };
+}
+
+let instance = null;
+
+export function getPrayers() {
+  if (!instance) instance = createJsonPrayers();
+  return instance;
+}
+
+export function setPrayers(store) {
+  instance = store;
+}
+
+/** Encola la petición de una donación del ledger (null si no trae) */
+export async function submitPrayer(donation) {
+  const { text, flags } = filterPrayer(donation.prayer_request);
+  if (!text) return null;
+  return getPrayers().submit({
+    id: donation.id,
+    donation_id: donation.id,
+    text,
+    flags,
+    locale: normalizeLocale(donation.locale),
+    campaign: donation.campaign || null,
+    status: "pending",
+    anonymize: false,
+    created: donation.created,
+    moderated_at: null,
+    reason: null
+  });
+}
+
+/**
+ * approve/reject. `anonymize` oculta el nombre en el muro aunque el donante haya dado permiso.
+ * → prayer actualizada, o null si no existe
+ */
+export async function moderatePrayer(id, action, { anonymize, reason } = {}) {
+  return getPrayers().update(id, {
+    status: action === "approve" ? "approved" : "rejected",
+    ...(typeof anonymize === "boolean" ? { anonymize } : {}),
+    reason: reason ? String(reason).slice(0, 200) : null,
+    moderated_at: Math.floor(Date.now() / 1000)
+  });
+}
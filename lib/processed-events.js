@@ -0,0 +1,45 @@
+// lib/processed-events.js
+import path from "path";
+import { dataDir } from "./json-file.js";
+import { jsonRecords } from "./json-records.js";
+
+/**
+ * Registro de event.id de Stripe ya procesados (para ignorar reenvíos).
+ * Stripe reintenta hasta ~3 días; guardamos 30 (cada registro expira solo, ver lib/json-records.js).
+ *
+ * ENV: PROCESSED_EVENTS_FILE (default <DATA_DIR>/processed-events.json)
+ */
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+export function createJsonProcessedEvents(file = process.env.PROCESSED_EVENTS_FILE || path.join(dataDir(), "processed-events.json")) {
+  const rows = jsonRecords(file, "events", { score: (e) => e.at });
+
+  return {
+    async has(eventId) {
+      return Boolean(await rows.get(eventId));
+    },
+
+    async mark(eventId, type) {
+      const now = Math.floor(Date.now() / 1000);
+      await rows.put(eventId, { id: eventId, type, at: now }, { ttl: RETENTION_SECONDS });
+      await rows.prune(now - RETENTION_SECONDS);
+    },
+
+    /** Último evento procesado → { id, type, at } o null (para api/health) */
+    async last() {
+      const [last] = await rows.list({ order: "desc", limit: 1 });
+      return last || null;
+    }
+  };
+}
+
+let instance = null;
+
+export function getProcessedEvents() {
+  if (!instance) instance = createJsonProcessedEvents();
+  return instance;
+}
+
+export function setProcessedEvents(store) {
+  instance = store;
+}
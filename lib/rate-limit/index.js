@@ -0,0 +1,62 @@
+// lib/rate-limit/index.js
+import crypto from "crypto";
+import { createMemoryRateLimit } from "./memory.js";
+import { createKvRateLimit } from "./kv.js";
+import { kvConfigured } from "../kv.js";
+
+/**
+ * Rate limiting enchufable. Todo store implementa:
+ *   hit(key, windowSeconds) → { count, reset_at }
+ *
+ * ENV:
+ * - RATE_LIMIT_DRIVER = "kv" (default con KV_REST_API_URL; compartido entre instancias) | "memory"
+ * - Límites como "intentos/segundos", p.ej. RATE_LIMIT_CHECKOUT_IP = "10/600"
+ */
+const DRIVERS = {
+  memory: createMemoryRateLimit,
+  kv: createKvRateLimit
+};
+
+let instance = null;
+
+export function getRateLimitStore() {
+  if (instance) return instance;
+  const name = (process.env.RATE_LIMIT_DRIVER || (kvConfigured() ? "kv" : "memory")).toLowerCase();
+  const factory = DRIVERS[name];
+  if (!factory) throw new Error(`Unknown RATE_LIMIT_DRIVER: ${name}`);
+  instance = factory();
+  return instance;
+}
+
+/** Permite inyectar otro store (Redis/KV, pruebas) */
+export function setRateLimitStore(store) {
+  instance = store;
+}
+
+/** "10/600" → { limit: 10, window: 600 }; inválido o vacío → fallback */
+export function parseLimit(raw, fallback) {
+  const m = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(raw || ""));
+  if (!m || !Number(m[1]) || !Number(m[2])) return fallback;
+  return { limit: Number(m[1]), window: Number(m[2]) };
+}
+
+/** IP del cliente (Vercel pone la real primero en x-forwarded-for) */
+export function clientIp(req) {
+  const fwd = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return fwd || req.headers?.["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+/** Hash corto para logs y claves (no guardamos IPs ni huellas en claro) */
+export function shortHash(value) {
+  return crypto.createHash("sha256").update(String(value ?? ""), "utf8").digest("hex").slice(0, 16);
+}
+
+/**
+ * Cuenta un intento y dice si se pasó del límite.
+ * → { allowed, count, limit, retry_after }
+ */
+export async function consume(key, { limit, window }) {
+  const { count, reset_at } = await getRateLimitStore().hit(key, window);
+  const retryAfter = Math.max(1, reset_at - Math.floor(Date.now() / 1000));
+  return { allowed: count <= limit, count, limit, retry_after: retryAfter };
+}
@@ -0,0 +1,25 @@
+// lib/rate-limit/kv.js
+import crypto from "crypto";
+import { kvCommand, kvKey } from "../kv.js";
+
+/**
+ * Contadores de ventana fija en Vercel KV / Upstash (ver lib/kv.js): el mismo límite para
+ * todas las instancias. Una clave por ventana (expira sola); la clave va hasheada, sin IPs en claro.
+ */
+export function createKvRateLimit() {
+  return {
+    async hit(key, windowSeconds) {
+      const now = Math.floor(Date.now() / 1000);
+      const window = Math.floor(now / windowSeconds);
+      const hashed = crypto.createHash("sha256").update(String(key), "utf8").digest("hex").slice(0, 24);
+      const k = kvKey(`rl:${windowSeconds}:${window}:${hashed}`);
+      const count = Number(await kvCommand("INCR", k));
+      await kvCommand("EXPIRE", k, windowSeconds);
+      return { count, reset_at: (window + 1) * windowSeconds };
+    },
+
+    async reset() {
+      // las claves expiran con su ventana
+    }
+  };
+}
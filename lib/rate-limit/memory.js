@@ -0,0 +1,35 @@
+// lib/rate-limit/memory.js
+
+/**
+ * Contadores de ventana fija en memoria del proceso.
+ * En Vercel cada instancia tiene su propio Map: sirve como primera barrera;
+ * para un límite global usar el driver "kv" (lib/rate-limit/kv.js).
+ */
+export function createMemoryRateLimit({ maxKeys = 10000 } = {}) {
+  const buckets = new Map(); // key → { count, reset_at }
+
+  function sweep(now) {
+    for (const [key, b] of buckets) {
+      if (b.reset_at <= now) buckets.delete(key);
+    }
+  }
+
+  return {
+    /** Suma un intento a `key` y devuelve { count, reset_at } de la ventana actual */
+    async hit(key, windowSeconds) {
+      const now = Math.floor(Date.now() / 1000);
+      let b = buckets.get(key);
+      if (!b || b.reset_at <= now) {
+        if (buckets.size >= maxKeys) sweep(now);
+        b = { count: 0, reset_at: now + windowSeconds };
+        buckets.set(key, b);
+      }
+      b.count++;
+      return { count: b.count, reset_at: b.reset_at };
+    },
+
+    async reset() {
+      buckets.clear();
+    }
+  };
+}
@@ -0,0 +1,214 @@
+// lib/receipts.js
+import path from "path";
+import { dataDir } from "./json-file.js";
+import { jsonRecords } from "./json-records.js";
+import { getMailer } from "./mailer/index.js";
+import { formatMoney } from "./currency.js";
+import { intlTag } from "./i18n.js";
+import { tributeLabel } from "./tribute.js";
+import { isPaid } from "./donations.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * Recibos deducibles y estados de cuenta anuales.
+ *
+ * ENV:
+ * - MINISTRY_NAME     = "Brother Hyeok Ministries"
+ * - MINISTRY_TAX_ID   = EIN / número de registro (aparece en el recibo)
+ * - MINISTRY_ADDRESS  = dirección postal (una línea; "|" para saltos)
+ * - RECEIPT_PREFIX    = "BHM" → números BHM-2026-000123
+ * - RECEIPTS_FILE     = default <DATA_DIR>/receipts.json (numeración y estado de envío de recibos y tarjetas
+ *                       de tributo; con KV una clave por recibo y por tarjeta)
+ */
+const NO_GOODS = "No goods or services were provided in exchange for this contribution.";
+
+const log = createLogger("receipts");
+
+let stores = null;
+
+/** Recibos y tarjetas de tributo, un registro por donación (mismo archivo; ver lib/json-records.js) */
+function receiptsDb() {
+  if (!stores) {
+    const file = process.env.RECEIPTS_FILE || path.join(dataDir(), "receipts.json");
+    stores = { receipts: jsonRecords(file, "receipts"), cards: jsonRecords(file, "cards") };
+  }
+  return stores;
+}
+
+function ministry() {
+  return {
+    name: process.env.MINISTRY_NAME || "Brother Hyeok Ministries",
+    taxId: process.env.MINISTRY_TAX_ID || "",
+    address: (process.env.MINISTRY_ADDRESS || "").split("|").map((s) => s.trim()).filter(Boolean)
+  };
+}
+
+export function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+const dateOf = (epoch, locale) =>
+  new Date(epoch * 1000).toLocaleDateString(intlTag(locale), { year: "numeric", month: "long", day: "numeric", timeZone: "UTC" });
+
+/** Lo deducible es todo lo cobrado (incluida la comisión que el donante cubrió), menos reembolsos */
+export function deductibleAmount(d) {
+  if (!isPaid(d)) return 0;
+  return Math.max(0, (d.total_minor ?? d.amount_minor ?? 0) - (d.refunded_minor || 0));
+}
+
+/**
+ * Número de recibo estable por donación (se asigna una sola vez). El correlativo del año es un
+ * contador aparte: si dos entregas de la misma donación corren a la vez, gana la primera y el
+ * número de la otra queda sin usar (un salto en la numeración, nunca un duplicado).
+ */
+export async function assignReceiptNumber(donation) {
+  const { receipts } = receiptsDb();
+  const existing = await receipts.get(donation.id);
+  if (existing) return existing.number;
+
+  const year = new Date(donation.created * 1000).getUTCFullYear();
+  const prefix = process.env.RECEIPT_PREFIX || "BHM";
+  const number = `${prefix}-${year}-${String(await receipts.next(year)).padStart(6, "0")}`;
+  const saved = await receipts.update(donation.id, (current) =>
+    current ? undefined : { number, status: "pending", created: Math.floor(Date.now() / 1000) }
+  );
+  return saved.number;
+}
+
+function layout(title, body) {
+  const m = ministry();
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:640px;margin:auto">
+<h2 style="margin-bottom:0">${escapeHtml(m.name)}</h2>
+<p style="margin-top:4px;color:#555">${m.address.map(escapeHtml).join("<br>")}${m.taxId ? `<br>Tax ID: ${escapeHtml(m.taxId)}` : ""}</p>
+<h3>${escapeHtml(title)}</h3>
+${body}
+<p style="color:#555;font-size:13px">${escapeHtml(NO_GOODS)}</p>
+</body></html>`;
+}
+
+export function renderReceipt(d, number) {
+  const amount = formatMoney(deductibleAmount(d), d.currency, intlTag(d.locale));
+  const rows = [
+    ["Receipt number", number],
+    ["Donor", d.name || d.email],
+    ["Date", dateOf(d.created, d.locale)],
+    ["Amount", amount],
+    ["Type", d.recurring ? "Recurring partnership" : "One-time gift"],
+    ...(d.fee_minor ? [["Includes processing fee you covered", formatMoney(d.fee_minor, d.currency, intlTag(d.locale))]] : []),
+    ...(d.campaign ? [["Designation", d.campaign]] : []),
+    ...(d.tribute ? [["Tribute", tributeLabel(d.tribute)]] : [])
+  ];
+  const table = `<table cellpadding="6" style="border-collapse:collapse">${rows
+    .map(([k, v]) => `<tr><td style="color:#555">${escapeHtml(k)}</td><td><strong>${escapeHtml(v)}</strong></td></tr>`)
+    .join("")}</table>`;
+
+  return {
+    subject: `Your donation receipt ${number}`,
+    html: layout("Donation receipt", `<p>Thank you for your generosity.</p>${table}`),
+    text: rows.map(([k, v]) => `${k}: ${v}`).concat("", NO_GOODS).join("\n")
+  };
+}
+
+/** Asigna número, envía y registra el resultado. Devuelve { number, status } */
+export async function sendReceipt(donation) {
+  if (!donation.email) return { number: null, status: "skipped" };
+  const number = await assignReceiptNumber(donation);
+  const current = await receiptsDb().receipts.get(donation.id);
+  if (current?.status === "sent") return { number, status: "sent" };
+
+  let status = "sent";
+  let error = null;
+  try {
+    const { subject, html, text } = renderReceipt(donation, number);
+    await getMailer().send({ to: donation.email, subject, html, text });
+  } catch (err) {
+    status = "failed";
+    error = err?.message || String(err);
+    log.error("send failed", { donation: donation.id, number, error });
+  }
+
+  await receiptsDb().receipts.update(donation.id, (r) => ({
+    ...r,
+    status,
+    error,
+    ...(status === "sent" ? { sent_at: Math.floor(Date.now() / 1000) } : {})
+  }));
+  return { number, status };
+}
+
+/** Número y estado del recibo de una donación (null si el webhook aún no lo asignó) */
+export async function receiptFor(donationId) {
+  const r = await receiptsDb().receipts.get(donationId);
+  return r ? { number: r.number, status: r.status } : null;
+}
+
+/** Estado de cuenta anual de un donante: todas sus donaciones del año, por moneda */
+export function renderStatement(email, year, donations) {
+  const sorted = [...donations].sort((a, b) => a.created - b.created);
+  const locale = sorted[0]?.locale;
+  const totals = {};
+  for (const d of sorted) totals[d.currency] = (totals[d.currency] || 0) + deductibleAmount(d);
+
+  const name = sorted.find((d) => d.name)?.name || email;
+  const lines = sorted.map((d) => [dateOf(d.created, locale), d.recurring ? "Recurring" : "One-time", formatMoney(deductibleAmount(d), d.currency, intlTag(locale))]);
+  const totalText = Object.entries(totals).map(([c, v]) => formatMoney(v, c, intlTag(locale))).join(" + ");
+
+  const table = `<table cellpadding="6" style="border-collapse:collapse;width:100%">
+<tr><th align="left">Date</th><th align="left">Type</th><th align="right">Amount</th></tr>
+${lines.map(([dt, t, a]) => `<tr><td>${escapeHtml(dt)}</td><td>${escapeHtml(t)}</td><td align="right">${escapeHtml(a)}</td></tr>`).join("\n")}
+<tr><td colspan="2"><strong>Total ${year}</strong></td><td align="right"><strong>${escapeHtml(totalText)}</strong></td></tr>
+</table>`;
+
+  return {
+    subject: `Your ${year} giving statement`,
+    html: layout(`${year} giving statement`, `<p>Donor: <strong>${escapeHtml(name)}</strong></p>${table}`),
+    text: [`${year} giving statement for ${name}`, ...lines.map((l) => l.join("  ")), `Total: ${totalText}`, "", NO_GOODS].join("\n"),
+    totals
+  };
+}
+
+/** Tarjeta para el homenajeado de un tributo (sin monto) */
+export function renderTributeCard(t, donorName) {
+  const m = ministry();
+  const from = donorName || "A friend";
+  const intro = t.type === "memory"
+    ? `${from} has made a gift to ${m.name} in memory of ${t.honoree_name}.`
+    : `${from} has made a gift to ${m.name} in your honor, ${t.honoree_name}.`;
+  const subject = t.type === "memory" ? `A gift in memory of ${t.honoree_name}` : "A gift in your honor";
+
+  return {
+    subject,
+    html: `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="font-family:Georgia,serif;color:#222;max-width:560px;margin:auto;text-align:center">
+<h2>${escapeHtml(tributeLabel(t))}</h2>
+<p>${escapeHtml(intro)}</p>
+${t.message ? `<blockquote style="font-style:italic;color:#444">${escapeHtml(t.message)}</blockquote>` : ""}
+<p style="color:#555">With gratitude,<br>${escapeHtml(m.name)}</p>
+</body></html>`,
+    text: [tributeLabel(t), "", intro, ...(t.message ? ["", `"${t.message}"`] : []), "", "With gratitude,", m.name].join("\n")
+  };
+}
+
+/** Manda la tarjeta una sola vez por donación y registra el resultado. → { status } */
+export async function sendTributeCard(donationId, t, donorName) {
+  if (!t?.honoree_email) return { status: "skipped" };
+  const current = await receiptsDb().cards.get(donationId);
+  if (current?.status === "sent") return { status: "sent" };
+
+  let status = "sent";
+  let error = null;
+  try {
+    const { subject, html, text } = renderTributeCard(t, donorName);
+    await getMailer().send({ to: t.honoree_email, subject, html, text });
+  } catch (err) {
+    status = "failed";
+    error = err?.message || String(err);
+    log.error("tribute card failed", { donation: donationId, error });
+  }
+
+  await receiptsDb().cards.put(donationId, { status, error, at: Math.floor(Date.now() / 1000) });
+  return { status };
+}
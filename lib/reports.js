@@ -0,0 +1,137 @@
+// lib/reports.js
+//
+// Agregados para los endpoints de admin. Trabaja sobre registros del ledger (lib/donations.js)
+// y suscripciones de Stripe; respeta la lista de exclusión igual que el feed y el webhook.
+import { isExcludedEmail } from "./exclusions.js";
+import { giftAmount } from "./fees.js";
+import { isPaid } from "./donations.js";
+
+const DAY = 24 * 60 * 60;
+export const GROUPS = new Set(["day", "week", "month"]);
+
+/**
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, `to` inclusive). Default: últimos 30 días.
+ * Devuelve { since, until } en epoch seconds (until exclusivo) o null si es inválido.
+ */
+export function parseRange(query = {}) {
+  const parse = (v) => (typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) ? Date.parse(`${v}T00:00:00Z`) / 1000 : NaN);
+  const now = Math.floor(Date.now() / 1000);
+  const until = query.to ? parse(query.to) + DAY : Math.floor(now / DAY) * DAY + DAY;
+  const since = query.from ? parse(query.from) : until - 30 * DAY;
+  if (!Number.isFinite(since) || !Number.isFinite(until) || since >= until) return null;
+  if (until - since > 3 * 366 * DAY) return null; // máx ~3 años por consulta
+  return { since, until };
+}
+
+/** Monto neto (gift menos reembolsos) */
+export function netAmount(d) {
+  if (!isPaid(d)) return 0; // débito bancario pendiente o fallido
+  return Math.max(0, (d.amount_minor || 0) - (d.refunded_minor || 0));
+}
+
+/** Donaciones del ledger que cuentan para reportes */
+export function reportable(donations) {
+  return donations.filter((d) => isPaid(d) && !isExcludedEmail(d.email));
+}
+
+/** Clave del período: día "2026-03-05", semana (lunes) "2026-03-02", mes "2026-03" */
+export function periodKey(epoch, group) {
+  const dt = new Date(epoch * 1000);
+  if (group === "month") return dt.toISOString().slice(0, 7);
+  if (group === "week") {
+    const dow = (dt.getUTCDay() + 6) % 7; // lunes = 0
+    return new Date(Date.UTC(dt.getUTCFullYear(), dt.getUTCMonth(), dt.getUTCDate() - dow)).toISOString().slice(0, 10);
+  }
+  return dt.toISOString().slice(0, 10);
+}
+
+function add(map, currency, amount) {
+  map[currency] = (map[currency] || 0) + amount;
+}
+
+/** Totales por período + split one-time/recurring + top países */
+export function summarizeDonations(donations, group) {
+  const periods = new Map();
+  const totals = { all: {}, one_time: {}, recurring: {} };
+  const countries = new Map();
+  let count = 0;
+
+  for (const d of donations) {
+    const net = netAmount(d);
+    if (!net) continue;
+    count++;
+    const split = d.recurring ? "recurring" : "one_time";
+
+    const key = periodKey(d.created, group);
+    if (!periods.has(key)) periods.set(key, { period: key, count: 0, one_time: {}, recurring: {} });
+    const p = periods.get(key);
+    p.count++;
+    add(p[split], d.currency, net);
+
+    add(totals.all, d.currency, net);
+    add(totals[split], d.currency, net);
+
+    const c = d.country || "unknown";
+    if (!countries.has(c)) countries.set(c, { country: c, count: 0, amounts: {} });
+    const entry = countries.get(c);
+    entry.count++;
+    add(entry.amounts, d.currency, net);
+  }
+
+  return {
+    count,
+    totals,
+    periods: [...periods.values()].sort((a, b) => a.period.localeCompare(b.period)),
+    top_countries: [...countries.values()].sort((a, b) => b.count - a.count).slice(0, 10)
+  };
+}
+
+/** Aporte mensual equivalente de una suscripción (gift, sin comisión cubierta) */
+export function monthlyAmount(sub) {
+  const item = sub.items?.data?.[0];
+  const price = item?.price;
+  if (!price?.recurring) return 0;
+  const charged = (price.unit_amount ?? 0) * (item.quantity ?? 1);
+  const amount = giftAmount(sub.metadata, charged);
+  const count = price.recurring.interval_count || 1;
+  const perMonth = { day: 365 / 12, week: 52 / 12, month: 1, year: 1 / 12 }[price.recurring.interval] ?? 1;
+  return Math.round((amount * perMonth) / count);
+}
+
+/**
+ * Partners activos, MRR por moneda y churn del período.
+ * churn_rate ≈ cancelados en el período / (activos hoy + cancelados en el período)
+ */
+export async function partnerMetrics(stripe, { since, until }) {
+  const mrr = {};
+  let active = 0;
+  let paused = 0;
+
+  for await (const sub of stripe.subscriptions.list({ status: "active", limit: 100, expand: ["data.customer"] })) {
+    if (isExcludedEmail(sub.customer?.email)) continue;
+    if (sub.pause_collection) {
+      paused++;
+      continue;
+    }
+    active++;
+    add(mrr, (sub.currency || sub.items?.data?.[0]?.price?.currency || "usd").toUpperCase(), monthlyAmount(sub));
+  }
+
+  let canceled = 0;
+  const lostMrr = {};
+  for await (const sub of stripe.subscriptions.list({ status: "canceled", limit: 100, expand: ["data.customer"] })) {
+    if (!sub.canceled_at || sub.canceled_at < since || sub.canceled_at >= until) continue;
+    if (isExcludedEmail(sub.customer?.email)) continue;
+    canceled++;
+    add(lostMrr, (sub.currency || "usd").toUpperCase(), monthlyAmount(sub));
+  }
+
+  return {
+    active_partners: active,
+    paused_partners: paused,
+    mrr,
+    churned_partners: canceled,
+    churned_mrr: lostMrr,
+    churn_rate: active + canceled ? Math.round((canceled / (active + canceled)) * 10000) / 100 : 0
+  };
+}
@@ -0,0 +1,63 @@
+// lib/session-access.js
+import crypto from "crypto";
+
+/**
+ * Quién puede leer una Checkout Session desde api/get-session (y abrir el portal desde ella).
+ *
+ * Al crear la session generamos un nonce (metadata.success_nonce) y un token firmado con ese
+ * nonce que va en la success URL (&t=…). El id de la session no se conoce hasta crearla,
+ * por eso el token se ata al nonce y no al id.
+ *
+ * Con Idempotency-Key el nonce se deriva de la key y el token no lleva expiración propia:
+ * un reintento del widget manda a Stripe exactamente los mismos parámetros (si no, Stripe
+ * responde idempotency_error). La validez se mide desde session.created, que fija Stripe.
+ *
+ * Sin token (success pages viejas, o sin LINK_SIGNING_SECRET) solo se aceptan sessions
+ * completadas hace poco, salvo GET_SESSION_REQUIRE_TOKEN=true.
+ *
+ * ENV:
+ * - SUCCESS_TOKEN_TTL          = segundos de validez del token desde que se creó la session (default 3600)
+ * - GET_SESSION_RECENT_SECONDS = ventana sin token desde que se creó la session (default 3600)
+ * - GET_SESSION_REQUIRE_TOKEN  = "true" → sin token no hay acceso
+ */
+const seconds = (raw, fallback) => {
+  const n = parseInt(raw, 10);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+const hmac = (data) =>
+  crypto.createHmac("sha256", process.env.LINK_SIGNING_SECRET).update(data, "utf8").digest("base64url");
+
+const ageOf = (session) => Math.floor(Date.now() / 1000) - (session.created || 0);
+
+/**
+ * { nonce, token } para una session nueva; null si no hay secret para firmar.
+ * Misma idempotencyKey → mismo nonce y token.
+ */
+export function issueSuccessAccess(idempotencyKey = null) {
+  if (!process.env.LINK_SIGNING_SECRET) return null;
+  const nonce = idempotencyKey
+    ? hmac(`success-nonce:${idempotencyKey}`).slice(0, 16)
+    : crypto.randomBytes(12).toString("base64url");
+  return { nonce, token: `${nonce}.${hmac(`success:${nonce}`)}` };
+}
+
+function validToken(token, nonce) {
+  const [n, sig] = String(token).split(".");
+  if (!n || !sig || n !== nonce) return false;
+  const a = Buffer.from(sig);
+  const b = Buffer.from(hmac(`success:${n}`));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** → "token" | "recent" si se puede leer; null si no */
+export function sessionAccess(session, token) {
+  if (token) {
+    if (!process.env.LINK_SIGNING_SECRET) return null;
+    const nonce = session.metadata?.success_nonce;
+    if (!nonce || !validToken(token, nonce)) return null;
+    return ageOf(session) <= seconds(process.env.SUCCESS_TOKEN_TTL, 3600) ? "token" : null;
+  }
+  if (String(process.env.GET_SESSION_REQUIRE_TOKEN || "").toLowerCase() === "true") return null;
+  return session.status === "complete" && ageOf(session) <= seconds(process.env.GET_SESSION_RECENT_SECONDS, 3600) ? "recent" : null;
+}
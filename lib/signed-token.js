@@ -0,0 +1,49 @@
+// lib/signed-token.js
+import crypto from "crypto";
+
+/**
+ * Tokens firmados (HMAC-SHA256) para links que mandamos al donante.
+ * Formato: base64url(JSON payload) + "." + base64url(firma)
+ *
+ * ENV: LINK_SIGNING_SECRET (obligatoria para emitir/verificar)
+ */
+
+function secret() {
+  const s = process.env.LINK_SIGNING_SECRET;
+  if (!s) throw new Error("LINK_SIGNING_SECRET not configured");
+  return s;
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+/** Emite un token para `purpose` con expiración en segundos */
+export function signToken(purpose, data, ttlSeconds) {
+  const payload = {
+    ...data,
+    p: purpose,
+    exp: Math.floor(Date.now() / 1000) + ttlSeconds
+  };
+  const body = Buffer.from(JSON.stringify(payload), "utf8").toString("base64url");
+  return `${body}.${hmac(body)}`;
+}
+
+/** Devuelve el payload si la firma, el propósito y la expiración son válidos; si no, null */
+export function verifyToken(purpose, token) {
+  if (typeof token !== "string" || !token.includes(".")) return null;
+  const [body, sig] = token.split(".");
+  const expected = hmac(body);
+  const a = Buffer.from(sig || "");
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (payload.p !== purpose) return null;
+    if (!Number.isFinite(payload.exp) || payload.exp < Math.floor(Date.now() / 1000)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,80 @@
+// lib/stripe-signature.js
+import crypto from "crypto";
+import { getStripe } from "./stripe.js";
+
+/**
+ * Verificación de los webhooks entrantes de Stripe.
+ *
+ * ENV:
+ * - STRIPE_WEBHOOK_SECRET       = whsec_… ; durante una rotación, varios separados por coma
+ *                                 ("whsec_nuevo,whsec_viejo"): pasa si coincide cualquiera
+ * - STRIPE_WEBHOOK_TOLERANCE    = segundos de tolerancia del timestamp firmado (default 300)
+ * - STRIPE_WEBHOOK_INSECURE_DEV = "true" acepta eventos sin firmar cuando no hay secret.
+ *                                 Solo desarrollo local: se ignora con VERCEL_ENV/NODE_ENV = production.
+ */
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export function webhookSecrets() {
+  return String(process.env.STRIPE_WEBHOOK_SECRET || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function webhookTolerance() {
+  const t = parseInt(process.env.STRIPE_WEBHOOK_TOLERANCE, 10);
+  return Number.isInteger(t) && t > 0 ? t : DEFAULT_TOLERANCE_SECONDS;
+}
+
+export function insecureDevMode() {
+  const production = process.env.VERCEL_ENV === "production" || process.env.NODE_ENV === "production";
+  return !production && String(process.env.STRIPE_WEBHOOK_INSECURE_DEV || "").toLowerCase() === "true";
+}
+
+export class WebhookVerificationError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = "WebhookVerificationError";
+    this.reason = reason;
+  }
+}
+
+/** Motivo corto para logs (no se devuelve al cliente) */
+function reasonOf(err) {
+  const msg = String(err?.message || "");
+  if (/tolerance/i.test(msg)) return "timestamp_outside_tolerance";
+  if (/No signatures found/i.test(msg)) return "no_matching_secret";
+  if (/extract timestamp|header/i.test(msg)) return "malformed_header";
+  return "invalid_signature";
+}
+
+/** t=… del header Stripe-Signature (solo para el log de auditoría) */
+export function signatureTimestamp(header) {
+  const m = /(?:^|,)\s*t=(\d+)/.exec(String(header || ""));
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * raw (Buffer) + header Stripe-Signature → { event, secretIndex }.
+ * Prueba cada secret; lanza WebhookVerificationError con `reason` si ninguno sirve.
+ */
+export function verifyStripeEvent(raw, header, { secrets = webhookSecrets(), tolerance = webhookTolerance() } = {}) {
+  if (!secrets.length) throw new WebhookVerificationError("not_configured", "No webhook secret configured");
+  if (!header) throw new WebhookVerificationError("missing_header", "Missing Stripe-Signature header");
+
+  let last = null;
+  for (const [i, secret] of secrets.entries()) {
+    try {
+      return { event: getStripe().webhooks.constructEvent(raw, header, secret, tolerance), secretIndex: i };
+    } catch (err) {
+      last = err;
+      // un timestamp viejo falla igual con cualquier secret
+      if (reasonOf(err) === "timestamp_outside_tolerance") break;
+    }
+  }
+  throw new WebhookVerificationError(reasonOf(last), last?.message || "Invalid signature");
+}
+
+export function bodyHash(raw) {
+  return crypto.createHash("sha256").update(raw || "").digest("hex");
+}
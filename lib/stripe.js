@@ -0,0 +1,27 @@
+// lib/stripe.js
+import Stripe from "stripe";
+
+/** Única versión de API para todos los handlers y scripts */
+export const STRIPE_API_VERSION = "2024-06-20";
+
+let instance = null;
+
+/**
+ * Cliente de Stripe compartido.
+ * STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL apuntan a stripe-mock u otro emulador.
+ */
+export function getStripe() {
+  if (instance) return instance;
+  instance = new Stripe(process.env.STRIPE_SECRET_KEY, {
+    apiVersion: STRIPE_API_VERSION,
+    ...(process.env.STRIPE_API_HOST ? { host: process.env.STRIPE_API_HOST } : {}),
+    ...(process.env.STRIPE_API_PORT ? { port: Number(process.env.STRIPE_API_PORT) } : {}),
+    ...(process.env.STRIPE_API_PROTOCOL ? { protocol: process.env.STRIPE_API_PROTOCOL } : {})
+  });
+  return instance;
+}
+
+/** Permite inyectar otro cliente (pruebas con un fake o stripe-mock) */
+export function setStripe(client) {
+  instance = client;
+}
@@ -0,0 +1,71 @@
+// lib/tribute.js
+/**
+ * Donaciones "en honor de" / "en memoria de" con aviso opcional al homenajeado.
+ * Viaja en la metadata de la session (tribute_type, honoree_name, honoree_email, tribute_message)
+ * y el webhook manda la tarjeta con lib/receipts.js#sendTributeCard.
+ */
+export const TRIBUTE_TYPES = new Set(["honor", "memory"]);
+
+const MAX_NAME = 80;
+const MAX_MESSAGE = 240;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/** Mismo saneamiento que prayer_request: sin caracteres de control, recortado */
+export function cleanText(value, max) {
+  return String(value ?? "")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .trim()
+    .slice(0, max);
+}
+
+/**
+ * Campos del body del checkout → { tribute } (null si no hay tributo) o { error }.
+ */
+export function parseTribute({ tribute_type, honoree_name, honoree_email, tribute_message } = {}) {
+  if (tribute_type == null || tribute_type === "") return { tribute: null };
+  if (!TRIBUTE_TYPES.has(tribute_type)) return { error: "Invalid tribute_type" };
+
+  const name = cleanText(honoree_name, MAX_NAME);
+  if (!name) return { error: "Missing honoree_name" };
+
+  let email = null;
+  if (honoree_email != null && honoree_email !== "") {
+    email = String(honoree_email).trim().toLowerCase();
+    if (email.length > 254 || !EMAIL_RE.test(email)) return { error: "Invalid honoree_email" };
+  }
+
+  // El mensaje solo tiene sentido si hay a quién avisar
+  const message = email ? cleanText(tribute_message, MAX_MESSAGE) : "";
+  return { tribute: { type: tribute_type, honoree_name: name, honoree_email: email, message: message || null } };
+}
+
+export function tributeMetadata(t) {
+  return {
+    tribute_type: t.type,
+    honoree_name: t.honoree_name,
+    ...(t.honoree_email ? { honoree_email: t.honoree_email } : {}),
+    ...(t.message ? { tribute_message: t.message } : {})
+  };
+}
+
+export function tributeFromMetadata(md) {
+  if (!md || !TRIBUTE_TYPES.has(md.tribute_type) || !md.honoree_name) return null;
+  return {
+    type: md.tribute_type,
+    honoree_name: md.honoree_name,
+    honoree_email: md.honoree_email || null,
+    message: md.tribute_message || null
+  };
+}
+
+/** "In memory of Grace Park" */
+export function tributeLabel(t) {
+  return `${t.type === "memory" ? "In memory of" : "In honor of"} ${t.honoree_name}`;
+}
+
+/** "a***@example.com" para confirmar en la success page sin exponer el email completo */
+export function maskEmail(email) {
+  if (!email) return null;
+  const [local, domain] = String(email).split("@");
+  return `${local.slice(0, 1)}***@${domain}`;
+}
@@ -0,0 +1,93 @@
+// scripts/backfill-ledger.js
+//
+// Reconstruye el ledger desde la API de Stripe (sessions completas + invoices pagadas),
+// con reembolsos y disputas del último cargo de cada pago.
+// Es idempotente: upsert por id, se puede correr las veces que haga falta.
+//
+//   STRIPE_SECRET_KEY=sk_test_… node scripts/backfill-ledger.js [--since=2024-01-01]
+//
+// Contra stripe-mock (docker run -p 12111:12111 stripe/stripe-mock):
+//   STRIPE_SECRET_KEY=sk_test_123 STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 \
+//   STRIPE_API_PROTOCOL=http node scripts/backfill-ledger.js
+//
+// test/backfill-ledger.test.js corre `backfill` contra el Stripe falso de las pruebas.
+import { pathToFileURL } from "url";
+import { getStripe } from "../lib/stripe.js";
+import { donationFromSession, donationFromInvoice, isRenewalInvoice } from "../lib/donations.js";
+import { getLedger } from "../lib/ledger/index.js";
+
+// PaymentIntent con su último cargo: de ahí salen reembolsos y disputas sin una llamada por donación
+const EXPAND = ["data.payment_intent.latest_charge"];
+
+/**
+ * Un débito bancario (ACH, SEPA…) rechazado deja la session en payment_status "unpaid" para siempre:
+ * conservamos el "failed" que puso el webhook y, si no hay registro, lo deducimos del PaymentIntent
+ * (vuelve a requires_payment_method o queda canceled).
+ */
+async function delayedPaymentStatus(stripe, ledger, donation, paymentIntent) {
+  if (donation.payment_status !== "pending") return donation.payment_status;
+  const existing = await ledger.get(donation.id);
+  if (existing?.payment_status === "failed") return "failed";
+  if (!donation.payment_intent_id) return "pending";
+  const pi = typeof paymentIntent === "object" && paymentIntent
+    ? paymentIntent
+    : await stripe.paymentIntents.retrieve(donation.payment_intent_id);
+  return pi.status === "requires_payment_method" || pi.status === "canceled" ? "failed" : "pending";
+}
+
+/**
+ * Lo que el webhook anota con charge.refunded / charge.dispute.created (refunded_minor, disputed),
+ * leído del cargo. Sin eso un ledger reconstruido cuenta los reembolsos completos en feed,
+ * totales, campañas, lifetime y estados de cuenta.
+ */
+function chargeState(paymentIntent) {
+  const charge = paymentIntent && typeof paymentIntent === "object" ? paymentIntent.latest_charge : null;
+  if (!charge || typeof charge !== "object") return {};
+  return {
+    ...(charge.amount_refunded ? { refunded_minor: charge.amount_refunded } : {}),
+    ...(charge.disputed ? { disputed: true } : {})
+  };
+}
+
+function parseSince(argv) {
+  const arg = argv.find((a) => a.startsWith("--since="));
+  if (!arg) return null;
+  const ts = Date.parse(arg.slice("--since=".length));
+  if (Number.isNaN(ts)) throw new Error(`Invalid --since date: ${arg}`);
+  return Math.floor(ts / 1000);
+}
+
+export async function backfill(stripe, ledger, { since = null } = {}) {
+  const created = since ? { gte: since } : undefined;
+  let sessions = 0;
+  let renewals = 0;
+
+  for await (const s of stripe.checkout.sessions.list({ status: "complete", limit: 100, expand: EXPAND, ...(created ? { created } : {}) })) {
+    // created de la session ≈ momento del checkout (el evento original ya no existe tras 30 días)
+    const d = donationFromSession(s);
+    const payment_status = await delayedPaymentStatus(stripe, ledger, d, s.payment_intent);
+    await ledger.upsert({ ...d, payment_status, ...chargeState(s.payment_intent) });
+    sessions++;
+  }
+
+  for await (const inv of stripe.invoices.list({ status: "paid", limit: 100, expand: EXPAND, ...(created ? { created } : {}) })) {
+    if (!isRenewalInvoice(inv)) continue;
+    await ledger.upsert({ ...donationFromInvoice(inv, inv.status_transitions?.paid_at || inv.created), ...chargeState(inv.payment_intent) });
+    renewals++;
+  }
+
+  return { sessions, renewals };
+}
+
+async function main() {
+  if (!process.env.STRIPE_SECRET_KEY) throw new Error("STRIPE_SECRET_KEY is required");
+  const result = await backfill(getStripe(), getLedger(), { since: parseSince(process.argv.slice(2)) });
+  console.log("[backfill-ledger] done", result);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || "").href) {
+  main().catch((err) => {
+    console.error("[backfill-ledger] failed:", err?.message);
+    process.exit(1);
+  });
+}
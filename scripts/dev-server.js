@@ -0,0 +1,120 @@
+// scripts/dev-server.js
+//
+// Servidor local que monta todas las rutas de api/ como en Vercel (/api/admin/totals → api/admin/totals.js).
+//
+//   node scripts/dev-server.js                          → http://localhost:3000
+//   PORT=4000 node --env-file=.env.local scripts/dev-server.js
+//
+// Para el webhook: stripe listen --forward-to localhost:3000/api/stripe-webhook (y su whsec_ en STRIPE_WEBHOOK_SECRET;
+// sin firma solo con STRIPE_WEBHOOK_INSECURE_DEV=true)
+// Contra stripe-mock: STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 STRIPE_API_PROTOCOL=http
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { pathToFileURL } from "url";
+
+const API_DIR = path.join(process.cwd(), "api");
+const PORT = Number(process.env.PORT) || 3000;
+
+/** "api/admin/totals.js" → "/api/admin/totals" */
+function findRoutes(dir, prefix = "/api") {
+  const routes = {};
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) Object.assign(routes, findRoutes(full, `${prefix}/${entry.name}`));
+    else if (entry.name.endsWith(".js")) routes[`${prefix}/${entry.name.slice(0, -3)}`] = full;
+  }
+  return routes;
+}
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function parseBody(raw, type) {
+  if (!raw.length) return undefined;
+  if (/application\/json/i.test(type || "")) {
+    try {
+      return JSON.parse(raw.toString("utf8"));
+    } catch {
+      return raw.toString("utf8");
+    }
+  }
+  if (/application\/x-www-form-urlencoded/i.test(type || "")) return Object.fromEntries(new URLSearchParams(raw.toString("utf8")));
+  return raw.toString("utf8");
+}
+
+/** Helpers de respuesta de Vercel: res.status().json() / .send() */
+function vercelResponse(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (obj) => {
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(obj));
+    return res;
+  };
+  res.send = (data) => {
+    if (data !== null && typeof data === "object" && !Buffer.isBuffer(data)) return res.json(data);
+    res.end(data);
+    return res;
+  };
+  return res;
+}
+
+/**
+ * Como en Vercel: req.query y req.body ya parseados. Si hay body, el handler recibe un stream
+ * nuevo con los mismos bytes (el webhook lo vuelve a leer para verificar la firma).
+ */
+async function vercelRequest(req, url) {
+  const query = Object.fromEntries(url.searchParams);
+  if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") return Object.assign(req, { query, body: undefined });
+  const raw = await readBody(req);
+  return Object.assign(Readable.from(raw.length ? [raw] : []), {
+    method: req.method,
+    url: req.url,
+    headers: req.headers,
+    socket: req.socket,
+    query,
+    body: parseBody(raw, req.headers["content-type"])
+  });
+}
+
+async function main() {
+  const routes = findRoutes(API_DIR);
+  const handlers = {};
+  for (const [route, file] of Object.entries(routes)) {
+    handlers[route] = (await import(pathToFileURL(file).href)).default;
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const handler = handlers[url.pathname.replace(/\/+$/, "")];
+    vercelResponse(res);
+    const started = Date.now();
+    res.on("finish", () => console.log(`[dev-server] ${req.method} ${url.pathname} → ${res.statusCode} (${Date.now() - started}ms)`));
+
+    if (!handler) return res.status(404).json({ error: "Not found" });
+    try {
+      await handler(await vercelRequest(req, url), res);
+    } catch (err) {
+      console.error("[dev-server] unhandled error", url.pathname, err);
+      if (!res.headersSent) res.status(500).json({ error: "Internal server error" });
+      else res.end();
+    }
+  });
+
+  server.listen(PORT, () => {
+    console.log(`[dev-server] http://localhost:${PORT}`);
+    for (const route of Object.keys(handlers).sort()) console.log(`  ${route}`);
+  });
+}
+
+main().catch((err) => {
+  console.error("[dev-server] failed:", err?.message);
+  process.exit(1);
+});
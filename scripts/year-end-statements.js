@@ -0,0 +1,62 @@
+// scripts/year-end-statements.js
+//
+// Estado de cuenta anual consolidado por donante, a partir del ledger.
+//
+//   node scripts/year-end-statements.js --year=2025                 → escribe HTML en ./statements-2025/
+//   node scripts/year-end-statements.js --year=2025 --out=/tmp/st   → otra carpeta
+//   node scripts/year-end-statements.js --year=2025 --send          → envía por el mailer (lib/mailer)
+//   node scripts/year-end-statements.js --year=2025 --email=ana@example.com [--send]
+import fs from "fs/promises";
+import path from "path";
+import { getLedger } from "../lib/ledger/index.js";
+import { isExcludedEmail } from "../lib/exclusions.js";
+import { getMailer } from "../lib/mailer/index.js";
+import { renderStatement, deductibleAmount } from "../lib/receipts.js";
+
+function arg(name) {
+  const a = process.argv.slice(2).find((x) => x === `--${name}` || x.startsWith(`--${name}=`));
+  if (!a) return null;
+  return a.includes("=") ? a.slice(a.indexOf("=") + 1) : true;
+}
+
+async function main() {
+  const year = Number(arg("year") || new Date().getUTCFullYear() - 1);
+  if (!Number.isInteger(year) || year < 1970 || year > 2100) throw new Error("Invalid --year");
+  const only = typeof arg("email") === "string" ? arg("email").toLowerCase() : null;
+  const send = arg("send") === true;
+  const outDir = typeof arg("out") === "string" ? arg("out") : path.join(process.cwd(), `statements-${year}`);
+
+  const since = Date.UTC(year, 0, 1) / 1000;
+  const until = Date.UTC(year + 1, 0, 1) / 1000;
+  const donations = await getLedger().list({ since, until });
+
+  const byDonor = new Map();
+  for (const d of donations) {
+    if (!d.email || isExcludedEmail(d.email)) continue;
+    if (only && d.email !== only) continue;
+    if (!deductibleAmount(d)) continue;
+    if (!byDonor.has(d.email)) byDonor.set(d.email, []);
+    byDonor.get(d.email).push(d);
+  }
+
+  if (!send) await fs.mkdir(outDir, { recursive: true });
+
+  let done = 0;
+  for (const [email, list] of byDonor) {
+    const st = renderStatement(email, year, list);
+    if (send) {
+      await getMailer().send({ to: email, subject: st.subject, html: st.html, text: st.text });
+    } else {
+      const file = path.join(outDir, `${email.replace(/[^a-z0-9@._-]/gi, "_")}.html`);
+      await fs.writeFile(file, st.html, "utf8");
+    }
+    done++;
+  }
+
+  console.log("[year-end-statements] done", { year, donors: done, mode: send ? "sent" : outDir });
+}
+
+main().catch((err) => {
+  console.error("[year-end-statements] failed:", err?.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// test/admin-export.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+
+setupTestEnv();
+const { getLedger } = await import("../lib/ledger/index.js");
+const { default: handler } = await import("../api/admin/export.js");
+
+const created = Date.parse("2026-03-05T12:00:00Z") / 1000;
+let seq = 0;
+function donation(overrides = {}) {
+  seq++;
+  return {
+    id: `cs_export_${seq}`,
+    kind: "checkout",
+    session_id: `cs_export_${seq}`,
+    amount_minor: 5000,
+    currency: "USD",
+    recurring: false,
+    email: `donor${seq}@example.com`,
+    name: "Ana Kim",
+    consent: "first_name",
+    created: created + seq,
+    ...overrides
+  };
+}
+
+async function exportRows() {
+  const res = await invoke(handler, {
+    method: "GET",
+    headers: { authorization: "Bearer test-admin-token" },
+    query: { from: "2026-03-01", to: "2026-03-31" }
+  });
+  assert.equal(res.statusCode, 200);
+  const [header, ...lines] = res.chunks.join("").trimEnd().split("\n");
+  const cols = header.split(",");
+  return { cols, lines };
+}
+
+test("requires the admin token", async () => {
+  const res = await invoke(handler, { method: "GET", query: {} });
+  assert.equal(res.statusCode, 401);
+});
+
+test("neutralizes cells that a spreadsheet would run as a formula", async () => {
+  const names = ["=HYPERLINK(\"http://x\")", "+1+1", "-2+3", "@SUM(A1)", "\tTab", "\rCR"];
+  for (const name of names) await getLedger().upsert(donation({ name, campaign: name }));
+
+  const { lines } = await exportRows();
+  const body = lines.join("\n");
+  assert.ok(body.includes(`"'=HYPERLINK(""http://x"")"`));
+  for (const cell of ["'+1+1", "'-2+3", "'@SUM(A1)", "'\tTab"]) {
+    assert.equal(body.split(cell).length - 1, 2, cell); // name y campaign
+  }
+  assert.ok(body.includes(`"'\rCR"`));
+  for (const name of names) assert.ok(!lines.some((l) => l.split(",").includes(name)), name);
+});
+
+test("quotes commas and doubles embedded quotes", async () => {
+  await getLedger().upsert(donation({ id: "cs_export_quotes", name: 'Kim, "Ana"', campaign: "Spring, 2026" }));
+
+  const { cols, lines } = await exportRows();
+  const line = lines.find((l) => l.startsWith("cs_export_quotes,"));
+  assert.ok(line.includes(`"Kim, ""Ana"""`));
+  assert.ok(line.includes(`"Spring, 2026"`));
+  assert.equal(cols.length, 18);
+});
+
+test("leaves numeric cells unprefixed", async () => {
+  await getLedger().upsert(donation({ id: "cs_export_number", name: "Plain", amount_minor: 2500 }));
+  const { lines } = await exportRows();
+  const line = lines.find((l) => l.startsWith("cs_export_number,"));
+  assert.ok(line.includes(",2500,"));
+  assert.ok(!line.includes("'"));
+});
@@ -0,0 +1,115 @@
+// test/backfill-ledger.test.js
+//
+// scripts/backfill-ledger.js contra el Stripe falso, con los mismos objetos que traen las fixtures.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+import { loadFixture } from "./helpers/events.js";
+
+setupTestEnv();
+const { getLedger } = await import("../lib/ledger/index.js");
+const { backfill } = await import("../scripts/backfill-ledger.js");
+const { netAmount } = await import("../lib/reports.js");
+const { isFeedable } = await import("../lib/feed.js");
+
+const oneTime = loadFixture("01-checkout-one-time.json").data.object;
+const subscription = loadFixture("02-checkout-subscription.json").data.object;
+const renewal = { ...loadFixture("03-invoice-paid-renewal.json").data.object, status: "paid", status_transitions: { paid_at: 1769990400 } };
+
+const achFailed = { ...loadFixture("07-checkout-ach-failed-pending.json").data.object };
+const achPending = { ...achFailed, id: "cs_ach_processing", payment_intent: "pi_ach_processing" };
+
+const stripe = createFakeStripe({
+  sessions: {
+    [oneTime.id]: oneTime,
+    [subscription.id]: subscription,
+    cs_open: { ...oneTime, id: "cs_open", status: "open" }
+  },
+  paymentIntents: {
+    [achFailed.payment_intent]: { id: achFailed.payment_intent, status: "requires_payment_method" },
+    pi_ach_processing: { id: "pi_ach_processing", status: "processing" }
+  },
+  invoices: {
+    [renewal.id]: renewal,
+    in_first: { ...renewal, id: "in_first", billing_reason: "subscription_create" }
+  }
+});
+
+test("rebuilds the ledger from completed sessions and renewal invoices", async () => {
+  const result = await backfill(stripe, getLedger());
+  assert.deepEqual(result, { sessions: 2, renewals: 1 });
+
+  const all = await getLedger().list({});
+  assert.deepEqual(all.map((d) => [d.id, d.kind]).sort(), [
+    ["cs_fix_one_time", "checkout"],
+    ["cs_fix_subscription", "checkout"],
+    ["in_fix_renewal", "renewal"]
+  ]);
+  assert.equal((await getLedger().get("in_fix_renewal")).created, 1769990400);
+});
+
+test("is idempotent and keeps what the webhook added", async () => {
+  await getLedger().update("cs_fix_one_time", { refunded_minor: 5000 });
+  await backfill(stripe, getLedger());
+  assert.equal((await getLedger().list({})).length, 3);
+  assert.equal((await getLedger().get("cs_fix_one_time")).refunded_minor, 5000);
+});
+
+test("does not turn a failed bank debit back into pending", async () => {
+  // el webhook ya lo marcó failed (async_payment_failed); la session sigue "unpaid"
+  await getLedger().upsert({ id: achFailed.id, kind: "checkout", payment_status: "failed", created: achFailed.created });
+  stripe.db.sessions.set(achFailed.id, achFailed);
+  await backfill(stripe, getLedger());
+  assert.equal((await getLedger().get(achFailed.id)).payment_status, "failed");
+});
+
+test("settles pending bank debits from their PaymentIntent status", async () => {
+  await getLedger().upsert({ id: achFailed.id, kind: "checkout", payment_status: "pending" });
+  stripe.db.sessions.set(achPending.id, achPending);
+  await backfill(stripe, getLedger());
+  assert.equal((await getLedger().get(achFailed.id)).payment_status, "failed");
+  assert.equal((await getLedger().get(achPending.id)).payment_status, "pending");
+});
+
+test("passes --since to Stripe as created.gte", async () => {
+  await backfill(stripe, getLedger(), { since: 1767225600 });
+  assert.deepEqual(stripe.callsTo("checkout.sessions.list").at(-1)[0].created, { gte: 1767225600 });
+  assert.deepEqual(stripe.callsTo("invoices.list").at(-1)[0].created, { gte: 1767225600 });
+});
+
+test("records refunds and disputes from each payment's latest charge", async () => {
+  const charge = (overrides) => ({ id: "ch_x", object: "charge", amount: 5000, amount_refunded: 0, disputed: false, ...overrides });
+  stripe.db.sessions.set("cs_refunded", {
+    ...oneTime, id: "cs_refunded",
+    payment_intent: { id: "pi_refunded", status: "succeeded", latest_charge: charge({ amount_refunded: 2000 }) }
+  });
+  stripe.db.sessions.set("cs_disputed", {
+    ...oneTime, id: "cs_disputed",
+    payment_intent: { id: "pi_disputed", status: "succeeded", latest_charge: charge({ disputed: true }) }
+  });
+  stripe.db.sessions.set("cs_refunded_full", {
+    ...oneTime, id: "cs_refunded_full",
+    payment_intent: { id: "pi_refunded_full", status: "succeeded", latest_charge: charge({ amount_refunded: 5000 }) }
+  });
+  stripe.db.invoices.set("in_refunded", {
+    ...renewal, id: "in_refunded",
+    payment_intent: { id: "pi_in_refunded", status: "succeeded", latest_charge: charge({ amount_refunded: renewal.amount_paid }) }
+  });
+
+  await backfill(stripe, getLedger());
+  assert.deepEqual(stripe.callsTo("checkout.sessions.list").at(-1)[0].expand, ["data.payment_intent.latest_charge"]);
+  assert.deepEqual(stripe.callsTo("invoices.list").at(-1)[0].expand, ["data.payment_intent.latest_charge"]);
+
+  const refunded = await getLedger().get("cs_refunded");
+  assert.equal(refunded.refunded_minor, 2000);
+  assert.equal(refunded.payment_intent_id, "pi_refunded");
+  assert.equal(refunded.disputed, undefined);
+  assert.equal((await getLedger().get("cs_disputed")).disputed, true);
+  assert.equal((await getLedger().get("in_refunded")).refunded_minor, renewal.amount_paid);
+
+  // lo que cuenta: neto en reportes y fuera del feed si se reembolsó entero
+  assert.equal(netAmount(refunded), refunded.amount_minor - 2000);
+  assert.equal(isFeedable(refunded), true);
+  assert.equal(isFeedable(await getLedger().get("cs_refunded_full")), false);
+});
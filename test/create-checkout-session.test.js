@@ -0,0 +1,208 @@
+// test/create-checkout-session.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+
+setupTestEnv({
+  RATE_LIMIT_CHECKOUT_IP: "1000/600",
+  RATE_LIMIT_CHECKOUT_FINGERPRINT: "1000/600",
+  ALLOWED_ORIGINS: "https://hyeoks-site.webflow.io,https://brotherhyeok.com"
+});
+const { setStripe } = await import("../lib/stripe.js");
+const { getRateLimitStore } = await import("../lib/rate-limit/index.js");
+const { default: handler } = await import("../api/create-checkout-session.js");
+const { sessionAccess } = await import("../lib/session-access.js");
+
+let stripe;
+beforeEach(async () => {
+  stripe = createFakeStripe();
+  setStripe(stripe);
+  await getRateLimitStore().reset();
+});
+
+const post = (body, headers = {}) => invoke(handler, { method: "POST", headers, body });
+const created = () => stripe.callsTo("checkout.sessions.create").at(-1)?.[0];
+
+test("creates a one-time session and returns its url", async () => {
+  const res = await post({ amount: 5000, currency: "USD" });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.url, /^https:\/\/checkout\.stripe\.test\//);
+  const params = created();
+  assert.equal(params.mode, "payment");
+  assert.equal(params.line_items[0].price_data.unit_amount, 5000);
+  assert.equal(params.metadata.public_consent, "anonymous");
+});
+
+test("creates a subscription session with the interval", async () => {
+  const res = await post({ mode: "subscription", amount: 2000, currency: "USD", interval: "week", interval_count: 2 });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(created().line_items[0].price_data.recurring, { interval: "week", interval_count: 2 });
+});
+
+test("answers the CORS preflight", async () => {
+  const res = await invoke(handler, { method: "OPTIONS", headers: { origin: "https://brotherhyeok.com" } });
+  assert.equal(res.statusCode, 204);
+  assert.equal(res.headers["access-control-allow-origin"], "https://brotherhyeok.com");
+});
+
+test("rejects methods other than POST", async () => {
+  const res = await invoke(handler, { method: "GET" });
+  assert.equal(res.statusCode, 405);
+});
+
+for (const [name, body, error] of [
+  ["mode", { mode: "setup", amount: 500 }, "Invalid mode"],
+  ["currency", { amount: 500, currency: "XYZ" }, "Invalid currency"],
+  ["interval", { amount: 500, currency: "USD", interval: "day" }, "Invalid interval"],
+  ["interval_count", { amount: 500, currency: "USD", interval_count: 13 }, "Invalid interval_count"],
+  ["non-integer amount", { amount: 10.5, currency: "USD" }, "Invalid amount"],
+  ["string amount", { amount: "500", currency: "USD" }, "Invalid amount"],
+  ["amount below minimum", { amount: 50, currency: "USD" }, "Amount below minimum"],
+  ["amount above Stripe's maximum", { amount: 100000000, currency: "USD", confirm_large_amount: true }, "Amount above maximum"],
+  ["public_consent", { amount: 500, currency: "USD", public_consent: "everyone" }, "Invalid public_consent"],
+  ["cover_fees", { amount: 500, currency: "USD", cover_fees: "yes" }, "Invalid cover_fees"],
+  ["campaign", { amount: 500, currency: "USD", campaign: "no-such-campaign" }, "Invalid campaign"],
+  ["tribute_type", { amount: 500, currency: "USD", tribute_type: "birthday", honoree_name: "X" }, "Invalid tribute_type"],
+  ["honoree_name", { amount: 500, currency: "USD", tribute_type: "memory" }, "Missing honoree_name"],
+  ["preferred_method", { amount: 500, currency: "USD", preferred_method: "crypto" }, "Invalid preferred_method"],
+  ["bank currency", { amount: 50000, currency: "KRW", preferred_method: "bank" }, "Bank payment not available for this currency"]
+]) {
+  test(`rejects invalid ${name}`, async () => {
+    const res = await post(body);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, error);
+    assert.equal(created(), undefined);
+  });
+}
+
+test("requires confirmation above the soft maximum", async () => {
+  const res = await post({ amount: 2000000, currency: "USD" });
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.requires_confirmation, true);
+
+  const ok = await post({ amount: 2000000, currency: "USD", confirm_large_amount: true });
+  assert.equal(ok.statusCode, 200);
+});
+
+test("grosses up the charge when the donor covers the fees", async () => {
+  const res = await post({ amount: 10000, currency: "USD", cover_fees: true });
+  assert.equal(res.statusCode, 200);
+  const params = created();
+  assert.ok(params.line_items[0].price_data.unit_amount > 10000);
+  assert.equal(params.metadata.gift_amount, "10000");
+});
+
+test("leaves payment methods to the Dashboard for small gifts", async () => {
+  await post({ amount: 5000, currency: "USD" });
+  assert.equal(created().payment_method_types, undefined);
+  assert.equal(created().metadata.payment_routing, undefined);
+});
+
+test("offers the bank account first for large gifts", async () => {
+  await post({ amount: 100000, currency: "USD" });
+  assert.deepEqual(created().payment_method_types, ["us_bank_account", "card"]);
+  assert.equal(created().metadata.payment_routing, "bank_first");
+});
+
+test("uses bank-only routing and the bank fee schedule when asked", async () => {
+  const res = await post({ amount: 100000, currency: "USD", cover_fees: true, preferred_method: "bank" });
+  assert.equal(res.statusCode, 200);
+  const params = created();
+  assert.deepEqual(params.payment_method_types, ["us_bank_account"]);
+  assert.equal(params.metadata.fee_amount, "500"); // tope de la comisión bancaria
+  assert.equal(params.line_items[0].price_data.unit_amount, 100500);
+});
+
+test("routes card (and its wallets) only when asked", async () => {
+  await post({ amount: 100000, currency: "USD", preferred_method: "card" });
+  assert.deepEqual(created().payment_method_types, ["card"]);
+});
+
+test("detects the locale from the Referer path", async () => {
+  const res = await post({ amount: 5000 }, { origin: "https://brotherhyeok.com", referer: "https://brotherhyeok.com/kr/payment" });
+  assert.equal(res.statusCode, 200);
+  const params = created();
+  assert.equal(params.metadata.locale, "kr");
+  assert.equal(params.locale, "ko");
+  assert.equal(params.line_items[0].price_data.currency, "KRW");
+  assert.match(params.success_url, /^https:\/\/brotherhyeok\.com\/kr\/donate\/success\?session_id=/);
+  assert.equal(params.cancel_url, "https://brotherhyeok.com/kr/payment");
+});
+
+test("puts a get-session access token bound to the session nonce in the success URL", async () => {
+  await post({ amount: 5000 });
+  const params = created();
+  const token = new URL(params.success_url).searchParams.get("t");
+  assert.ok(params.metadata.success_nonce);
+  const created_at = Math.floor(Date.now() / 1000);
+  assert.equal(sessionAccess({ metadata: params.metadata, created: created_at }, token), "token");
+  assert.equal(sessionAccess({ metadata: { success_nonce: "other" }, created: created_at }, token), null);
+  // la validez corre desde que Stripe creó la session
+  assert.equal(sessionAccess({ metadata: params.metadata, created: created_at - 7200 }, token), null);
+});
+
+test("prefers a valid locale hint over the Referer", async () => {
+  await post({ amount: 500, locale: "ja", currency: "USD" }, { referer: "https://hyeoks-site.webflow.io/es/payment" });
+  assert.equal(created().metadata.locale, "ja");
+});
+
+test("falls back to the default locale for unknown Referer paths", async () => {
+  await post({ amount: 500, currency: "USD" }, { referer: "https://hyeoks-site.webflow.io/payment" });
+  const params = created();
+  assert.ok(!params.metadata.locale || params.metadata.locale === "en-us");
+  assert.match(params.success_url, /^https:\/\/hyeoks-site\.webflow\.io\/donate\/success/);
+});
+
+test("sanitizes the prayer request and tribute fields", async () => {
+  await post({
+    amount: 500,
+    currency: "USD",
+    prayer_request: `  pray\u0000 for ${"x".repeat(200)}`,
+    tribute_type: "memory",
+    honoree_name: " Grace\u0007 Park ",
+    honoree_email: "Son@Example.com",
+    tribute_message: "Thinking of you"
+  });
+  const md = created().metadata;
+  assert.equal(md.prayer_request.length, 140);
+  assert.ok(md.prayer_request.startsWith("pray for"));
+  assert.equal(md.honoree_name, "Grace Park");
+  assert.equal(md.honoree_email, "son@example.com");
+});
+
+test("reuses the client's Idempotency-Key", async () => {
+  await post({ amount: 500, currency: "USD" }, { "idempotency-key": "abc-123" });
+  const [, options] = stripe.callsTo("checkout.sessions.create").at(-1);
+  assert.equal(options.idempotencyKey, "abc-123");
+});
+
+test("stamps the correlation id on the session, payment intent and response", async () => {
+  const res = await post({ amount: 500, currency: "USD" }, { "x-correlation-id": "trace-from-widget-1" });
+  const params = created();
+  assert.equal(res.headers["x-correlation-id"], "trace-from-widget-1");
+  assert.equal(params.metadata.correlation_id, "trace-from-widget-1");
+  assert.equal(params.payment_intent_data.metadata.correlation_id, "trace-from-widget-1");
+});
+
+test("sends Stripe identical params for retries with the same Idempotency-Key", async () => {
+  await post({ amount: 500, currency: "USD" }, { "idempotency-key": "retry-key-1" });
+  const first = created();
+  await post({ amount: 500, currency: "USD" }, { "idempotency-key": "retry-key-1" });
+  // Stripe rechaza (idempotency_error) un reintento con otros parámetros
+  assert.deepEqual(created(), first);
+  assert.ok(first.metadata.correlation_id.startsWith("ck_"));
+  assert.ok(first.metadata.success_nonce);
+
+  await post({ amount: 500, currency: "USD" }, { "idempotency-key": "retry-key-2" });
+  assert.notEqual(created().metadata.success_nonce, first.metadata.success_nonce);
+});
+
+test("rate-limits repeated attempts from the same IP", async () => {
+  const { consume } = await import("../lib/rate-limit/index.js");
+  for (let i = 0; i < 1000; i++) await consume("checkout:ip:127.0.0.1", { limit: 1000, window: 600 });
+  const res = await post({ amount: 500, currency: "USD" });
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers["retry-after"]) > 0);
+});
@@ -0,0 +1,113 @@
+// test/donors.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+import { loadFixture, signedRequest } from "./helpers/events.js";
+
+const SECRET = "whsec_donors";
+setupTestEnv({
+  STRIPE_WEBHOOK_SECRET: SECRET,
+  FORWARD_DESTINATIONS: JSON.stringify([{ name: "crm", url: "https://crm.test/hook", events: ["checkout.session.completed", "invoice.paid"] }])
+});
+const { setStripe } = await import("../lib/stripe.js");
+const { normalizeEmail, getDonors, donorIdFor } = await import("../lib/donors.js");
+const { default: webhook } = await import("../api/stripe-webhook.js");
+const { default: checkout } = await import("../api/create-checkout-session.js");
+
+// Lo que el webhook reenvía al CRM
+const forwarded = [];
+const realFetch = globalThis.fetch;
+before(() => {
+  globalThis.fetch = async (url, init) => {
+    forwarded.push(JSON.parse(init.body));
+    return new Response("ok", { status: 200 });
+  };
+});
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+const stripe = createFakeStripe({
+  customers: {
+    cus_first: { id: "cus_first", email: "Ana.Kim@example.com" },
+    cus_second: { id: "cus_second", email: "ana.kim+church@example.com" }
+  }
+});
+setStripe(stripe);
+
+const base = loadFixture("01-checkout-one-time.json");
+function checkoutEvent(id, { email, customer, amount = 5000, created }) {
+  return {
+    ...base,
+    id: `evt_${id}`,
+    created,
+    data: {
+      object: {
+        ...base.data.object,
+        id: `cs_${id}`,
+        payment_intent: `pi_${id}`,
+        customer,
+        amount_total: amount,
+        customer_details: { ...base.data.object.customer_details, email }
+      }
+    }
+  };
+}
+
+test("normalizes emails for matching", () => {
+  assert.equal(normalizeEmail("  Ana.Kim+Church@Example.COM "), "ana.kim@example.com");
+  assert.equal(normalizeEmail("john.doe@googlemail.com"), "johndoe@gmail.com");
+  assert.equal(normalizeEmail("not-an-email"), null);
+  assert.equal(donorIdFor("ANA.KIM@example.com"), donorIdFor("ana.kim+x@example.com"));
+});
+
+test("a new donor's first gift is flagged", async () => {
+  const res = await invoke(webhook, signedRequest(checkoutEvent("one", { email: "ana.kim@example.com", customer: "cus_first", created: 1767225600 }), SECRET));
+  assert.equal(res.statusCode, 200);
+  const payload = forwarded.at(-1);
+  assert.equal(payload.is_first_gift, true);
+  assert.equal(payload.is_returning_donor, false);
+  assert.equal(payload.gift_count, 1);
+  assert.equal(payload.lifetime_total, 5000);
+  assert.equal(payload.lifetime_total_formatted, "$50.00");
+});
+
+test("a returning donor with a new Customer is merged into the same profile", async () => {
+  await invoke(webhook, signedRequest(checkoutEvent("two", { email: "Ana.Kim+church@example.com", customer: "cus_second", amount: 2500, created: 1769904000 }), SECRET));
+  const payload = forwarded.at(-1);
+  assert.equal(payload.is_first_gift, false);
+  assert.equal(payload.is_returning_donor, true);
+  assert.equal(payload.gift_count, 2);
+  assert.equal(payload.lifetime_total, 7500);
+
+  const donor = await getDonors().findByEmail("ana.kim@example.com");
+  assert.deepEqual(donor.customer_ids, ["cus_first", "cus_second"]);
+  assert.equal(donor.primary_customer_id, "cus_first");
+  assert.equal(donor.first_gift_at, 1767225600);
+
+  // el Customer duplicado queda marcado en Stripe
+  const [id, params] = stripe.callsTo("customers.update").at(-1);
+  assert.equal(id, "cus_second");
+  assert.equal(params.metadata.duplicate_of, "cus_first");
+});
+
+test("checkout never attaches a known donor's Customer from an unverified email", async () => {
+  stripe.db.customers.set("cus_legacy", { id: "cus_legacy", email: "old.friend@example.com" });
+  for (const email of ["ANA.KIM@example.com", "old.friend@example.com"]) {
+    const res = await invoke(checkout, { method: "POST", body: { amount: 1000, currency: "USD", email } });
+    assert.equal(res.statusCode, 200);
+    const [params] = stripe.callsTo("checkout.sessions.create").at(-1);
+    assert.equal(params.customer, undefined);
+    assert.equal(params.customer_email, email);
+    assert.equal(params.customer_creation, "always");
+  }
+  assert.equal(stripe.callsTo("customers.list").length, 0);
+});
+
+test("checkout rejects a malformed email", async () => {
+  const res = await invoke(checkout, { method: "POST", body: { amount: 1000, currency: "USD", email: "nope" } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, "Invalid email");
+});
@@ -0,0 +1,183 @@
+// test/get-session.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+
+setupTestEnv();
+const { setStripe } = await import("../lib/stripe.js");
+const { verifyConsentToken } = await import("../lib/consent.js");
+const { default: handler } = await import("../api/get-session.js");
+const { issueSuccessAccess } = await import("../lib/session-access.js");
+const { assignReceiptNumber } = await import("../lib/receipts.js");
+
+const access = issueSuccessAccess();
+const now = Math.floor(Date.now() / 1000);
+
+const session = {
+  id: "cs_test_paid",
+  object: "checkout.session",
+  mode: "subscription",
+  status: "complete",
+  payment_status: "paid",
+  created: now - 60,
+  amount_total: 2090,
+  currency: "usd",
+  customer_details: { email: "ana@example.com", name: "Card Holder" },
+  custom_fields: [{ key: "full_name", type: "text", text: { value: "Ana Kim" } }],
+  subscription: {
+    id: "sub_123",
+    object: "subscription",
+    status: "active",
+    current_period_end: 1798761600,
+    items: { data: [{ price: { recurring: { interval: "month", interval_count: 1 } } }] }
+  },
+  invoice: { id: "in_123", object: "invoice", hosted_invoice_url: "https://invoice.stripe.test/i/in_123" },
+  payment_intent: null,
+  metadata: {
+    success_nonce: access.nonce,
+    locale: "kr",
+    prayer_request: "Pray for my family",
+    public_consent: "public",
+    cover_fees: "true",
+    gift_amount: "2000",
+    fee_amount: "90",
+    tribute_type: "honor",
+    honoree_name: "Grace Park",
+    honoree_email: "grace@example.com",
+    tribute_message: "Happy birthday"
+  }
+};
+
+// completada hace dos días: sin token ya no se puede leer
+const oldSession = {
+  ...session,
+  id: "cs_test_old",
+  created: now - 2 * 86400,
+  metadata: { ...session.metadata, success_nonce: "other-nonce" }
+};
+
+let stripe;
+before(() => {
+  stripe = createFakeStripe({ sessions: { [session.id]: session, [oldSession.id]: oldSession } });
+  setStripe(stripe);
+});
+
+const get = (query) => invoke(handler, { method: "GET", query: { t: access.token, ...query } });
+
+test("requires session_id", async () => {
+  const res = await get({});
+  assert.equal(res.statusCode, 400);
+});
+
+test("rejects malformed session ids before calling Stripe", async () => {
+  const before = stripe.callsTo("checkout.sessions.retrieve").length;
+  const res = await get({ session_id: "../../v1/customers" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(stripe.callsTo("checkout.sessions.retrieve").length, before);
+});
+
+test("is never cached", async () => {
+  const res = await get({ session_id: session.id });
+  assert.equal(res.headers["cache-control"], "private, no-store");
+});
+
+test("extracts the fields the success page shows", async () => {
+  const res = await get({ session_id: session.id, locale: "en-us" });
+  assert.equal(res.statusCode, 200);
+  const s = res.body.session;
+  assert.equal(s.id, session.id);
+  assert.equal(s.mode, "subscription");
+  assert.equal(s.amount_total, 2090);
+  assert.equal(s.gift_amount, 2000);
+  assert.equal(s.fee_amount, 90);
+  assert.equal(s.locale, "en-us");
+  assert.equal(s.amount_formatted, "$20.00");
+  assert.equal(s.prayer_request, "Pray for my family");
+  assert.equal(s.customer_email, "ana@example.com");
+  // el custom field full_name gana sobre el nombre de la tarjeta
+  assert.equal(s.customer_name, "Ana Kim");
+  // ids de objetos expandidos
+  assert.equal(s.subscription_id, "sub_123");
+  assert.equal(s.payment_intent_id, null);
+  assert.equal(s.public_consent, "public");
+});
+
+test("returns a consent token bound to the session", async () => {
+  const res = await get({ session_id: session.id });
+  assert.equal(verifyConsentToken(res.body.session.consent_token), session.id);
+});
+
+test("returns the tribute with the honoree email masked", async () => {
+  const res = await get({ session_id: session.id });
+  assert.deepEqual(res.body.session.tribute, {
+    type: "honor",
+    honoree_name: "Grace Park",
+    notify_email: "g***@example.com",
+    message: "Happy birthday"
+  });
+});
+
+test("formats the amount in the checkout locale by default", async () => {
+  const res = await get({ session_id: session.id });
+  assert.equal(res.body.session.locale, "kr");
+  assert.equal(res.body.session.amount_formatted, new Intl.NumberFormat("ko-KR", { style: "currency", currency: "USD" }).format(20));
+});
+
+test("returns the subscription interval and next billing date", async () => {
+  const res = await get({ session_id: session.id });
+  assert.deepEqual(res.body.session.subscription, {
+    status: "active",
+    interval: "month",
+    interval_count: 1,
+    next_billing_at: 1798761600,
+    next_billing_date: "2027-01-01T00:00:00.000Z"
+  });
+});
+
+test("returns the Stripe receipt URL and our receipt number once assigned", async () => {
+  let res = await get({ session_id: session.id });
+  assert.deepEqual(res.body.session.receipt, { url: "https://invoice.stripe.test/i/in_123", number: null, status: "pending" });
+
+  const number = await assignReceiptNumber({ id: session.id, created: session.created });
+  res = await get({ session_id: session.id });
+  assert.equal(res.body.session.receipt.number, number);
+});
+
+test("expands the charge, subscription and invoice", async () => {
+  await get({ session_id: session.id });
+  const [, params] = stripe.callsTo("checkout.sessions.retrieve").at(-1);
+  assert.deepEqual(params.expand, ["payment_intent.latest_charge", "subscription", "invoice"]);
+});
+
+test("allows a recently completed session without a token", async () => {
+  const res = await invoke(handler, { method: "GET", query: { session_id: session.id } });
+  assert.equal(res.statusCode, 200);
+});
+
+test("hides old sessions without a token, and with another session's token", async () => {
+  let res = await invoke(handler, { method: "GET", query: { session_id: oldSession.id } });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.session, undefined);
+
+  res = await get({ session_id: oldSession.id });
+  assert.equal(res.statusCode, 404);
+});
+
+test("requires the token when GET_SESSION_REQUIRE_TOKEN is set", async () => {
+  process.env.GET_SESSION_REQUIRE_TOKEN = "true";
+  try {
+    const res = await invoke(handler, { method: "GET", query: { session_id: session.id } });
+    assert.equal(res.statusCode, 404);
+    assert.equal((await get({ session_id: session.id })).statusCode, 200);
+  } finally {
+    delete process.env.GET_SESSION_REQUIRE_TOKEN;
+  }
+});
+
+test("returns 404 when Stripe cannot find the session", async () => {
+  const res = await get({ session_id: "cs_test_missing" });
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.error, "Session not found");
+});
@@ -0,0 +1,110 @@
+// test/health.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+
+setupTestEnv({ STRIPE_WEBHOOK_SECRET: "whsec_health_secret", SITE_URL: "https://example.org", MINISTRY_TAX_ID: "12-3456789" });
+const { setStripe } = await import("../lib/stripe.js");
+const { getProcessedEvents } = await import("../lib/processed-events.js");
+const { getOutbox } = await import("../lib/outbox.js");
+const { default: handler } = await import("../api/health.js");
+
+let stripe;
+before(() => {
+  stripe = createFakeStripe();
+  setStripe(stripe);
+});
+
+const get = (headers = { authorization: "Bearer test-admin-token" }) => invoke(handler, { method: "GET", headers });
+
+test("requires the admin token", async () => {
+  const res = await get({});
+  assert.equal(res.statusCode, 401);
+});
+
+test("reports ok with complete config and a reachable Stripe", async () => {
+  const res = await get();
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, "ok");
+  assert.equal(res.body.config.complete, true);
+  assert.equal(res.body.config.stripe_mode, "test");
+  assert.equal(res.body.config.webhook_secrets, 1);
+  assert.equal(res.body.stripe.reachable, true);
+  assert.equal(res.headers["cache-control"], "no-store");
+});
+
+test("reports whether the ledger store can be written", async () => {
+  let res = await get();
+  assert.deepEqual(res.body.storage, { driver: "file", shared: true, writable: true, ledger: "json" });
+
+  const saved = process.env.DATA_DIR;
+  process.env.DATA_DIR = path.join(saved, "not-a-dir.txt", "data");
+  fs.writeFileSync(path.join(saved, "not-a-dir.txt"), "");
+  try {
+    res = await get();
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.storage.writable, false);
+  } finally {
+    process.env.DATA_DIR = saved;
+  }
+});
+
+test("warns that file storage is not shared between Vercel functions", async () => {
+  process.env.VERCEL = "1";
+  try {
+    const res = await get();
+    assert.equal(res.body.storage.shared, false);
+    assert.ok(res.body.config.warnings.some((w) => w.includes("KV_REST_API_URL")));
+  } finally {
+    delete process.env.VERCEL;
+  }
+});
+
+test("never includes secret values", async () => {
+  const body = JSON.stringify((await get()).body);
+  for (const secret of ["sk_test_fake", "whsec_health_secret", "test-link-secret", "test-admin-token"]) {
+    assert.ok(!body.includes(secret), secret);
+  }
+});
+
+test("reports the last processed webhook and forward failures", async () => {
+  await getProcessedEvents().mark("evt_health_1", "checkout.session.completed");
+  const now = Math.floor(Date.now() / 1000);
+  const base = { url: "https://crm.example/hook", headers: {}, body: "{}", created: now, last_attempt_at: now };
+  await getOutbox().put({ ...base, id: "evt_a:crm", status: "pending", attempts: 2, last_error: "HTTP 500", next_attempt_at: now + 60 });
+  await getOutbox().put({ ...base, id: "evt_b:crm", status: "dead", attempts: 8, last_error: "HTTP 500", next_attempt_at: null });
+  await getOutbox().put({ ...base, id: "evt_c:crm", status: "delivered", attempts: 1, last_error: null, next_attempt_at: null });
+
+  const res = await get();
+  assert.equal(res.body.webhook.last_event_type, "checkout.session.completed");
+  assert.ok(res.body.webhook.seconds_since_last_event <= 5);
+  assert.equal(res.body.forwards.failing, 1);
+  assert.equal(res.body.forwards.dead, 1);
+  assert.equal(res.body.forwards.failures, 2);
+  assert.equal(res.body.forwards.delivered, 1);
+});
+
+test("is degraded when Stripe is unreachable or config is missing", async () => {
+  stripe.balance.retrieve = async () => {
+    throw Object.assign(new Error("Invalid API Key provided: sk_test_****fake"), { type: "StripeAuthenticationError" });
+  };
+  let res = await get();
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.stripe.reachable, false);
+  assert.equal(res.body.stripe.error, "StripeAuthenticationError");
+
+  setStripe(createFakeStripe());
+  const saved = process.env.LINK_SIGNING_SECRET;
+  delete process.env.LINK_SIGNING_SECRET;
+  try {
+    res = await get();
+    assert.equal(res.statusCode, 503);
+    assert.deepEqual(res.body.config.missing, ["LINK_SIGNING_SECRET"]);
+  } finally {
+    process.env.LINK_SIGNING_SECRET = saved;
+  }
+});
@@ -0,0 +1,24 @@
+// test/helpers/env.js
+//
+// Cada archivo de prueba corre en su propio proceso (node --test): DATA_DIR temporal y
+// variables de entorno conocidas antes de importar los handlers.
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+export function setupTestEnv(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "donations-test-"));
+  Object.assign(process.env, {
+    DATA_DIR: dir,
+    STRIPE_SECRET_KEY: "sk_test_fake",
+    LINK_SIGNING_SECRET: "test-link-secret",
+    ADMIN_API_TOKEN: "test-admin-token",
+    MAILER_DRIVER: "file",
+    SEND_RECEIPTS: "off",
+    FORWARD_DESTINATIONS: "[]",
+    ZAPIER_HOOK_URL: "",
+    EXCLUDE_EMAILS: "",
+    ...overrides
+  });
+  return dir;
+}
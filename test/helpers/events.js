@@ -0,0 +1,28 @@
+// test/helpers/events.js
+//
+// Eventos de Stripe firmados como los manda Stripe (header Stripe-Signature real del SDK).
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Stripe from "stripe";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "events");
+
+/** Fixtures de test/fixtures/events en orden de nombre (01-…, 02-…) */
+export function loadFixtures() {
+  return fs.readdirSync(FIXTURES)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => ({ file: f, event: JSON.parse(fs.readFileSync(path.join(FIXTURES, f), "utf8")) }));
+}
+
+export function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+}
+
+/** Opciones de mockReq para un POST firmado al webhook */
+export function signedRequest(event, secret, { timestamp } = {}) {
+  const payload = typeof event === "string" ? event : JSON.stringify(event);
+  const header = Stripe.webhooks.generateTestHeaderString({ payload, secret, ...(timestamp ? { timestamp } : {}) });
+  return { method: "POST", headers: { "stripe-signature": header, "content-type": "application/json" }, rawBody: payload };
+}
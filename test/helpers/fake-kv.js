@@ -0,0 +1,121 @@
+// test/helpers/fake-kv.js
+//
+// Vercel KV / Upstash REST en memoria: reemplaza globalThis.fetch solo para KV_REST_API_URL.
+// Implementa los comandos que usan lib/kv.js, lib/json-file.js y lib/json-records.js (los EVAL son
+// los compare-and-set). Los sorted sets y sets viven en `zsets` / `sets`; `ttls` guarda el vencimiento.
+import { KV_CAS_SCRIPT } from "../../lib/json-file.js";
+import { KV_RECORD_CAS_SCRIPT } from "../../lib/json-records.js";
+
+export const KV_URL = "https://kv.test";
+
+export function installFakeKv({ token = process.env.KV_REST_API_TOKEN } = {}) {
+  const data = new Map();
+  const ttls = new Map();
+  const zsets = new Map();
+  const sets = new Map();
+  const commands = [];
+  const realFetch = globalThis.fetch;
+
+  // Vencimiento perezoso, como Redis: la clave desaparece al leerla pasado su ttl
+  const read = (key) => {
+    if (ttls.has(key) && ttls.get(key) <= Date.now()) {
+      data.delete(key);
+      ttls.delete(key);
+    }
+    return data.get(key) ?? null;
+  };
+  const set = (key, value, ex) => {
+    data.set(key, value);
+    if (ex) ttls.set(key, Date.now() + Number(ex) * 1000);
+    else ttls.delete(key);
+  };
+  const zset = (key) => zsets.get(key) || new Map();
+  const sset = (key) => sets.get(key) || new Set();
+  // "-inf" / "+inf" / "(x" (exclusivo) / "x"
+  const bound = (v, lower) => {
+    if (v === "-inf" || v === "+inf") return { n: v === "-inf" ? -Infinity : Infinity, open: false };
+    const open = String(v).startsWith("(");
+    return { n: Number(open ? String(v).slice(1) : v), open };
+  };
+  const inBounds = (score, lo, hi) =>
+    (lo.open ? score > lo.n : score >= lo.n) && (hi.open ? score < hi.n : score <= hi.n);
+  const byScore = (key, lo, hi, rest, reverse) => {
+    let ids = [...zset(key)].filter(([, sc]) => inBounds(sc, bound(lo), bound(hi)))
+      .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1)).map(([id]) => id);
+    if (reverse) ids.reverse();
+    if (String(rest[0]).toUpperCase() === "LIMIT") ids = ids.slice(Number(rest[1]), Number(rest[1]) + Number(rest[2]));
+    return ids;
+  };
+
+  const run = ([cmd, ...args]) => {
+    switch (cmd.toUpperCase()) {
+      case "GET": return read(args[0]);
+      case "MGET": return args.map(read);
+      case "SET": set(args[0], args[1], String(args[2]).toUpperCase() === "EX" ? args[3] : null); return "OK";
+      case "DEL": return args.filter((k) => (ttls.delete(k), data.delete(k))).length;
+      case "EXPIRE": return data.has(args[0]) ? 1 : 0;
+      case "ZADD": {
+        const z = zset(args[0]);
+        for (let i = 1; i < args.length; i += 2) z.set(String(args[i + 1]), Number(args[i]));
+        zsets.set(args[0], z);
+        return 1;
+      }
+      case "ZREM": return args.slice(1).filter((id) => zset(args[0]).delete(String(id))).length;
+      case "ZRANGEBYSCORE": return byScore(args[0], args[1], args[2], args.slice(3), false);
+      case "ZREVRANGEBYSCORE": return byScore(args[0], args[2], args[1], args.slice(3), true);
+      case "ZREMRANGEBYSCORE": {
+        const z = zset(args[0]);
+        const gone = byScore(args[0], args[1], args[2], [], false);
+        gone.forEach((id) => z.delete(id));
+        return gone.length;
+      }
+      case "SADD": {
+        const s = sset(args[0]);
+        args.slice(1).forEach((m) => s.add(String(m)));
+        sets.set(args[0], s);
+        return 1;
+      }
+      case "SREM": return args.slice(1).filter((m) => sset(args[0]).delete(String(m))).length;
+      case "SMEMBERS": return [...sset(args[0])];
+      case "INCR": {
+        const n = Number(data.get(args[0]) ?? 0) + 1;
+        data.set(args[0], String(n));
+        return n;
+      }
+      case "EVAL": {
+        if (args[0] === KV_RECORD_CAS_SCRIPT) {
+          const [, , key, idsKey, expected, value, id, score, ttl] = args;
+          if ((read(key) ?? "") !== expected) return 0;
+          set(key, value, ttl || null);
+          run(["ZADD", idsKey, score, id]);
+          return 1;
+        }
+        if (args[0] !== KV_CAS_SCRIPT) throw new Error("unknown script");
+        const [, , key, versionKey, expected, value] = args;
+        if ((data.get(versionKey) ?? "0") !== expected) return 0;
+        data.set(key, value);
+        data.set(versionKey, String(Number(data.get(versionKey) ?? 0) + 1));
+        return 1;
+      }
+      default: throw new Error(`ERR unknown command '${cmd}'`);
+    }
+  };
+
+  globalThis.fetch = async (url, init) => {
+    if (!String(url).startsWith(KV_URL)) return realFetch(url, init);
+    if (init?.headers?.Authorization !== `Bearer ${token}`) {
+      return new Response(JSON.stringify({ error: "Unauthorized" }), { status: 401 });
+    }
+    const args = JSON.parse(init.body);
+    commands.push(args);
+    // cede el turno como una llamada de red real (deja que otras escrituras se intercalen)
+    await new Promise((r) => setImmediate(r));
+    try {
+      return new Response(JSON.stringify({ result: run(args) }), { status: 200 });
+    } catch (err) {
+      return new Response(JSON.stringify({ error: err.message }), { status: 400 });
+    }
+  };
+
+  return { data, zsets, sets, ttls, commands, restore: () => (globalThis.fetch = realFetch) };
+}
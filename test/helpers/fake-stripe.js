@@ -0,0 +1,174 @@
+// test/helpers/fake-stripe.js
+//
+// Stand-in del cliente de Stripe para las pruebas (se inyecta con lib/stripe.js#setStripe).
+// Guarda objetos en memoria y registra cada llamada; webhooks usa la implementación real
+// del SDK (solo crypto local), así que la verificación de firma es la de producción.
+import Stripe from "stripe";
+
+function notFound(resource, id) {
+  return new Stripe.errors.StripeInvalidRequestError({
+    type: "invalid_request_error",
+    code: "resource_missing",
+    message: `No such ${resource}: '${id}'`,
+    statusCode: 404
+  });
+}
+
+/** Lista "auto-paginada": sirve con for await y con await (→ { data }) */
+function listOf(rows) {
+  return {
+    data: rows,
+    has_more: false,
+    async *[Symbol.asyncIterator]() {
+      yield* rows;
+    },
+    then(resolve, reject) {
+      return Promise.resolve({ object: "list", data: rows, has_more: false }).then(resolve, reject);
+    }
+  };
+}
+
+export function createFakeStripe(seed = {}) {
+  const db = {
+    sessions: new Map(Object.entries(seed.sessions || {})),
+    customers: new Map(Object.entries(seed.customers || {})),
+    paymentIntents: new Map(Object.entries(seed.paymentIntents || {})),
+    subscriptions: new Map(Object.entries(seed.subscriptions || {})),
+    invoices: new Map(Object.entries(seed.invoices || {}))
+  };
+  const calls = [];
+  let seq = 0;
+
+  const record = (method, args) => calls.push({ method, args });
+  const find = (map, resource, id) => {
+    const obj = map.get(id);
+    if (!obj) throw notFound(resource, id);
+    return structuredClone(obj);
+  };
+
+  return {
+    db,
+    calls,
+    /** Llamadas a un método, p.ej. callsTo("checkout.sessions.create") */
+    callsTo: (method) => calls.filter((c) => c.method === method).map((c) => c.args),
+
+    webhooks: Stripe.webhooks,
+    errors: Stripe.errors,
+
+    checkout: {
+      sessions: {
+        async create(params, options) {
+          record("checkout.sessions.create", [params, options]);
+          const id = `cs_test_${++seq}`;
+          const session = {
+            id,
+            object: "checkout.session",
+            url: `https://checkout.stripe.test/c/pay/${id}`,
+            status: "open",
+            ...structuredClone(params)
+          };
+          db.sessions.set(id, session);
+          return structuredClone(session);
+        },
+        async retrieve(id, params) {
+          record("checkout.sessions.retrieve", [id, params]);
+          return find(db.sessions, "checkout.session", id);
+        },
+        async update(id, params) {
+          record("checkout.sessions.update", [id, params]);
+          const s = find(db.sessions, "checkout.session", id);
+          const next = { ...s, ...params, metadata: { ...s.metadata, ...params.metadata } };
+          db.sessions.set(id, next);
+          return structuredClone(next);
+        },
+        list(params) {
+          record("checkout.sessions.list", [params]);
+          return listOf([...db.sessions.values()].filter((s) => !params?.status || s.status === params.status));
+        }
+      }
+    },
+
+    balance: {
+      async retrieve() {
+        record("balance.retrieve", []);
+        return { object: "balance", livemode: false, available: [], pending: [] };
+      }
+    },
+
+    customers: {
+      async retrieve(id) {
+        record("customers.retrieve", [id]);
+        return find(db.customers, "customer", id);
+      },
+      async update(id, params) {
+        record("customers.update", [id, params]);
+        const c = find(db.customers, "customer", id);
+        const next = { ...c, ...params, metadata: { ...c.metadata, ...params.metadata } };
+        db.customers.set(id, next);
+        return structuredClone(next);
+      },
+      list(params) {
+        record("customers.list", [params]);
+        return listOf([...db.customers.values()].filter((c) => !params?.email || c.email === params.email).slice(0, params?.limit ?? 10));
+      }
+    },
+
+    paymentIntents: {
+      async retrieve(id) {
+        record("paymentIntents.retrieve", [id]);
+        return find(db.paymentIntents, "payment_intent", id);
+      },
+      async update(id, params) {
+        record("paymentIntents.update", [id, params]);
+        const pi = find(db.paymentIntents, "payment_intent", id);
+        const next = { ...pi, ...params, metadata: { ...pi.metadata, ...params.metadata } };
+        db.paymentIntents.set(id, next);
+        return structuredClone(next);
+      }
+    },
+
+    subscriptions: {
+      async retrieve(id) {
+        record("subscriptions.retrieve", [id]);
+        return find(db.subscriptions, "subscription", id);
+      },
+      async update(id, params) {
+        record("subscriptions.update", [id, params]);
+        const sub = find(db.subscriptions, "subscription", id);
+        const next = { ...sub, ...params, metadata: { ...sub.metadata, ...params.metadata } };
+        db.subscriptions.set(id, next);
+        return structuredClone(next);
+      },
+      async cancel(id) {
+        record("subscriptions.cancel", [id]);
+        const sub = find(db.subscriptions, "subscription", id);
+        const next = { ...sub, status: "canceled", canceled_at: Math.floor(Date.now() / 1000) };
+        db.subscriptions.set(id, next);
+        return structuredClone(next);
+      },
+      list(params) {
+        record("subscriptions.list", [params]);
+        return listOf([...db.subscriptions.values()].filter((s) =>
+          (!params?.status || params.status === "all" || s.status === params.status) &&
+          (!params?.customer || s.customer === params.customer)
+        ));
+      }
+    },
+
+    invoices: {
+      list(params) {
+        record("invoices.list", [params]);
+        return listOf([...db.invoices.values()].filter((i) => !params?.status || i.status === params.status));
+      }
+    },
+
+    billingPortal: {
+      sessions: {
+        async create(params) {
+          record("billingPortal.sessions.create", [params]);
+          return { id: `bps_test_${++seq}`, url: `https://billing.stripe.test/p/session/${seq}` };
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,76 @@
+// test/helpers/http.js
+//
+// req/res mínimos con la forma que les da Vercel a los handlers de api/*.
+import { Readable } from "stream";
+
+/**
+ * mockReq({ method, headers, query, body, rawBody })
+ * rawBody (string/Buffer) se entrega como stream, igual que lo lee readRawBody del webhook.
+ */
+export function mockReq({ method = "GET", headers = {}, query = {}, body, rawBody } = {}) {
+  const raw = rawBody != null ? Buffer.from(rawBody) : null;
+  const req = Readable.from(raw ? [raw] : []);
+  return Object.assign(req, {
+    method,
+    headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    query,
+    body,
+    socket: { remoteAddress: "127.0.0.1" }
+  });
+}
+
+/** Captura status, headers y cuerpo (json/send/end/write) */
+export function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+    getHeader(name) {
+      return this.headers[name.toLowerCase()];
+    },
+    writeHead(status, headers = {}) {
+      this.statusCode = status;
+      for (const [k, v] of Object.entries(headers)) this.setHeader(k, v);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(obj) {
+      this.setHeader("Content-Type", "application/json");
+      this.body = obj;
+      this.ended = true;
+      return this;
+    },
+    send(data) {
+      this.body = data;
+      this.ended = true;
+      return this;
+    },
+    write(chunk) {
+      this.chunks.push(String(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk != null) this.chunks.push(String(chunk));
+      this.ended = true;
+      this.writableEnded = true;
+      return this;
+    }
+  };
+  return res;
+}
+
+/** Llama al handler y devuelve la respuesta capturada */
+export async function invoke(handler, reqOptions) {
+  const res = mockRes();
+  await handler(mockReq(reqOptions), res);
+  return res;
+}
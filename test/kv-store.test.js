@@ -0,0 +1,179 @@
+// test/kv-store.test.js
+//
+// Con KV cada función de Vercel abre sus propios stores: aquí cada create*() hace de función aparte.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke, mockReq, mockRes } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+import { loadFixture, signedRequest } from "./helpers/events.js";
+import { installFakeKv, KV_URL } from "./helpers/fake-kv.js";
+
+const SECRET = "whsec_kv_secret";
+setupTestEnv({ STRIPE_WEBHOOK_SECRET: SECRET, KV_REST_API_URL: KV_URL, KV_REST_API_TOKEN: "kv-token", VERCEL: "1", STREAM_POLL_MS: "250" });
+const kv = installFakeKv();
+after(() => kv.restore());
+
+const { setStripe } = await import("../lib/stripe.js");
+const { storeDriver } = await import("../lib/json-file.js");
+const { createJsonLedger } = await import("../lib/ledger/json-store.js");
+const { setLedger } = await import("../lib/ledger/index.js");
+const { default: webhook } = await import("../api/stripe-webhook.js");
+const { default: feed } = await import("../api/public-recent-donations.js");
+const { default: health } = await import("../api/health.js");
+const { default: stream } = await import("../api/donations-stream.js");
+const { createJsonFeedEvents, setFeedEvents } = await import("../lib/feed-events.js");
+
+setStripe(createFakeStripe());
+
+test("uses KV by default when Vercel KV is connected", () => {
+  assert.equal(storeDriver(), "kv");
+});
+
+test("what the webhook writes is visible to the other functions", async () => {
+  const res = await invoke(webhook, signedRequest(loadFixture("01-checkout-one-time.json"), SECRET));
+  assert.equal(res.statusCode, 200);
+  assert.ok(kv.data.has("donations:ledger:donations:r:cs_fix_one_time"));
+
+  // otra "función": ledger nuevo, sin nada en memoria
+  setLedger(createJsonLedger());
+  const list = await invoke(feed, { method: "GET", query: {} });
+  assert.deepEqual(list.body.items.map((i) => i.name), ["Ana"]);
+});
+
+test("concurrent writers from different functions do not lose updates", async () => {
+  const a = createJsonLedger();
+  const b = createJsonLedger();
+  const gift = (id) => ({ id, kind: "checkout", amount_minor: 100, currency: "USD", created: 1 });
+  await Promise.all([a.upsert(gift("cs_a1")), b.upsert(gift("cs_b1")), a.upsert(gift("cs_a2")), b.upsert(gift("cs_b2"))]);
+  const ids = (await createJsonLedger().list({})).map((d) => d.id);
+  for (const id of ["cs_a1", "cs_a2", "cs_b1", "cs_b2"]) assert.ok(ids.includes(id), id);
+});
+
+test("each ledger write carries one donation, however big the ledger is", async () => {
+  const ledger = createJsonLedger();
+  const gift = (i) => ({ id: `cs_size_${i}`, kind: "checkout", amount_minor: 100, currency: "USD", email: `size${i}@example.com`, campaign: "size", created: 1000 + i });
+  for (let i = 0; i < 30; i++) await ledger.upsert(gift(i));
+
+  const sizes = [];
+  for (const i of [30, 31]) {
+    const from = kv.commands.length;
+    await ledger.upsert(gift(i));
+    const writes = kv.commands.slice(from).filter((c) => c[0] === "EVAL");
+    assert.equal(writes.length, 1);
+    assert.ok(!writes[0].some((a) => String(a).includes("cs_size_0")));
+    sizes.push(JSON.stringify(writes[0]).length);
+  }
+  assert.equal(sizes[0], sizes[1]);
+  assert.ok(!kv.commands.some((c) => c[0] === "GET" && c[1] === "donations:ledger"));
+
+  // los índices responden sin recorrer el ledger
+  assert.equal((await ledger.list({ campaign: "size" })).length, 32);
+  assert.equal((await ledger.list({ email: "SIZE7@example.com" }))[0].id, "cs_size_7");
+  assert.deepEqual((await ledger.list({ since: 1010, until: 1013, order: "desc" })).map((d) => d.id), ["cs_size_12", "cs_size_11", "cs_size_10"]);
+});
+
+test("index lookups follow changes to the donation", async () => {
+  const ledger = createJsonLedger();
+  await ledger.upsert({ id: "cs_ix", kind: "checkout", amount_minor: 100, currency: "USD", payment_intent_id: "pi_ix", campaign: "spring", created: 5 });
+  assert.equal((await ledger.findByPaymentIntent("pi_ix")).id, "cs_ix");
+  await ledger.update("cs_ix", { campaign: "fall" });
+  assert.deepEqual(await ledger.list({ campaign: "spring" }), []);
+  assert.deepEqual((await createJsonLedger().list({ campaign: "fall" })).map((d) => d.id), ["cs_ix"]);
+});
+
+test("processed events and delivered outbox rows expire on their own", async () => {
+  const { createJsonProcessedEvents } = await import("../lib/processed-events.js");
+  const { createJsonOutbox } = await import("../lib/outbox.js");
+  await createJsonProcessedEvents().mark("evt_kv_ttl", "checkout.session.completed");
+  assert.equal(await createJsonProcessedEvents().has("evt_kv_ttl"), true);
+  assert.equal(kv.ttls.has("donations:processed-events:events:r:evt_kv_ttl"), true);
+
+  const now = Math.floor(Date.now() / 1000);
+  const outbox = createJsonOutbox();
+  const row = { id: "evt_kv:crm", event_id: "evt_kv", url: "https://crm.example/hook", headers: {}, body: "{}", attempts: 1, created: now, last_attempt_at: now };
+  await outbox.put({ ...row, status: "pending" });
+  assert.equal(kv.ttls.has("donations:outbox:deliveries:r:evt_kv:crm"), false);
+  await outbox.put({ ...row, status: "delivered" });
+  assert.equal(kv.ttls.has("donations:outbox:deliveries:r:evt_kv:crm"), true);
+
+  // pasado el vencimiento la clave ya no está
+  kv.ttls.set("donations:outbox:deliveries:r:evt_kv:crm", Date.now() - 1);
+  assert.equal(await outbox.get("evt_kv:crm"), null);
+  assert.deepEqual(await outbox.list({ status: "delivered" }), []);
+});
+
+test("the live stream sees items the webhook function published", async () => {
+  const publisher = createJsonFeedEvents();   // la función del webhook
+  setFeedEvents(createJsonFeedEvents());      // la del stream: no comparte EventEmitter
+  const req = mockReq({ method: "GET", query: { locale: "en-us" } });
+  const res = mockRes();
+  const done = stream(req, res);
+  await new Promise((r) => setTimeout(r, 50));
+
+  await publisher.publish({ donation_id: "cs_kv_stream", ts: 1767225600, consent: "public", name: "Mina Cho", amount_minor: 2500, currency: "USD" });
+  const deadline = Date.now() + 3000;
+  while (!res.chunks.join("").includes("event: donation") && Date.now() < deadline) {
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  req.emit("close");
+  await done;
+
+  const sent = res.chunks.join("");
+  assert.match(sent, /event: donation\nid: \d+\ndata: .*Mina Cho/);
+});
+
+test("open streams in one instance share a single poll of the store", async () => {
+  setFeedEvents(createJsonFeedEvents());
+  const reads = () => kv.commands.filter((c) => c[0] === "MGET" && c[1] === "donations:feed-events").length;
+  const before = reads();
+
+  const viewers = Array.from({ length: 20 }, () => {
+    const req = mockReq({ method: "GET", query: {} });
+    const res = mockRes();
+    return { req, res, done: stream(req, res) };
+  });
+  await new Promise((r) => setTimeout(r, 1100)); // ~4 ticks de 250 ms
+  await createJsonFeedEvents().publish({ donation_id: "cs_kv_shared", ts: 1767225600, consent: "public", name: "Jun Seo", amount_minor: 1000, currency: "USD" });
+  await new Promise((r) => setTimeout(r, 600));
+  for (const v of viewers) v.req.emit("close");
+  await Promise.all(viewers.map((v) => v.done));
+
+  // 1 lectura de lastSeq para la primera conexión + 1 por tick, no 20 por tick
+  assert.ok(reads() - before <= 10, `${reads() - before} reads`);
+  for (const v of viewers) assert.match(v.res.chunks.join(""), /Jun Seo/);
+});
+
+test("rate limits count across instances", async () => {
+  const { createKvRateLimit } = await import("../lib/rate-limit/kv.js");
+  const { getRateLimitStore } = await import("../lib/rate-limit/index.js");
+  await getRateLimitStore().hit("checkout:ip:198.51.100.1", 600);
+  assert.deepEqual(kv.commands.slice(-2).map((c) => c[0]), ["INCR", "EXPIRE"]);
+  const a = createKvRateLimit();
+  const b = createKvRateLimit();
+  await a.hit("manage-link:ip:203.0.113.7", 3600);
+  const { count, reset_at } = await b.hit("manage-link:ip:203.0.113.7", 3600);
+  assert.equal(count, 2);
+  assert.ok(reset_at > Math.floor(Date.now() / 1000));
+  assert.ok(![...kv.data.keys()].some((k) => k.includes("203.0.113.7")));
+});
+
+test("health reports a shared, writable store", async () => {
+  const res = await invoke(health, { method: "GET", headers: { authorization: "Bearer test-admin-token" } });
+  assert.equal(res.body.storage.driver, "kv");
+  assert.equal(res.body.storage.shared, true);
+  assert.equal(res.body.storage.writable, true);
+});
+
+test("health is degraded when KV rejects writes", async () => {
+  const saved = process.env.KV_REST_API_TOKEN;
+  process.env.KV_REST_API_TOKEN = "revoked";
+  try {
+    const res = await invoke(health, { method: "GET", headers: { authorization: "Bearer test-admin-token" } });
+    assert.equal(res.statusCode, 503);
+    assert.equal(res.body.status, "degraded");
+    assert.equal(res.body.storage.writable, false);
+  } finally {
+    process.env.KV_REST_API_TOKEN = saved;
+  }
+});
@@ -0,0 +1,101 @@
+// test/logger.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+
+setupTestEnv({ LOG_LEVEL: "debug" });
+const { createLogger, redact, emailHash, correlationId } = await import("../lib/logger.js");
+
+/** Captura lo que el logger escribe en consola durante fn */
+function capture(fn) {
+  const lines = [];
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  for (const k of Object.keys(saved)) console[k] = (line) => lines.push(JSON.parse(line));
+  try {
+    fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+  return lines;
+}
+
+test("writes one JSON line with level, scope and bound context", () => {
+  const [entry] = capture(() => createLogger("checkout", { correlation_id: "corr-1" }).child({ event_id: "evt_1" }).warn("rejected", { status: 429 }));
+  assert.equal(entry.level, "warn");
+  assert.equal(entry.scope, "checkout");
+  assert.equal(entry.msg, "rejected");
+  assert.equal(entry.correlation_id, "corr-1");
+  assert.equal(entry.event_id, "evt_1");
+  assert.equal(entry.status, 429);
+  assert.ok(Date.parse(entry.time));
+});
+
+test("respects LOG_LEVEL", () => {
+  process.env.LOG_LEVEL = "warn";
+  try {
+    const lines = capture(() => {
+      const log = createLogger("x");
+      log.info("hidden");
+      log.error("shown");
+    });
+    assert.deepEqual(lines.map((l) => l.msg), ["shown"]);
+  } finally {
+    process.env.LOG_LEVEL = "debug";
+  }
+});
+
+test("hashes emails and drops names, prayers and secrets", () => {
+  const out = redact({
+    email: "Ana@Example.com",
+    customer_details: { name: "Ana Kim", email: "ana@example.com" },
+    prayer_request: "Pray for my family",
+    consent_token: "abc.def",
+    note: "reply to ana@example.com please",
+    amount: 5000
+  });
+  const hash = emailHash("ana@example.com").slice(0, 12);
+  assert.equal(out.email, `sha256:${hash}`);
+  assert.equal(out.customer_details, "[redacted]");
+  assert.equal(out.prayer_request, "[redacted]");
+  assert.equal(out.consent_token, "[redacted]");
+  assert.equal(out.note, `reply to [email:${hash}] please`);
+  assert.equal(out.amount, 5000);
+});
+
+test("logs a normalized hash but keeps customer_email_hash on the raw email", () => {
+  const out = redact({ email: "  Ana@Example.com" });
+  assert.equal(out.email, `sha256:${emailHash("ana@example.com").slice(0, 12)}`);
+  assert.equal(redact({ email: "ana@example.com" }).email, out.email);
+  // el payload conserva el hash de siempre: sha256 del email sin tocar
+  assert.equal(emailHash("Ana@Example.com"), crypto.createHash("sha256").update("Ana@Example.com").digest("hex"));
+  assert.notEqual(emailHash("Ana@Example.com"), emailHash("ana@example.com"));
+});
+
+test("serializes errors without Stripe's raw request", () => {
+  const err = Object.assign(new Error("No such customer for bob@example.org"), {
+    type: "StripeInvalidRequestError",
+    code: "resource_missing",
+    statusCode: 404,
+    raw: { requestId: "req_1", param: "email", email: "bob@example.org" }
+  });
+  const [entry] = capture(() => createLogger("x").error("failed", { err }));
+  assert.deepEqual(Object.keys(entry.err).sort(), ["code", "message", "name", "status", "type"]);
+  assert.ok(!entry.err.message.includes("bob@example.org"));
+});
+
+const echo = (headers) =>
+  invoke(async (req, res) => res.status(200).json({ id: correlationId(req, res) }), { method: "GET", headers });
+
+test("keeps a well-formed incoming correlation id and echoes it", async () => {
+  const res = await echo({ "x-correlation-id": "client-trace-0001" });
+  assert.equal(res.headers["x-correlation-id"], "client-trace-0001");
+  assert.equal(res.body.id, "client-trace-0001");
+});
+
+test("replaces a malformed correlation id with a fresh one", async () => {
+  const res = await echo({ "x-correlation-id": "bad id\nwith newline" });
+  assert.match(res.body.id, /^[0-9a-f-]{36}$/);
+  assert.equal(res.headers["x-correlation-id"], res.body.id);
+});
@@ -0,0 +1,112 @@
+// test/manage-subscription.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+
+setupTestEnv({ RATE_LIMIT_MANAGE_LINK_IP: "5/3600", RATE_LIMIT_MANAGE_LINK_EMAIL: "3/3600" });
+const { setStripe } = await import("../lib/stripe.js");
+const { getRateLimitStore } = await import("../lib/rate-limit/index.js");
+const { issueSuccessAccess } = await import("../lib/session-access.js");
+const { signToken } = await import("../lib/signed-token.js");
+const { default: handler } = await import("../api/manage-subscription.js");
+
+const access = issueSuccessAccess();
+const now = Math.floor(Date.now() / 1000);
+
+let stripe;
+beforeEach(async () => {
+  stripe = createFakeStripe({
+    sessions: {
+      cs_test_partner: {
+        id: "cs_test_partner", object: "checkout.session", mode: "subscription", status: "complete",
+        customer: "cus_partner", created: now, metadata: { success_nonce: access.nonce }
+      }
+    },
+    customers: {
+      cus_partner: { id: "cus_partner", email: "ana.kim@example.com" },
+      // gift único posterior: Customer nuevo, sin suscripción
+      cus_onetime: { id: "cus_onetime", email: "ana.kim@example.com" }
+    },
+    subscriptions: {
+      sub_partner: {
+        id: "sub_partner", customer: "cus_partner", status: "active", metadata: {},
+        items: { data: [{ id: "si_partner", quantity: 1, price: { unit_amount: 5000, currency: "usd", product: "prod_partner", recurring: { interval: "month", interval_count: 1 } } }] }
+      }
+    }
+  });
+  setStripe(stripe);
+  await getRateLimitStore().reset();
+});
+
+const post = (body, headers = {}) => invoke(handler, { method: "POST", headers, body });
+
+test("opens the Billing Portal from a checkout session with its success token", async () => {
+  const res = await post({ action: "portal", session_id: "cs_test_partner", t: access.token });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body.url, /^https:\/\/billing\.stripe\.test\//);
+  assert.equal(stripe.callsTo("billingPortal.sessions.create")[0][0].customer, "cus_partner");
+});
+
+test("does not open the Billing Portal from a bare session id", async () => {
+  const res = await post({ action: "portal", session_id: "cs_test_partner" });
+  assert.equal(res.statusCode, 401);
+  assert.equal(stripe.callsTo("billingPortal.sessions.create").length, 0);
+});
+
+test("rejects a success token issued for another session", async () => {
+  const other = issueSuccessAccess();
+  const res = await post({ action: "portal", session_id: "cs_test_partner", t: other.token });
+  assert.equal(res.statusCode, 401);
+  assert.equal(stripe.callsTo("billingPortal.sessions.create").length, 0);
+});
+
+test("rate-limits manage-link requests per recipient", async () => {
+  const ask = (ip) => post({ action: "request_link", email: "Ana.Kim@example.com" }, { "x-forwarded-for": ip });
+  for (let i = 1; i <= 3; i++) assert.equal((await ask(`203.0.113.${i}`)).statusCode, 202);
+  const res = await ask("203.0.113.9");
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers["retry-after"]) > 0);
+});
+
+test("rate-limits manage-link requests per IP", async () => {
+  for (let i = 1; i <= 5; i++) {
+    assert.equal((await post({ action: "request_link", email: `donor${i}@example.com` })).statusCode, 202);
+  }
+  assert.equal((await post({ action: "request_link", email: "donor6@example.com" })).statusCode, 429);
+});
+
+// customers.list devuelve primero el más nuevo: el del gift único
+const link = signToken("manage", { cids: ["cus_onetime", "cus_partner"] }, 3600);
+
+test("opens the magic-link portal for the Customer that owns the partnership", async () => {
+  const res = await post({ action: "portal", token: link });
+  assert.equal(res.statusCode, 200);
+  assert.equal(stripe.callsTo("billingPortal.sessions.create")[0][0].customer, "cus_partner");
+});
+
+test("opens the portal for a chosen subscription only if the link owns it", async () => {
+  assert.equal((await post({ action: "portal", token: link, subscription_id: "sub_partner" })).statusCode, 200);
+  assert.equal(stripe.callsTo("billingPortal.sessions.create")[0][0].customer, "cus_partner");
+
+  const other = signToken("manage", { cids: ["cus_onetime"] }, 3600);
+  const res = await post({ action: "portal", token: other, subscription_id: "sub_partner" });
+  assert.equal(res.statusCode, 403);
+  assert.equal(stripe.callsTo("billingPortal.sessions.create").length, 1);
+});
+
+test("caps amount changes like the checkout does", async () => {
+  const change = (body) => post({ action: "change", token: link, subscription_id: "sub_partner", ...body });
+
+  assert.equal((await change({ amount: 100000000 })).statusCode, 400);
+
+  const res = await change({ amount: 2000000 });
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.requires_confirmation, true);
+  assert.equal(stripe.callsTo("subscriptions.update").length, 0);
+
+  const ok = await change({ amount: 2000000, confirm_large_amount: true });
+  assert.equal(ok.statusCode, 200);
+  assert.equal(stripe.callsTo("subscriptions.update")[0][1].items[0].price_data.unit_amount, 2000000);
+});
@@ -0,0 +1,133 @@
+// test/matching.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+import { loadFixture, signedRequest } from "./helpers/events.js";
+
+const SECRET = "whsec_matching_secret";
+const dir = setupTestEnv({ STRIPE_WEBHOOK_SECRET: SECRET });
+
+const DAY = 24 * 60 * 60;
+const now = Math.floor(Date.now() / 1000);
+const isoDay = (epoch) => new Date(epoch * 1000).toISOString().slice(0, 10);
+
+// $100 de tope 1:1 activo hoy; uno en KRW y otro de una campaña para probar elegibilidad
+process.env.MATCHING_FILE = path.join(dir, "matching.json");
+fs.writeFileSync(process.env.MATCHING_FILE, JSON.stringify([
+  { id: "spring-match", sponsor: "Lee Family", ratio: 1, cap: { amount: 10000, currency: "USD" }, starts_at: isoDay(now - DAY), ends_at: isoDay(now + DAY) },
+  { id: "kr-match", sponsor: "Seoul Church", ratio: 2, cap: { amount: 100000, currency: "KRW" }, starts_at: isoDay(now - DAY), ends_at: isoDay(now + DAY) },
+  { id: "trip-match", sponsor: "Trip Sponsor", cap: { amount: 5000, currency: "USD" }, campaign: "mission-trip-2026" }
+]));
+
+const { setStripe } = await import("../lib/stripe.js");
+const { getLedger } = await import("../lib/ledger/index.js");
+const { setProcessedEvents } = await import("../lib/processed-events.js");
+const { applyMatch, getMatches, isEligible, getChallenge } = await import("../lib/matching.js");
+const { default: webhook } = await import("../api/stripe-webhook.js");
+const { default: progress } = await import("../api/matching-progress.js");
+const { default: feed } = await import("../api/public-recent-donations.js");
+
+before(() => setStripe(createFakeStripe()));
+
+const base = loadFixture("01-checkout-one-time.json");
+
+/** checkout.session.completed de hoy por `amount` centavos (USD) */
+function checkoutEvent(n, amount, extra = {}) {
+  const e = structuredClone(base);
+  e.id = `evt_match_${n}`;
+  e.created = now;
+  Object.assign(e.data.object, {
+    id: `cs_match_${n}`,
+    payment_intent: `pi_match_${n}`,
+    amount_total: amount,
+    created: now,
+    ...extra
+  });
+  e.data.object.customer_details = { ...e.data.object.customer_details, name: "Sarah Park", email: `donor${n}@example.com` };
+  e.data.object.custom_fields = [{ key: "full_name", type: "text", text: { value: "Sarah Park" } }];
+  e.data.object.metadata = { ...e.data.object.metadata, public_consent: "first_name", locale: "en-us" };
+  return e;
+}
+
+const deliver = (event) => invoke(webhook, signedRequest(event, SECRET));
+const getProgress = (query) => invoke(progress, { method: "GET", query });
+
+test("matches an eligible gift 1:1 and stores it on the ledger", async () => {
+  const res = await deliver(checkoutEvent(1, 5000));
+  assert.equal(res.statusCode, 200);
+  const d = await getLedger().get("cs_match_1");
+  assert.equal(d.match_challenge, "spring-match");
+  assert.equal(d.matched_minor, 5000);
+});
+
+test("does not double-count a redelivered event even if it is processed again", async () => {
+  // processed-events que no recuerda nada: el evento se procesa entero otra vez
+  setProcessedEvents({ has: async () => false, mark: async () => {} });
+  await deliver(checkoutEvent(1, 5000));
+  await deliver(checkoutEvent(1, 5000));
+  const totals = await getMatches().totals("spring-match");
+  assert.equal(totals.matched_minor, 5000);
+  assert.equal(totals.gift_count, 1);
+});
+
+test("stops at the cap and reports what remains", async () => {
+  await deliver(checkoutEvent(2, 3000));
+  await deliver(checkoutEvent(3, 4000)); // solo quedan $20
+  assert.equal((await getLedger().get("cs_match_3")).matched_minor, 2000);
+
+  await deliver(checkoutEvent(4, 1000)); // tope agotado
+  assert.equal((await getLedger().get("cs_match_4")).matched_minor, undefined);
+
+  const res = await getProgress({ challenge: "spring-match" });
+  assert.equal(res.statusCode, 200);
+  const c = res.body.challenge;
+  assert.equal(c.matched_minor, 10000);
+  assert.equal(c.remaining_minor, 0);
+  assert.equal(c.gift_count, 3);
+  assert.equal(c.total_impact_minor, 12000 + 10000);
+  assert.equal(c.remaining_formatted, "$0.00");
+  assert.equal(c.active, true);
+});
+
+test("only matches gifts in the challenge currency, campaign and window", () => {
+  const gift = { id: "x", amount_minor: 1000, currency: "USD", created: now, campaign: null };
+  assert.equal(isEligible(getChallenge("spring-match"), gift), true);
+  assert.equal(isEligible(getChallenge("spring-match"), { ...gift, currency: "KRW" }), false);
+  assert.equal(isEligible(getChallenge("spring-match"), { ...gift, created: now - 3 * DAY }), false);
+  assert.equal(isEligible(getChallenge("trip-match"), gift), false);
+  assert.equal(isEligible(getChallenge("trip-match"), { ...gift, campaign: "mission-trip-2026" }), true);
+});
+
+test("applies the ratio", async () => {
+  const match = await applyMatch({ id: "kr_1", amount_minor: 20000, currency: "KRW", created: now });
+  assert.deepEqual(match, { match_challenge: "kr-match", matched_minor: 40000 });
+});
+
+test("the public feed shows the matched total while the challenge is active", async () => {
+  const res = await invoke(feed, { method: "GET", query: { locale: "en-us", limit: "10" } });
+  const texts = res.body.items.map((i) => i.text);
+  assert.ok(texts.includes("Sarah just gave $50.00 (matched to $100.00!)"), texts.join(" | "));
+  assert.ok(texts.includes("Sarah just gave $10.00"));
+});
+
+test("a refund releases the matched part back to the cap", async () => {
+  const refund = loadFixture("04-charge-refunded.json");
+  refund.id = "evt_match_refund";
+  Object.assign(refund.data.object, { id: "ch_match_2", payment_intent: "pi_match_2", amount: 3000, amount_refunded: 3000 });
+  await deliver(refund);
+
+  assert.equal((await getLedger().get("cs_match_2")).matched_minor, 0);
+  const c = (await getProgress({ challenge: "spring-match" })).body.challenge;
+  assert.equal(c.matched_minor, 7000);
+  assert.equal(c.remaining_minor, 3000);
+});
+
+test("lists challenges by campaign and 404s unknown ones", async () => {
+  const res = await getProgress({ campaign: "mission-trip-2026" });
+  assert.deepEqual(res.body.challenges.map((c) => c.id), ["trip-match"]);
+  assert.equal((await getProgress({ challenge: "nope" })).statusCode, 404);
+});
@@ -0,0 +1,51 @@
+// test/outbox.test.js
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+
+setupTestEnv({ OUTBOX_TIMEOUT_MS: "50" });
+const { getOutbox, enqueue } = await import("../lib/outbox.js");
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+const DAY = 24 * 60 * 60;
+const now = () => Math.floor(Date.now() / 1000);
+const delivery = (id, overrides = {}) => ({
+  id, event_id: `evt_${id}`, url: "https://crm.example/hook", headers: {}, body: "{}",
+  status: "delivered", attempts: 1, created: now(), last_attempt_at: now(), next_attempt_at: null, last_error: null,
+  ...overrides
+});
+
+test("gives up on a destination that never answers and leaves it pending", async () => {
+  // como un destino colgado: solo termina cuando se aborta la request (el timer hace de socket abierto)
+  globalThis.fetch = (url, init) => new Promise((_, reject) => {
+    const socket = setTimeout(() => {}, 5000);
+    init.signal.addEventListener("abort", () => {
+      clearTimeout(socket);
+      reject(init.signal.reason);
+    });
+  });
+
+  const started = Date.now();
+  const d = await enqueue({ id: "evt_hung:crm", event_id: "evt_hung", url: "https://hung.example/hook", headers: {}, body: "{}" });
+  assert.ok(Date.now() - started < 2000);
+  assert.equal(d.status, "pending");
+  assert.equal(d.attempts, 1);
+  assert.match(d.last_error, /timeout|abort/i);
+});
+
+test("purges delivered rows past the retention period and keeps the rest", async () => {
+  const old = now() - 8 * DAY;
+  await getOutbox().put(delivery("old_delivered", { created: old, last_attempt_at: old, body: '{"manage_url":"https://x/?t=secret"}' }));
+  await getOutbox().put(delivery("old_dead", { status: "dead", created: old, last_attempt_at: old }));
+  await getOutbox().put(delivery("old_pending", { status: "pending", created: old, last_attempt_at: old, next_attempt_at: now() + 60 }));
+  await getOutbox().put(delivery("recent_delivered"));
+
+  assert.equal(await getOutbox().get("old_delivered"), null);
+  assert.ok(await getOutbox().get("old_dead"));
+  assert.ok(await getOutbox().get("old_pending"));
+  assert.ok(await getOutbox().get("recent_delivered"));
+});
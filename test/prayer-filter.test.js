@@ -0,0 +1,49 @@
+// test/prayer-filter.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+
+setupTestEnv({ PRAYER_FILTERS: "email,phone,profanity", PRAYER_BLOCKLIST: "" });
+const { filterPrayer } = await import("../lib/prayer-filter.js");
+
+test("removes emails", () => {
+  assert.deepEqual(filterPrayer("Write me at ana.kim@example.com please"), {
+    text: "Write me at [email removed] please",
+    flags: ["email"]
+  });
+});
+
+for (const phone of ["+82 10-1234-5678", "(555) 123 4567", "090.1234.5678", "555-123-4567"]) {
+  test(`removes the phone number ${phone}`, () => {
+    const out = filterPrayer(`Call me ${phone} tonight`);
+    assert.equal(out.text, "Call me [phone removed] tonight");
+    assert.deepEqual(out.flags, ["phone"]);
+  });
+}
+
+for (const date of ["2026-10-19", "2026.10.19", "19.10.2026", "10-19-2026", "2026-10-19 to 2026-10-21"]) {
+  test(`keeps the date ${date}`, () => {
+    const out = filterPrayer(`Surgery on ${date}`);
+    assert.equal(out.text, `Surgery on ${date}`);
+    assert.deepEqual(out.flags, []);
+  });
+}
+
+test("keeps short numbers like ages and verses", () => {
+  assert.deepEqual(filterPrayer("My son is 12, reading John 3:16").flags, []);
+});
+
+test("masks blocklisted words, including Korean terms", () => {
+  const out = filterPrayer("This shitty week, 씨발");
+  assert.equal(out.text, "This ****** week, **");
+  assert.deepEqual(out.flags, ["profanity"]);
+});
+
+test("honours PRAYER_FILTERS", () => {
+  process.env.PRAYER_FILTERS = "email";
+  try {
+    assert.deepEqual(filterPrayer("Call 555-123-4567").flags, []);
+  } finally {
+    process.env.PRAYER_FILTERS = "email,phone,profanity";
+  }
+});
@@ -0,0 +1,53 @@
+// test/prayer-wall.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+
+setupTestEnv();
+const { setLedger } = await import("../lib/ledger/index.js");
+const { createJsonLedger } = await import("../lib/ledger/json-store.js");
+const { submitPrayer, moderatePrayer } = await import("../lib/prayers.js");
+const { default: wall } = await import("../api/prayer-wall.js");
+const { default: admin } = await import("../api/admin/prayers.js");
+
+// Ledger real que cuenta las lecturas
+const reads = { get: 0, getMany: 0 };
+const ledger = createJsonLedger();
+setLedger({
+  ...ledger,
+  get: (id) => (reads.get++, ledger.get(id)),
+  getMany: (ids) => (reads.getMany++, ledger.getMany(ids))
+});
+
+const gifts = [
+  { id: "cs_pw_1", name: "Ana Kim", consent: "first_name" },
+  { id: "cs_pw_2", name: "John Doe", consent: "anonymous" },
+  { id: "cs_pw_3", name: "Mia Park", consent: "public" }
+];
+
+before(async () => {
+  for (const [i, g] of gifts.entries()) {
+    const donation = { ...g, kind: "checkout", amount_minor: 5000, currency: "USD", email: `${g.id}@example.com`, created: 1767225600 + i, prayer_request: `Please pray for ${g.id}` };
+    await ledger.upsert(donation);
+    await submitPrayer(donation);
+  }
+  for (const g of gifts.slice(0, 2)) await moderatePrayer(g.id, "approve");
+});
+
+test("the wall reads the ledger once for all prayers and hides anonymous donors", async () => {
+  reads.get = reads.getMany = 0;
+  const res = await invoke(wall, { method: "GET" });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.items.map((p) => p.id), ["cs_pw_1"]);
+  assert.equal(res.body.items[0].name, "Ana");
+  assert.deepEqual(reads, { get: 0, getMany: 1 });
+});
+
+test("the moderation queue reads the ledger once and shows current consent", async () => {
+  reads.get = reads.getMany = 0;
+  const res = await invoke(admin, { method: "GET", headers: { authorization: "Bearer test-admin-token" } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.prayers.map((p) => [p.id, p.consent, p.name]), [["cs_pw_3", "public", "Mia Park"]]);
+  assert.deepEqual(reads, { get: 0, getMany: 1 });
+});
@@ -0,0 +1,106 @@
+// test/public-recent-donations.test.js
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+
+const dir = setupTestEnv({ EXCLUDE_EMAILS: "staff@example.com,*@test.example" });
+const { setLedger } = await import("../lib/ledger/index.js");
+const { createJsonLedger } = await import("../lib/ledger/json-store.js");
+const { default: handler } = await import("../api/public-recent-donations.js");
+
+let ledger;
+let n = 0;
+beforeEach(() => {
+  ledger = createJsonLedger(path.join(dir, `ledger-${++n}.json`));
+  setLedger(ledger);
+});
+
+let seq = 0;
+function donation(overrides = {}) {
+  seq++;
+  return {
+    id: `cs_${seq}`,
+    kind: "checkout",
+    session_id: `cs_${seq}`,
+    payment_intent_id: `pi_${seq}`,
+    amount_minor: 5000,
+    currency: "USD",
+    recurring: false,
+    email: `donor${seq}@example.com`,
+    name: `Donor${seq} Lastname`,
+    consent: "first_name",
+    created: 1767225600 + seq,
+    ...overrides
+  };
+}
+
+const get = (query = {}, headers = {}) => invoke(handler, { method: "GET", query, headers });
+
+test("returns newest first with first names only", async () => {
+  await ledger.upsert(donation({ name: "Ana Kim", created: 100 }));
+  await ledger.upsert(donation({ name: "John Doe", created: 200 }));
+  const res = await get();
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.items.map((i) => i.name), ["John", "Ana"]);
+  assert.equal(res.body.items[0].text, "John just gave $50.00");
+});
+
+test("dedupes sessions that share a payment intent", async () => {
+  await ledger.upsert(donation({ payment_intent_id: "pi_same", name: "Ana Kim" }));
+  await ledger.upsert(donation({ payment_intent_id: "pi_same", name: "Ana Kim" }));
+  await ledger.upsert(donation({ name: "John Doe" }));
+  const res = await get();
+  assert.equal(res.body.items.length, 2);
+});
+
+test("skips excluded emails, including whole domains", async () => {
+  await ledger.upsert(donation({ email: "staff@example.com", name: "Staff" }));
+  await ledger.upsert(donation({ email: "qa@test.example", name: "QA" }));
+  await ledger.upsert(donation({ name: "Ana Kim" }));
+  const res = await get();
+  assert.deepEqual(res.body.items.map((i) => i.name), ["Ana"]);
+});
+
+test("skips fully refunded gifts and renewals", async () => {
+  await ledger.upsert(donation({ refunded_minor: 5000 }));
+  await ledger.upsert(donation({ kind: "renewal", recurring: true }));
+  await ledger.upsert(donation({ name: "Ana Kim", refunded_minor: 1000 }));
+  const res = await get();
+  assert.deepEqual(res.body.items.map((i) => i.name), ["Ana"]);
+});
+
+test("honours consent and localizes anonymous donors", async () => {
+  await ledger.upsert(donation({ consent: "anonymous", name: "Hidden Person", created: 100 }));
+  await ledger.upsert(donation({ consent: "public", name: "John Doe", created: 200 }));
+  const res = await get({ locale: "es" });
+  assert.equal(res.body.locale, "es");
+  assert.deepEqual(res.body.items.map((i) => i.name), ["John Doe", "Alguien"]);
+});
+
+test("respects the limit", async () => {
+  for (let i = 0; i < 5; i++) await ledger.upsert(donation());
+  const res = await get({ limit: "3" });
+  assert.equal(res.body.items.length, 3);
+});
+
+test("sends an ETag and answers 304 when it matches", async () => {
+  await ledger.upsert(donation({ name: "Ana Kim" }));
+  const first = await get();
+  const etag = first.headers.etag;
+  assert.ok(etag);
+  assert.match(first.headers["cache-control"], /stale-while-revalidate/);
+
+  const again = await get({}, { "if-none-match": etag });
+  assert.equal(again.statusCode, 304);
+
+  await ledger.upsert(donation({ name: "John Doe" }));
+  const changed = await get({}, { "if-none-match": etag });
+  assert.equal(changed.statusCode, 200);
+});
+
+test("rejects malformed campaign slugs", async () => {
+  const res = await get({ campaign: "../etc" });
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,221 @@
+// test/stripe-webhook.test.js
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+import { loadFixture, signedRequest } from "./helpers/events.js";
+
+const SECRET = "whsec_test_secret";
+const dir = setupTestEnv({ STRIPE_WEBHOOK_SECRET: SECRET });
+const { setStripe } = await import("../lib/stripe.js");
+const { getLedger } = await import("../lib/ledger/index.js");
+const { default: handler } = await import("../api/stripe-webhook.js");
+
+before(() => setStripe(createFakeStripe()));
+
+const event = loadFixture("01-checkout-one-time.json");
+
+test("GET is a health check", async () => {
+  const res = await invoke(handler, { method: "GET" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+});
+
+test("accepts a correctly signed event and records the donation", async () => {
+  const res = await invoke(handler, signedRequest(event, SECRET));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.received, true);
+
+  const d = await getLedger().get("cs_fix_one_time");
+  assert.equal(d.amount_minor, 5000);
+  assert.equal(d.consent, "first_name");
+  assert.equal(d.email, "ana.kim@example.com");
+});
+
+test("skips an event it already processed", async () => {
+  const res = await invoke(handler, signedRequest(event, SECRET));
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.duplicate, true);
+});
+
+test("rejects a signature made with another secret without echoing the error", async () => {
+  const other = { ...event, id: "evt_other_secret" };
+  const res = await invoke(handler, signedRequest(other, "whsec_wrong"));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, { error: "Invalid signature" });
+});
+
+test("rejects a body changed after signing", async () => {
+  const req = signedRequest({ ...event, id: "evt_tampered" }, SECRET);
+  req.rawBody = req.rawBody.replace('"amount_total":5000', '"amount_total":1');
+  const res = await invoke(handler, req);
+  assert.equal(res.statusCode, 400);
+});
+
+test("rejects a request without the Stripe-Signature header", async () => {
+  const req = signedRequest({ ...event, id: "evt_unsigned" }, SECRET);
+  delete req.headers["stripe-signature"];
+  const res = await invoke(handler, req);
+  assert.equal(res.statusCode, 400);
+});
+
+test("rejects a signature outside the timestamp tolerance", async () => {
+  const old = Math.floor(Date.now() / 1000) - 60 * 60;
+  const res = await invoke(handler, signedRequest({ ...event, id: "evt_stale" }, SECRET, { timestamp: old }));
+  assert.equal(res.statusCode, 400);
+});
+
+/** Cambia env solo durante fn (los secrets se leen en cada request) */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+const sample = (id) => ({ ...event, id, data: { object: { ...event.data.object, id: `cs_${id}` } } });
+
+test("accepts any active secret during rotation", async () => {
+  await withEnv({ STRIPE_WEBHOOK_SECRET: `whsec_new, ${SECRET}` }, async () => {
+    const oldSigned = await invoke(handler, signedRequest(sample("evt_rot_old"), SECRET));
+    assert.equal(oldSigned.statusCode, 200);
+    const newSigned = await invoke(handler, signedRequest(sample("evt_rot_new"), "whsec_new"));
+    assert.equal(newSigned.statusCode, 200);
+    const unknown = await invoke(handler, signedRequest(sample("evt_rot_bad"), "whsec_other"));
+    assert.equal(unknown.statusCode, 400);
+  });
+});
+
+test("honours STRIPE_WEBHOOK_TOLERANCE", async () => {
+  const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+  await withEnv({ STRIPE_WEBHOOK_TOLERANCE: "900" }, async () => {
+    const res = await invoke(handler, signedRequest(sample("evt_tolerance"), SECRET, { timestamp: tenMinutesAgo }));
+    assert.equal(res.statusCode, 200);
+  });
+});
+
+test("fails closed when no secret is configured", async () => {
+  await withEnv({ STRIPE_WEBHOOK_SECRET: "" }, async () => {
+    const res = await invoke(handler, { method: "POST", body: sample("evt_unsigned_body"), rawBody: JSON.stringify(sample("evt_unsigned_body")) });
+    assert.equal(res.statusCode, 500);
+    assert.equal(await getLedger().get("cs_evt_unsigned_body"), null);
+  });
+});
+
+test("accepts unsigned events only in explicit insecure dev mode", async () => {
+  const body = JSON.stringify(sample("evt_dev_mode"));
+  await withEnv({ STRIPE_WEBHOOK_SECRET: "", STRIPE_WEBHOOK_INSECURE_DEV: "true" }, async () => {
+    const res = await invoke(handler, { method: "POST", rawBody: body });
+    assert.equal(res.statusCode, 200);
+  });
+  await withEnv({ STRIPE_WEBHOOK_SECRET: "", STRIPE_WEBHOOK_INSECURE_DEV: "true", VERCEL_ENV: "production" }, async () => {
+    const res = await invoke(handler, { method: "POST", rawBody: JSON.stringify(sample("evt_dev_prod")) });
+    assert.equal(res.statusCode, 500);
+  });
+});
+
+test("carries the checkout correlation id into the forwarded payload and headers", async () => {
+  const traced = structuredClone(event);
+  traced.id = "evt_traced";
+  traced.data.object.id = "cs_fix_traced";
+  traced.data.object.metadata.correlation_id = "corr-checkout-123";
+
+  const sent = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    sent.push({ url, init });
+    return new Response("ok", { status: 200 });
+  };
+  try {
+    await withEnv({ FORWARD_DESTINATIONS: JSON.stringify([{ name: "crm", url: "https://crm.example/hook" }]) }, async () => {
+      const res = await invoke(handler, signedRequest(traced, SECRET));
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.headers["x-correlation-id"], "corr-checkout-123");
+    });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].init.headers["X-Correlation-Id"], "corr-checkout-123");
+  assert.equal(JSON.parse(sent[0].init.body).correlation_id, "corr-checkout-123");
+});
+
+/** Manda el evento con un destino que captura los reenvíos → payloads reenviados */
+async function forwarded(evt) {
+  const sent = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    sent.push(JSON.parse(init.body));
+    return new Response("ok", { status: 200 });
+  };
+  try {
+    await withEnv({ FORWARD_DESTINATIONS: JSON.stringify([{ name: "crm", url: "https://crm.example/hook" }]) }, async () => {
+      const res = await invoke(handler, signedRequest(evt, SECRET));
+      assert.equal(res.statusCode, 200);
+    });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+  return sent;
+}
+
+const coveredFees = (gift, fee) => ({ cover_fees: "true", gift_amount: String(gift), fee_amount: String(fee) });
+const item = (amount) => ({ data: [{ quantity: 1, price: { unit_amount: amount, currency: "usd", recurring: { interval: "month" } } }] });
+
+test("reports subscription changes as the intended gift, without the covered fee", async () => {
+  const sub = {
+    id: "sub_fees", object: "subscription", status: "active", customer: { id: "cus_fees", email: "fees@example.com" },
+    items: item(10330), metadata: coveredFees(10000, 330)
+  };
+  const [updated] = await forwarded({
+    id: "evt_sub_fees_updated", object: "event", type: "customer.subscription.updated", created: 1767225600,
+    data: { object: sub, previous_attributes: { items: item(5180), metadata: { gift_amount: "5000", fee_amount: "180" } } }
+  });
+  assert.equal(updated.amount, 10000);
+  assert.equal(updated.previous_amount, 5000);
+  assert.equal(updated.amount_change, 5000);
+
+  const [deleted] = await forwarded({
+    id: "evt_sub_fees_deleted", object: "event", type: "customer.subscription.deleted", created: 1767225600,
+    data: { object: { ...sub, status: "canceled" } }
+  });
+  assert.equal(deleted.amount, 10000);
+});
+
+test("reports a failed renewal's amount_due as the intended gift", async () => {
+  const [failed] = await forwarded({
+    id: "evt_invoice_fees_failed", object: "event", type: "invoice.payment_failed", created: 1767225600,
+    data: {
+      object: {
+        id: "in_fees", object: "invoice", customer_email: "fees@example.com", subscription: "sub_fees",
+        amount_due: 10330, currency: "usd", subscription_details: { metadata: coveredFees(10000, 330) }
+      }
+    }
+  });
+  assert.equal(failed.amount_due, 10000);
+  assert.equal(failed.partner_status, "past_due");
+});
+
+test("still forwards the gift when the receipt store fails", async () => {
+  // receipts.json detrás de un archivo: toda escritura del store de recibos falla (como un kv_conflict)
+  fs.writeFileSync(path.join(dir, "blocked"), "");
+  process.env.RECEIPTS_FILE = path.join(dir, "blocked", "receipts.json");
+  const gift = structuredClone(event);
+  gift.id = "evt_receipt_store_down";
+  gift.data.object.id = "cs_fix_receipt_store_down";
+
+  const sent = await withEnv({ SEND_RECEIPTS: "on" }, () => forwarded(gift));
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].session_id, "cs_fix_receipt_store_down");
+  assert.ok(await getLedger().get("cs_fix_receipt_store_down"));
+});
@@ -0,0 +1,71 @@
+// test/webhook-replay.test.js
+//
+// Reproduce en orden los eventos de test/fixtures/events y revisa el estado que dejan
+// (ledger, feed). Para agregar un caso basta con soltar otro JSON en esa carpeta.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setupTestEnv } from "./helpers/env.js";
+import { invoke } from "./helpers/http.js";
+import { createFakeStripe } from "./helpers/fake-stripe.js";
+import { loadFixtures, signedRequest } from "./helpers/events.js";
+
+const SECRET = "whsec_replay";
+setupTestEnv({ STRIPE_WEBHOOK_SECRET: SECRET });
+const { setStripe } = await import("../lib/stripe.js");
+const { getLedger } = await import("../lib/ledger/index.js");
+const { default: webhook } = await import("../api/stripe-webhook.js");
+const { default: feed } = await import("../api/public-recent-donations.js");
+
+setStripe(createFakeStripe({
+  customers: {
+    cus_fix_ana: { id: "cus_fix_ana", email: "ana.kim@example.com" },
+    cus_fix_john: { id: "cus_fix_john", email: "john.doe@example.com" },
+    cus_fix_mina: { id: "cus_fix_mina", email: "mina.cho@example.com" },
+    cus_fix_grace: { id: "cus_fix_grace", email: "grace.lee@example.com" }
+  }
+}));
+
+const fixtures = loadFixtures();
+
+test("every fixture is accepted", async () => {
+  for (const { file, event } of fixtures) {
+    const res = await invoke(webhook, signedRequest(event, SECRET));
+    assert.equal(res.statusCode, 200, file);
+    assert.equal(res.body.received, true, file);
+    // débito bancario completado sin acreditar: espera a async_payment_succeeded
+    const pending = event.type === "checkout.session.completed" && event.data.object.payment_status === "unpaid";
+    assert.equal(res.body.pending, pending ? true : undefined, file);
+  }
+});
+
+test("the ledger reflects the replayed history", async () => {
+  const all = await getLedger().list({ order: "asc" });
+  assert.deepEqual(all.map((d) => [d.id, d.kind]), [
+    ["cs_fix_one_time", "checkout"],
+    ["cs_fix_subscription", "checkout"],
+    ["in_fix_renewal", "renewal"],
+    ["cs_fix_ach", "checkout"],
+    ["cs_fix_ach_failed", "checkout"]
+  ]);
+  assert.equal((await getLedger().get("cs_fix_one_time")).refunded_minor, 5000);
+});
+
+test("bank debits count only once the money arrives", async () => {
+  const paid = await getLedger().get("cs_fix_ach");
+  assert.equal(paid.payment_status, "paid");
+  assert.equal(paid.created, 1770163200); // fecha del checkout, no de la acreditación
+  assert.equal((await getLedger().get("cs_fix_ach_failed")).payment_status, "failed");
+});
+
+test("the feed hides the refunded gift and the failed bank debit", async () => {
+  const res = await invoke(feed, { method: "GET", query: {} });
+  assert.deepEqual(res.body.items.map((i) => i.name), ["Mina Cho", "John Doe"]);
+});
+
+test("replaying the same events again changes nothing", async () => {
+  for (const { file, event } of fixtures) {
+    const res = await invoke(webhook, signedRequest(event, SECRET));
+    assert.equal(res.body.duplicate, true, file);
+  }
+  assert.equal((await getLedger().list({})).length, 5);
+});